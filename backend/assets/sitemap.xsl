@@ -0,0 +1,139 @@
+<?xml version="1.0" encoding="UTF-8"?>
+<!--
+    Renders XML sitemaps (urlset and sitemapindex) as a sortable table.
+    Referenced by sitemaps generated with the `xslStylesheet` option.
+-->
+<xsl:stylesheet version="1.0"
+    xmlns:xsl="http://www.w3.org/1999/XSL/Transform"
+    xmlns:sitemap="http://www.sitemaps.org/schemas/sitemap/0.9"
+    xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"
+    xmlns:video="http://www.google.com/schemas/sitemap-video/1.1"
+    xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"
+    xmlns:xhtml="http://www.w3.org/1999/xhtml"
+    exclude-result-prefixes="sitemap image video news xhtml">
+
+    <xsl:output method="html" encoding="UTF-8" indent="yes" doctype-system="about:legacy-compat"/>
+
+    <xsl:template match="/">
+        <html lang="en">
+            <head>
+                <meta charset="UTF-8"/>
+                <meta name="viewport" content="width=device-width, initial-scale=1"/>
+                <title>XML Sitemap</title>
+                <style>
+                    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2937; margin: 0; padding: 2rem; background: #f9fafb; }
+                    h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+                    p.summary { color: #6b7280; margin: 0 0 1.5rem; }
+                    table { width: 100%; border-collapse: collapse; background: #fff; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.08); }
+                    th, td { text-align: left; padding: 0.5rem 0.75rem; border-bottom: 1px solid #e5e7eb; font-size: 0.875rem; }
+                    th { background: #f3f4f6; cursor: pointer; user-select: none; white-space: nowrap; }
+                    th[data-order="asc"]::after { content: " \25B2"; }
+                    th[data-order="desc"]::after { content: " \25BC"; }
+                    td.url { word-break: break-all; }
+                    td.number { text-align: right; }
+                    a { color: #2563eb; text-decoration: none; }
+                    a:hover { text-decoration: underline; }
+                </style>
+            </head>
+            <body>
+                <xsl:apply-templates select="sitemap:urlset | sitemap:sitemapindex"/>
+                <script>
+                    <![CDATA[
+                    // Click a column header to sort by it (again to reverse)
+                    document.querySelectorAll('table.sortable th').forEach(function (header, column) {
+                        header.addEventListener('click', function () {
+                            var table = header.closest('table');
+                            var body = table.tBodies[0];
+                            var order = header.getAttribute('data-order') === 'asc' ? 'desc' : 'asc';
+                            var numeric = header.hasAttribute('data-numeric');
+                            var value = function (row) {
+                                var cell = row.cells[column];
+                                var text = cell.getAttribute('data-sort') || cell.textContent.trim();
+                                return numeric ? parseFloat(text) || 0 : text.toLowerCase();
+                            };
+
+                            Array.prototype.slice.call(body.rows)
+                                .sort(function (a, b) {
+                                    var x = value(a);
+                                    var y = value(b);
+                                    var result = x < y ? -1 : x > y ? 1 : 0;
+                                    return order === 'asc' ? result : -result;
+                                })
+                                .forEach(function (row) { body.appendChild(row); });
+
+                            table.querySelectorAll('th').forEach(function (other) { other.removeAttribute('data-order'); });
+                            header.setAttribute('data-order', order);
+                        });
+                    });
+                    ]]>
+                </script>
+            </body>
+        </html>
+    </xsl:template>
+
+    <!-- Sitemap index: one row per child sitemap -->
+    <xsl:template match="sitemap:sitemapindex">
+        <h1>XML Sitemap Index</h1>
+        <p class="summary">This index lists <xsl:value-of select="count(sitemap:sitemap)"/> sitemap(s).</p>
+        <table class="sortable">
+            <thead>
+                <tr>
+                    <th data-numeric="">#</th>
+                    <th>Sitemap</th>
+                    <th>Last modified</th>
+                </tr>
+            </thead>
+            <tbody>
+                <xsl:for-each select="sitemap:sitemap">
+                    <tr>
+                        <td class="number"><xsl:value-of select="position()"/></td>
+                        <td class="url"><a href="{sitemap:loc}"><xsl:value-of select="sitemap:loc"/></a></td>
+                        <xsl:call-template name="lastmod-cell"/>
+                    </tr>
+                </xsl:for-each>
+            </tbody>
+        </table>
+    </xsl:template>
+
+    <!-- URL set: one row per page -->
+    <xsl:template match="sitemap:urlset">
+        <h1>XML Sitemap</h1>
+        <p class="summary">This sitemap lists <xsl:value-of select="count(sitemap:url)"/> URL(s).</p>
+        <table class="sortable">
+            <thead>
+                <tr>
+                    <th data-numeric="">#</th>
+                    <th>URL</th>
+                    <th data-numeric="">Images</th>
+                    <th data-numeric="">Videos</th>
+                    <th data-numeric="">Alternates</th>
+                    <th>Last modified</th>
+                    <th>Change frequency</th>
+                    <th data-numeric="">Priority</th>
+                </tr>
+            </thead>
+            <tbody>
+                <xsl:for-each select="sitemap:url">
+                    <tr>
+                        <td class="number"><xsl:value-of select="position()"/></td>
+                        <td class="url"><a href="{sitemap:loc}"><xsl:value-of select="sitemap:loc"/></a></td>
+                        <td class="number"><xsl:value-of select="count(image:image)"/></td>
+                        <td class="number"><xsl:value-of select="count(video:video)"/></td>
+                        <td class="number"><xsl:value-of select="count(xhtml:link)"/></td>
+                        <xsl:call-template name="lastmod-cell"/>
+                        <td><xsl:value-of select="sitemap:changefreq"/></td>
+                        <td class="number"><xsl:value-of select="sitemap:priority"/></td>
+                    </tr>
+                </xsl:for-each>
+            </tbody>
+        </table>
+    </xsl:template>
+
+    <!-- `2024-05-01T08:30:00+00:00` shown as `2024-05-01 08:30`, sorted by the full value -->
+    <xsl:template name="lastmod-cell">
+        <td data-sort="{sitemap:lastmod}">
+            <xsl:value-of select="concat(substring(sitemap:lastmod, 1, 10), ' ', substring(sitemap:lastmod, 12, 5))"/>
+        </td>
+    </xsl:template>
+
+</xsl:stylesheet>
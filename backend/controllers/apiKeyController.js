@@ -0,0 +1,150 @@
+/**
+ * ============================================
+ * API KEY CONTROLLER
+ * ============================================
+ *
+ * - GET    /api/keys     → the user's API keys (active and revoked)
+ * - POST   /api/keys     → create a key; the key is returned only once
+ * - DELETE /api/keys/:id → revoke a key
+ */
+
+const mongoose = require('mongoose');
+const { AUTH_CONFIG, generateApiKey } = require('../utils/auth');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * Validate a create request
+ * Returns: { isValid, errors, name, scopes }
+ */
+function checkKeyRequest({ name, scopes }) {
+    const errors = [];
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+        errors.push('name must be 1-100 characters');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 ||
+        scopes.some(scope => !AUTH_CONFIG.API_KEY_SCOPES.includes(scope))) {
+        errors.push(`scopes must be a non-empty list of: ${AUTH_CONFIG.API_KEY_SCOPES.join(', ')}`);
+    }
+
+    // A key that can generate sitemaps can also read them (job status, downloads)
+    const normalized = Array.isArray(scopes) && scopes.includes('generate') ? ['read', 'generate'] : ['read'];
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        name: typeof name === 'string' ? name.trim() : null,
+        scopes: normalized
+    };
+}
+
+// ============================================
+// LIST / CREATE
+// ============================================
+
+exports.listApiKeys = async (req, res, next) => {
+    try {
+        const keys = await ApiKey.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: keys.length,
+            keys: keys.map(key => key.getSummary())
+        });
+
+    } catch (error) {
+        console.error("[AUTH] ❌ Error listing API keys:", error.message);
+        res.status(500).json({
+            error: 'Failed to list API keys',
+            message: error.message
+        });
+    }
+};
+
+exports.createApiKey = async (req, res, next) => {
+    const request = checkKeyRequest(req.body || {});
+    if (!request.isValid) {
+        return res.status(400).json({
+            error: 'Invalid API key details.',
+            details: request.errors
+        });
+    }
+
+    try {
+        const activeCount = await ApiKey.countDocuments({ userId: req.user.id, revokedAt: null });
+        if (activeCount >= AUTH_CONFIG.MAX_API_KEYS) {
+            return res.status(409).json({
+                error: 'Too many API keys',
+                message: `An account can have at most ${AUTH_CONFIG.MAX_API_KEYS} active API keys.`,
+                suggestion: 'Revoke keys you no longer use.'
+            });
+        }
+
+        const { key, hash, hint } = generateApiKey();
+        const apiKey = await new ApiKey({
+            userId: req.user.id,
+            name: request.name,
+            keyHash: hash,
+            hint,
+            scopes: request.scopes
+        }).save();
+
+        console.log(`[AUTH] 🔑 Created API key ${apiKey._id} for user ${req.user.id}`);
+        res.status(201).json({
+            success: true,
+            message: 'Copy the key now; it will not be shown again.',
+            key,
+            apiKey: apiKey.getSummary()
+        });
+
+    } catch (error) {
+        console.error("[AUTH] ❌ Error creating API key:", error.message);
+        res.status(500).json({
+            error: 'Failed to create API key',
+            message: error.message
+        });
+    }
+};
+
+// ============================================
+// REVOKE
+// ============================================
+
+/**
+ * Revoked keys stay listed (with their last use) but no longer authenticate
+ */
+exports.revokeApiKey = async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid API key ID format' });
+    }
+
+    try {
+        const apiKey = await ApiKey.findOne({ _id: id, userId: req.user.id });
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+            console.log(`[AUTH] 🔒 Revoked API key ${apiKey._id}`);
+        }
+
+        res.status(200).json({ success: true, apiKey: apiKey.getSummary() });
+
+    } catch (error) {
+        console.error("[AUTH] ❌ Error revoking API key:", error.message);
+        res.status(500).json({
+            error: 'Failed to revoke API key',
+            message: error.message
+        });
+    }
+};
+
+module.exports = {
+    listApiKeys: exports.listApiKeys,
+    createApiKey: exports.createApiKey,
+    revokeApiKey: exports.revokeApiKey
+};
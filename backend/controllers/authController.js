@@ -0,0 +1,184 @@
+/**
+ * ============================================
+ * AUTH CONTROLLER
+ * ============================================
+ *
+ * - POST /api/auth/register → create an account and start a session
+ * - POST /api/auth/login    → start a session
+ * - POST /api/auth/logout   → end all sessions of the current user
+ * - GET  /api/auth/me       → the signed-in user
+ */
+
+const {
+    AUTH_CONFIG,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    setSessionCookie,
+    clearSessionCookie
+} = require('../utils/auth');
+const User = require('../models/User');
+
+const EMAIL_FORMAT = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const EMAIL_TAKEN = {
+    error: 'Email already registered',
+    message: 'An account with this email address already exists.',
+    suggestion: 'Log in instead, or use another email address.'
+};
+
+/**
+ * Validate register/login credentials (`name` is optional)
+ * Returns: { isValid, errors, email, name }
+ */
+function checkCredentials({ email, password, name }) {
+    const errors = [];
+
+    if (typeof email !== 'string' || !EMAIL_FORMAT.test(email.trim())) {
+        errors.push('email must be a valid email address');
+    }
+    if (typeof password !== 'string' ||
+        password.length < AUTH_CONFIG.PASSWORD_MIN_LENGTH ||
+        password.length > AUTH_CONFIG.PASSWORD_MAX_LENGTH) {
+        errors.push(`password must be ${AUTH_CONFIG.PASSWORD_MIN_LENGTH}-${AUTH_CONFIG.PASSWORD_MAX_LENGTH} characters`);
+    }
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim().length > 100)) {
+        errors.push('name must be a string of at most 100 characters');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        email: typeof email === 'string' ? email.trim().toLowerCase() : null,
+        name: typeof name === 'string' && name.trim() ? name.trim() : undefined
+    };
+}
+
+function startSession(res, user) {
+    setSessionCookie(res, signToken({ sub: String(user._id), ver: user.tokenVersion }));
+}
+
+// ============================================
+// REGISTER
+// ============================================
+
+exports.register = async (req, res, next) => {
+    const { password } = req.body || {};
+
+    const credentials = checkCredentials(req.body || {});
+    if (!credentials.isValid) {
+        return res.status(400).json({
+            error: 'Invalid registration details.',
+            details: credentials.errors
+        });
+    }
+
+    try {
+        if (await User.exists({ email: credentials.email })) {
+            return res.status(409).json(EMAIL_TAKEN);
+        }
+
+        const user = await new User({
+            email: credentials.email,
+            name: credentials.name,
+            passwordHash: await hashPassword(password),
+            lastLoginAt: new Date()
+        }).save();
+
+        console.log(`[AUTH] ✅ Registered user ${user._id}`);
+        startSession(res, user);
+        res.status(201).json({ success: true, user: user.getProfile() });
+
+    } catch (error) {
+        // A concurrent sign-up with the same email won the unique index
+        if (error.code === 11000) {
+            return res.status(409).json(EMAIL_TAKEN);
+        }
+        console.error("[AUTH] ❌ Error registering user:", error.message);
+        res.status(500).json({
+            error: 'Failed to register',
+            message: error.message
+        });
+    }
+};
+
+// ============================================
+// LOGIN / LOGOUT
+// ============================================
+
+exports.login = async (req, res, next) => {
+    const { password } = req.body || {};
+
+    const credentials = checkCredentials(req.body || {});
+    if (!credentials.isValid) {
+        return res.status(400).json({
+            error: 'Invalid login details.',
+            details: credentials.errors
+        });
+    }
+
+    try {
+        const user = await User.findOne({ email: credentials.email }).select('+passwordHash');
+
+        // Same response for unknown emails and wrong passwords
+        if (!user || !(await verifyPassword(password, user.passwordHash))) {
+            return res.status(401).json({
+                error: 'Invalid email or password'
+            });
+        }
+
+        user.lastLoginAt = new Date();
+        await user.save();
+
+        startSession(res, user);
+        res.status(200).json({ success: true, user: user.getProfile() });
+
+    } catch (error) {
+        console.error("[AUTH] ❌ Error logging in:", error.message);
+        res.status(500).json({
+            error: 'Failed to log in',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Revokes every token of the user (all devices), then clears the cookie
+ */
+exports.logout = async (req, res, next) => {
+    try {
+        await User.updateOne({ _id: req.user.id }, { $inc: { tokenVersion: 1 } });
+
+        clearSessionCookie(res);
+        res.status(200).json({ success: true, message: 'Logged out.' });
+
+    } catch (error) {
+        console.error("[AUTH] ❌ Error logging out:", error.message);
+        res.status(500).json({
+            error: 'Failed to log out',
+            message: error.message
+        });
+    }
+};
+
+exports.getCurrentUser = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        res.status(200).json({ success: true, user: user.getProfile() });
+
+    } catch (error) {
+        console.error("[AUTH] ❌ Error loading user:", error.message);
+        res.status(500).json({
+            error: 'Failed to load user',
+            message: error.message
+        });
+    }
+};
+
+module.exports = {
+    register: exports.register,
+    login: exports.login,
+    logout: exports.logout,
+    getCurrentUser: exports.getCurrentUser
+};
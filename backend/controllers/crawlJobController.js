@@ -0,0 +1,451 @@
+/**
+ * ============================================
+ * CRAWL JOB CONTROLLER
+ * ============================================
+ *
+ * Asynchronous alternative to the generate endpoints:
+ * - POST /api/crawls              → queue a crawl, returns the job id
+ * - GET  /api/crawls/:id          → job status, progress and result
+ * - GET  /api/crawls/:id/events   → live progress via Server-Sent Events
+ * - POST /api/crawls/:id/pause    → stop after in-flight pages, keep checkpoint
+ * - POST /api/crawls/:id/resume   → continue a paused job from its checkpoint
+ * - POST /api/crawls/:id/cancel   → stop and build a partial sitemap
+ * - GET  /api/crawls/:id/files/:name → one file of an XML sitemap (`.gz` for gzip)
+ * - GET  /api/crawls/:id/archive  → ZIP of the sitemap index and its children
+ */
+
+const { validateUrl } = require('../utils/urlValidator');
+const { validateCrawlOptions, withSavedSitemapRules } = require('../utils/crawlOptions');
+const {
+    createCrawlJob,
+    getJob,
+    subscribe,
+    pauseJob,
+    resumeJob,
+    cancelJob,
+    JOB_TYPES,
+    FINISHED_STATUSES
+} = require('../utils/crawlJobs');
+const { createZipArchive } = require('../utils/zipArchive');
+const { gzip, sendXmlFile } = require('../utils/compression');
+const { withGzipNames, INDEX_FILE_NAME } = require('../utils/xmlBuilder');
+const { STYLESHEET_FILE_NAME, readStylesheet, needsBundledStylesheet } = require('../utils/sitemapStylesheet');
+const Sitemap = require('../models/Sitemap');
+const mongoose = require('mongoose');
+const URL = require('url').URL;
+
+const HEARTBEAT_INTERVAL = 15000; // Keeps proxies from closing idle streams
+
+// ============================================
+// CREATE CRAWL JOB
+// ============================================
+
+/**
+ * Validate the request and queue a crawl job
+ * POST /api/crawls
+ */
+exports.createCrawl = async (req, res, next) => {
+    const { url, type = 'xml', projectName, crawlOptions } = req.body;
+
+    if (!url) {
+        return res.status(400).json({ error: 'Starting URL is required.' });
+    }
+
+    if (!JOB_TYPES.includes(type)) {
+        return res.status(400).json({
+            error: 'Invalid sitemap type.',
+            suggestion: `Use one of: ${JOB_TYPES.join(', ')}`
+        });
+    }
+
+    const optionsCheck = validateCrawlOptions(crawlOptions);
+    if (!optionsCheck.isValid) {
+        return res.status(400).json({
+            error: 'Invalid crawl options.',
+            details: optionsCheck.errors
+        });
+    }
+
+    try {
+        // 1. Validate URL format
+        let validUrl;
+        try {
+            validUrl = new URL(url).href;
+        } catch (e) {
+            return res.status(400).json({
+                error: 'Invalid URL format.',
+                suggestion: 'Please enter a valid URL (e.g., https://example.com)'
+            });
+        }
+
+        // 2. Validate URL safety
+        console.log(`[JOBS] 🔍 Validating URL: ${validUrl}`);
+        const validation = await validateUrl(validUrl);
+
+        if (!validation.canProceed) {
+            return res.status(400).json({
+                error: 'Cannot crawl this website safely',
+                issues: validation.issues,
+                warnings: validation.warnings,
+                isSafe: validation.isSafe,
+                message: 'This website has security issues. We cannot crawl it to protect your safety.'
+            });
+        }
+
+        // 3. Queue the job (with the project's saved sitemapRules)
+        const sitemap = await createCrawlJob({
+            url: validUrl,
+            type,
+            projectName,
+            userId: req.user.id,
+            options: await withSavedSitemapRules(optionsCheck.options, crawlOptions, validUrl, req.user.id)
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Crawl job queued.',
+            data: {
+                jobId: sitemap._id,
+                status: sitemap.status,
+                type: sitemap.type,
+                eventsUrl: `/api/crawls/${sitemap._id}/events`,
+                warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+            }
+        });
+
+    } catch (error) {
+        console.error("[JOBS] ❌ Error creating crawl job:", error.message);
+        res.status(500).json({
+            error: 'Failed to create crawl job',
+            message: error.message
+        });
+    }
+};
+
+// ============================================
+// GET CRAWL JOB
+// ============================================
+
+/**
+ * Job status with live progress, plus the generated content once finished
+ * GET /api/crawls/:id
+ */
+exports.getCrawl = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ error: 'Invalid job id.' });
+        }
+
+        const sitemap = await Sitemap.findOne({ _id: id, userId: req.user.id }).select('-pages +compressedContent');
+
+        if (!sitemap) {
+            return res.status(404).json({
+                error: 'Crawl job not found',
+                message: 'The requested crawl job does not exist or has been deleted.'
+            });
+        }
+
+        const job = getJob(id);
+        const isFinished = FINISHED_STATUSES.includes(sitemap.status);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                jobId: sitemap._id,
+                type: sitemap.type,
+                status: sitemap.status,
+                startUrl: sitemap.startUrl,
+                progress: job ? job.progress : sitemap.progress,
+                crawlSettings: sitemap.crawlSettings,
+                stats: isFinished ? sitemap.stats : undefined,
+                crawlReport: isFinished ? sitemap.crawlReport : undefined,
+                content: isFinished ? sitemap.getContent() : undefined,
+                sizeBytes: isFinished ? sitemap.sizeBytes : undefined,
+                compressionEnabled: isFinished ? sitemap.compressionEnabled : undefined,
+                files: isFinished && sitemap.files.length > 0
+                    ? sitemap.files.map(({ name, urlCount, sizeBytes }) => ({ name, urlCount, sizeBytes }))
+                    : undefined,
+                errors: sitemap.status === 'failed' ? sitemap.errorLog : undefined,
+                createdAt: sitemap.createdAt,
+                updatedAt: sitemap.updatedAt
+            }
+        });
+
+    } catch (error) {
+        console.error("[JOBS] ❌ Error retrieving crawl job:", error.message);
+        res.status(500).json({
+            error: 'Failed to retrieve crawl job',
+            message: error.message
+        });
+    }
+};
+
+// ============================================
+// STREAM CRAWL EVENTS (SSE)
+// ============================================
+
+/**
+ * Stream job progress as Server-Sent Events.
+ * Event names: status, page, complete, failed
+ * GET /api/crawls/:id/events
+ */
+exports.streamCrawlEvents = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ error: 'Invalid job id.' });
+        }
+
+        const sitemap = await Sitemap.findOne({ _id: id, userId: req.user.id }).select('status progress errorLog');
+
+        if (!sitemap) {
+            return res.status(404).json({ error: 'Crawl job not found' });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = ({ event, data }) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+            if (event === 'complete' || event === 'failed') {
+                res.end();
+            }
+        };
+
+        const unsubscribe = subscribe(id, send);
+
+        // Job no longer in memory (finished long ago or server restarted)
+        if (!unsubscribe) {
+            if (sitemap.status === 'failed') {
+                const lastError = sitemap.errorLog[sitemap.errorLog.length - 1];
+                send({ event: 'failed', data: { jobId: id, status: 'failed', message: lastError?.error } });
+            } else if (FINISHED_STATUSES.includes(sitemap.status)) {
+                send({ event: 'complete', data: { jobId: id, status: sitemap.status, sitemapId: id } });
+            } else {
+                send({ event: 'status', data: { jobId: id, status: sitemap.status, progress: sitemap.progress } });
+                res.end();
+            }
+            return;
+        }
+
+        // Replayed history already contained the final event
+        if (res.writableEnded) {
+            unsubscribe();
+            return;
+        }
+
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+        const cleanup = () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        };
+        req.on('close', cleanup);
+        res.on('finish', cleanup);
+
+    } catch (error) {
+        console.error("[JOBS] ❌ Error streaming crawl events:", error.message);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                error: 'Failed to stream crawl events',
+                message: error.message
+            });
+        }
+        res.end();
+    }
+};
+
+// ============================================
+// PAUSE / RESUME / CANCEL
+// ============================================
+
+/**
+ * Run a job action and translate its result into a response
+ */
+async function runJobAction(req, res, action, label) {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ error: 'Invalid job id.' });
+        }
+
+        // Jobs of other users look the same as missing ones
+        if (!(await Sitemap.exists({ _id: id, userId: req.user.id }))) {
+            return res.status(404).json({ error: 'Crawl job not found' });
+        }
+
+        const result = await action(id);
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ error: result.error });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Crawl job ${label}.`,
+            data: {
+                jobId: id,
+                status: result.status
+            }
+        });
+
+    } catch (error) {
+        console.error(`[JOBS] ❌ Error in ${label} request:`, error.message);
+        res.status(500).json({
+            error: 'Failed to update crawl job',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Pause a pending or running job
+ * POST /api/crawls/:id/pause
+ */
+exports.pauseCrawl = (req, res, next) => runJobAction(req, res, pauseJob, 'pause requested');
+
+/**
+ * Resume a paused job from its last checkpoint
+ * POST /api/crawls/:id/resume
+ */
+exports.resumeCrawl = (req, res, next) => runJobAction(req, res, resumeJob, 'resumed');
+
+/**
+ * Cancel a job; pages crawled so far become a partial sitemap
+ * POST /api/crawls/:id/cancel
+ */
+exports.cancelCrawl = (req, res, next) => runJobAction(req, res, cancelJob, 'cancellation requested');
+
+// ============================================
+// XML SITEMAP DOWNLOADS
+// ============================================
+
+/**
+ * Load a finished XML job and the files of its sitemap: the index and
+ * child sitemaps when it was split, otherwise just `sitemap.xml`
+ * Returns: { sitemap, files }, or null after sending an error response
+ */
+async function findSitemapFiles(req, res) {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        res.status(400).json({ error: 'Invalid job id.' });
+        return null;
+    }
+
+    const sitemap = await Sitemap.findOne({ _id: id, userId: req.user.id })
+        .select('-pages +compressedContent +files.content +files.compressedContent');
+
+    if (!sitemap || sitemap.type !== 'xml' || !FINISHED_STATUSES.includes(sitemap.status) || sitemap.status === 'failed') {
+        res.status(404).json({
+            error: 'Sitemap files not found',
+            message: 'This job is not a finished XML sitemap job.'
+        });
+        return null;
+    }
+
+    const files = sitemap.files.length > 0
+        ? sitemap.files.map(file => ({ name: file.name, lastmod: file.lastmod, content: file.getContent() }))
+        : [{ name: INDEX_FILE_NAME, content: sitemap.getContent() }];
+
+    return { sitemap, files };
+}
+
+/**
+ * Download one file (index or child sitemap) of an XML sitemap.
+ * Append `.gz` to the name for a gzip file (`sitemap.xml.gz`).
+ * GET /api/crawls/:id/files/:name
+ */
+exports.downloadCrawlFile = async (req, res, next) => {
+    try {
+        const found = await findSitemapFiles(req, res);
+        if (!found) return;
+
+        const { sitemap, files } = found;
+        const available = [...files, ...withGzipNames(files, new URL(sitemap.startUrl).origin)];
+        const file = available.find(entry => entry.name === req.params.name);
+
+        if (!file) {
+            return res.status(404).json({
+                error: 'Sitemap file not found',
+                suggestion: `Use one of: ${available.map(entry => entry.name).join(', ')}`
+            });
+        }
+
+        sendXmlFile(req, res, file.name, file.content);
+
+    } catch (error) {
+        console.error("[JOBS] ❌ Error downloading sitemap file:", error.message);
+        res.status(500).json({
+            error: 'Failed to download sitemap file',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Download the sitemap index and all child sitemaps as one ZIP file
+ * (`?format=gz` packs gzipped `.xml.gz` files). The bundled `sitemap.xsl`
+ * is added when the sitemaps reference it.
+ * GET /api/crawls/:id/archive
+ */
+exports.downloadCrawlArchive = async (req, res, next) => {
+    try {
+        const { format = 'xml' } = req.query;
+
+        if (!['xml', 'gz'].includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid archive format.',
+                suggestion: 'Use one of: xml, gz'
+            });
+        }
+
+        const found = await findSitemapFiles(req, res);
+        if (!found) return;
+
+        const { sitemap, files } = found;
+        const entries = format === 'gz'
+            ? withGzipNames(files, new URL(sitemap.startUrl).origin)
+                .map(file => ({ name: file.name, content: gzip(file.content) }))
+            : [...files];
+        if (needsBundledStylesheet(files[0].content)) {
+            entries.push({ name: STYLESHEET_FILE_NAME, content: readStylesheet() });
+        }
+        const archive = createZipArchive(entries);
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="sitemaps-${sitemap._id}.zip"`,
+            'Content-Length': archive.length
+        });
+        res.status(200).send(archive);
+
+    } catch (error) {
+        console.error("[JOBS] ❌ Error building sitemap archive:", error.message);
+        res.status(500).json({
+            error: 'Failed to build sitemap archive',
+            message: error.message
+        });
+    }
+};
+
+module.exports = {
+    createCrawl: exports.createCrawl,
+    getCrawl: exports.getCrawl,
+    streamCrawlEvents: exports.streamCrawlEvents,
+    pauseCrawl: exports.pauseCrawl,
+    resumeCrawl: exports.resumeCrawl,
+    cancelCrawl: exports.cancelCrawl,
+    downloadCrawlFile: exports.downloadCrawlFile,
+    downloadCrawlArchive: exports.downloadCrawlArchive
+};
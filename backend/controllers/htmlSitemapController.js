@@ -13,7 +13,12 @@
 const { validateUrl } = require('../utils/urlValidator');
 const { startSafeCrawl } = require('../utils/intelligentCrawler');
 const { buildHtmlSitemap } = require('../utils/htmlBuilder');
+const { validateCrawlOptions, toCrawlSettings, withSavedSitemapRules } = require('../utils/crawlOptions');
+const { buildPagesData, getSuccessfulUrls } = require('../utils/pageData');
+const { applyLastmod } = require('../utils/lastmod');
+const { applySitemapHints } = require('../utils/sitemapHints');
 const Sitemap = require('../models/Sitemap');
+const mongoose = require('mongoose');
 const URL = require('url').URL;
 
 // ============================================
@@ -22,17 +27,26 @@ const URL = require('url').URL;
 
 /**
  * Generate HTML sitemap and store detailed crawl data
- * POST /api/sitemap/html
+ * POST /api/generate-html
  */
 exports.generateHtmlSitemap = async (req, res, next) => {
-    const { url, projectName, userId = 'anonymous_user', saveToDb = true } = req.body;
+    const { url, projectName, saveToDb = true, crawlOptions } = req.body;
 
     if (!url) {
         return res.status(400).json({ error: 'Starting URL is required.' });
     }
 
+    const optionsCheck = validateCrawlOptions(crawlOptions);
+    if (!optionsCheck.isValid) {
+        return res.status(400).json({
+            error: 'Invalid crawl options.',
+            details: optionsCheck.errors
+        });
+    }
+
     const startTime = Date.now();
     let crawlResults = [];
+    let crawlReport = {};
 
     try {
         // ==================
@@ -72,9 +86,10 @@ exports.generateHtmlSitemap = async (req, res, next) => {
         // 3. START INTELLIGENT CRAWL
         // ==================
         console.log(`[CONTROLLER] 🚀 Starting intelligent crawl for: ${validUrl}`);
+        optionsCheck.options = await withSavedSitemapRules(optionsCheck.options, crawlOptions, validUrl, req.user.id);
         
         // This now returns array of page objects with metadata
-        crawlResults = await startSafeCrawl(validUrl);
+        ({ results: crawlResults, report: crawlReport } = await startSafeCrawl(validUrl, optionsCheck.options));
         
         if (!crawlResults || crawlResults.length === 0) {
             return res.status(404).json({ 
@@ -88,9 +103,7 @@ exports.generateHtmlSitemap = async (req, res, next) => {
         // ==================
         
         // Extract just URLs for HTML generation
-        const urlsList = crawlResults
-            .filter(result => result.success)
-            .map(result => result.url);
+        const urlsList = getSuccessfulUrls(crawlResults);
         
         // Build HTML sitemap
         const htmlOutput = buildHtmlSitemap(urlsList, validUrl);
@@ -105,29 +118,13 @@ exports.generateHtmlSitemap = async (req, res, next) => {
         const baseUrl = new URL(validUrl).origin;
         
         // Transform crawl results into page data for database
-        const pagesData = crawlResults.map(result => ({
-            url: result.url,
-            normalizedUrl: result.url,
-            depth: result.depth || 0,
-            crawlMethod: result.method || 'unknown',
-            success: result.success,
-            statusCode: result.statusCode || (result.success ? 200 : 500),
-            errorMessage: result.error || null,
-            loadTime: result.duration || 0,
-            metadata: {
-                title: result.metadata?.title || null,
-                description: result.metadata?.description || null,
-                keywords: result.metadata?.keywords || null,
-                h1: result.metadata?.h1 || null,
-                canonical: result.metadata?.canonical || null,
-                ogImage: result.metadata?.ogImage || null,
-                wordCount: result.metadata?.wordCount || 0,
-                hasMetaDescription: !!result.metadata?.description,
-                hasMetaKeywords: !!result.metadata?.keywords,
-                hasH1: !!result.metadata?.h1
-            },
-            lastCrawled: result.timestamp || new Date()
-        }));
+        // (lastmod is kept from the previous crawl for unchanged pages)
+        applyLastmod(crawlResults, await Sitemap.findPreviousPages(validUrl, req.user.id));
+        applySitemapHints(crawlResults, {
+            rules: optionsCheck.options.sitemapRules,
+            history: await Sitemap.findChangeHistory(validUrl, req.user.id)
+        });
+        const pagesData = buildPagesData(crawlResults);
         
         // ==================
         // 6. SAVE TO DATABASE (OPTIONAL)
@@ -139,26 +136,22 @@ exports.generateHtmlSitemap = async (req, res, next) => {
             console.log('[CONTROLLER] 💾 Saving to database...');
             
             const sitemapDocument = new Sitemap({
-                userId: userId,
+                userId: req.user.id,
                 projectName: projectName || `Sitemap - ${new URL(validUrl).hostname}`,
                 startUrl: validUrl,
                 baseUrl: baseUrl,
                 type: 'html',
-                content: htmlOutput,
                 pages: pagesData,
-                crawlSettings: {
-                    maxDepth: 3,
-                    maxPages: 50,
-                    puppeteerEnabled: true,
-                    screenshotsEnabled: false
-                },
+                crawlReport: crawlReport,
+                crawlSettings: toCrawlSettings(optionsCheck.options),
                 stats: {
                     totalDuration: totalDuration
                 },
-                sizeBytes: Buffer.byteLength(htmlOutput, 'utf8'),
                 status: 'completed',
                 createdAt: new Date()
             });
+            // Large sitemaps are stored gzipped
+            sitemapDocument.setContent(htmlOutput);
             
             try {
                 savedSitemap = await sitemapDocument.save();
@@ -188,9 +181,11 @@ exports.generateHtmlSitemap = async (req, res, next) => {
                     failedPages: failedPages,
                     successRate: `${Math.round((successfulPages / crawlResults.length) * 100)}%`,
                     duration: `${(totalDuration / 1000).toFixed(2)}s`,
-                    baseUrl: baseUrl
+                    baseUrl: baseUrl,
+                    crawlSettings: toCrawlSettings(optionsCheck.options)
                 },
                 statistics: savedSitemap ? savedSitemap.stats : null,
+                crawlReport: crawlReport,
                 warnings: validation.warnings.length > 0 ? validation.warnings : undefined
             }
         };
@@ -226,19 +221,24 @@ exports.generateHtmlSitemap = async (req, res, next) => {
 // ============================================
 
 /**
- * Retrieve a previously generated sitemap
- * GET /api/sitemap/html/:id
+ * Retrieve a previously generated HTML sitemap
+ * (other types: GET /api/sitemaps/:id)
+ * GET /api/html/:id
  */
 exports.getHtmlSitemap = async (req, res, next) => {
     try {
         const { id } = req.params;
         
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ error: 'Invalid sitemap id.' });
+        }
+        
         console.log(`[CONTROLLER] 🔍 Retrieving sitemap: ${id}`);
         
         // Find sitemap by ID
-        const sitemap = await Sitemap.findById(id);
+        const sitemap = await Sitemap.findOne({ _id: id, userId: req.user.id }).select('+compressedContent');
         
-        if (!sitemap) {
+        if (!sitemap || sitemap.type !== 'html') {
             return res.status(404).json({
                 error: 'Sitemap not found',
                 message: 'The requested sitemap does not exist or has been deleted.'
@@ -253,7 +253,7 @@ exports.getHtmlSitemap = async (req, res, next) => {
                 projectName: sitemap.projectName,
                 startUrl: sitemap.startUrl,
                 type: sitemap.type,
-                html: sitemap.content,
+                html: sitemap.getContent(),
                 stats: sitemap.stats,
                 pages: sitemap.pages.map(p => ({
                     url: p.url,
@@ -278,197 +278,11 @@ exports.getHtmlSitemap = async (req, res, next) => {
     }
 };
 
-// ============================================
-// GET ALL SITEMAPS FOR USER
-// ============================================
-
-/**
- * Get all sitemaps for a specific user
- * GET /api/sitemap/user/:userId
- */
-exports.getUserSitemaps = async (req, res, next) => {
-    try {
-        const { userId } = req.params;
-        const limit = parseInt(req.query.limit) || 10;
-        const page = parseInt(req.query.page) || 1;
-        const skip = (page - 1) * limit;
-        
-        console.log(`[CONTROLLER] 📋 Fetching sitemaps for user: ${userId}`);
-        
-        // Get sitemaps for user
-        const sitemaps = await Sitemap.find({ userId })
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit)
-            .select('-content -pages'); // Exclude large fields
-        
-        // Get total count
-        const totalCount = await Sitemap.countDocuments({ userId });
-        
-        res.status(200).json({
-            success: true,
-            data: {
-                sitemaps: sitemaps.map(s => s.getSummary()),
-                pagination: {
-                    currentPage: page,
-                    totalPages: Math.ceil(totalCount / limit),
-                    totalItems: totalCount,
-                    itemsPerPage: limit
-                }
-            }
-        });
-        
-    } catch (error) {
-        console.error("[CONTROLLER] ❌ Error fetching user sitemaps:", error.message);
-        res.status(500).json({ 
-            error: 'Failed to fetch sitemaps',
-            message: error.message
-        });
-    }
-};
-
-// ============================================
-// DELETE SITEMAP
-// ============================================
-
-/**
- * Delete a sitemap by ID
- * DELETE /api/sitemap/:id
- */
-exports.deleteSitemap = async (req, res, next) => {
-    try {
-        const { id } = req.params;
-        const { userId } = req.body; // For authorization
-        
-        console.log(`[CONTROLLER] 🗑️  Deleting sitemap: ${id}`);
-        
-        // Find and delete
-        const sitemap = await Sitemap.findOneAndDelete({ 
-            _id: id,
-            userId: userId // Ensure user owns the sitemap
-        });
-        
-        if (!sitemap) {
-            return res.status(404).json({
-                error: 'Sitemap not found',
-                message: 'The sitemap does not exist or you do not have permission to delete it.'
-            });
-        }
-        
-        res.status(200).json({
-            success: true,
-            message: 'Sitemap deleted successfully',
-            deletedId: id
-        });
-        
-    } catch (error) {
-        console.error("[CONTROLLER] ❌ Error deleting sitemap:", error.message);
-        res.status(500).json({ 
-            error: 'Failed to delete sitemap',
-            message: error.message
-        });
-    }
-};
-
-// ============================================
-// GET SEO REPORT FOR SITEMAP
-// ============================================
-
-/**
- * Get detailed SEO report for a sitemap
- * GET /api/sitemap/:id/seo-report
- */
-exports.getSEOReport = async (req, res, next) => {
-    try {
-        const { id } = req.params;
-        
-        console.log(`[CONTROLLER] 📊 Generating SEO report for: ${id}`);
-        
-        const sitemap = await Sitemap.findById(id);
-        
-        if (!sitemap) {
-            return res.status(404).json({
-                error: 'Sitemap not found'
-            });
-        }
-        
-        const seoIssues = sitemap.getSEOReport();
-        
-        res.status(200).json({
-            success: true,
-            data: {
-                sitemapId: id,
-                startUrl: sitemap.startUrl,
-                totalPages: sitemap.stats.totalPages,
-                issuesFound: seoIssues.length,
-                issues: seoIssues,
-                summary: {
-                    critical: seoIssues.filter(i => i.severity === 'high').length,
-                    warnings: seoIssues.filter(i => i.severity === 'medium').length,
-                    info: seoIssues.filter(i => i.severity === 'low').length
-                }
-            }
-        });
-        
-    } catch (error) {
-        console.error("[CONTROLLER] ❌ Error generating SEO report:", error.message);
-        res.status(500).json({ 
-            error: 'Failed to generate SEO report',
-            message: error.message
-        });
-    }
-};
-
-// ============================================
-// GET PERFORMANCE REPORT
-// ============================================
-
-/**
- * Get performance report for a sitemap
- * GET /api/sitemap/:id/performance
- */
-exports.getPerformanceReport = async (req, res, next) => {
-    try {
-        const { id } = req.params;
-        
-        console.log(`[CONTROLLER] ⚡ Generating performance report for: ${id}`);
-        
-        const sitemap = await Sitemap.findById(id);
-        
-        if (!sitemap) {
-            return res.status(404).json({
-                error: 'Sitemap not found'
-            });
-        }
-        
-        const performanceReport = sitemap.getPerformanceReport();
-        
-        res.status(200).json({
-            success: true,
-            data: {
-                sitemapId: id,
-                ...performanceReport
-            }
-        });
-        
-    } catch (error) {
-        console.error("[CONTROLLER] ❌ Error generating performance report:", error.message);
-        res.status(500).json({ 
-            error: 'Failed to generate performance report',
-            message: error.message
-        });
-    }
-};
-
 // ============================================
 // EXPORT MODULE
 // ============================================
 
 module.exports = {
     generateHtmlSitemap: exports.generateHtmlSitemap,
-    getHtmlSitemap: exports.getHtmlSitemap,
-    getUserSitemaps: exports.getUserSitemaps,
-    deleteSitemap: exports.deleteSitemap,
-    getSEOReport: exports.getSEOReport,
-    getPerformanceReport: exports.getPerformanceReport
+    getHtmlSitemap: exports.getHtmlSitemap
 };
\ No newline at end of file
@@ -0,0 +1,372 @@
+/**
+ * ============================================
+ * SITEMAP RESOURCE CONTROLLER
+ * ============================================
+ *
+ * The signed-in user's sitemaps of every type (generate endpoints, crawl
+ * jobs and the visual builder), mounted at /api/sitemaps:
+ * - GET    /api/sitemaps                  → list (pagination, filters)
+ * - GET    /api/sitemaps/:id              → one sitemap with its content
+ * - DELETE /api/sitemaps/:id              → delete
+ * - GET    /api/sitemaps/:id/seo-report   → pages missing titles, H1s...
+ * - GET    /api/sitemaps/:id/performance  → load times, slowest pages
+ * - GET    /api/sitemaps/:id/pages        → crawled page data (paginated)
+ */
+
+const { FINISHED_STATUSES } = require('../utils/crawlJobs');
+const Sitemap = require('../models/Sitemap');
+const mongoose = require('mongoose');
+const URL = require('url').URL;
+
+const PAGINATION = {
+    DEFAULT_LIMIT: 10,
+    MAX_LIMIT: 100,
+    MAX_PAGES_LIMIT: 500
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Page number and size from the query string (`page`, `limit`)
+ */
+function readPagination(query, maxLimit = PAGINATION.MAX_LIMIT) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || PAGINATION.DEFAULT_LIMIT, 1), maxLimit);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+function paginationInfo({ page, limit }, totalCount) {
+    return {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount,
+        itemsPerPage: limit
+    };
+}
+
+/**
+ * Load one of the user's sitemaps by the `:id` route parameter
+ * Returns the document, or null after sending a 400/404 response
+ */
+async function findSitemap(req, res, projection) {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        res.status(400).json({ error: 'Invalid sitemap id.' });
+        return null;
+    }
+
+    const sitemap = await Sitemap.findOne({ _id: id, userId: req.user.id }).select(projection);
+
+    if (!sitemap) {
+        res.status(404).json({
+            error: 'Sitemap not found',
+            message: 'The requested sitemap does not exist or has been deleted.'
+        });
+        return null;
+    }
+    return sitemap;
+}
+
+// ============================================
+// LIST SITEMAPS
+// ============================================
+
+/**
+ * List sitemaps, newest first
+ * Filters: type, status, startUrl
+ * GET /api/sitemaps?type=xml&status=completed&startUrl=https://example.com/&page=1&limit=10
+ */
+exports.listSitemaps = async (req, res, next) => {
+    try {
+        const { type, status, startUrl } = req.query;
+        const filter = { userId: req.user.id };
+
+        const types = Sitemap.schema.path('type').enumValues;
+        if (type !== undefined) {
+            if (!types.includes(type)) {
+                return res.status(400).json({
+                    error: 'Invalid type filter.',
+                    suggestion: `Use one of: ${types.join(', ')}`
+                });
+            }
+            filter.type = type;
+        }
+
+        const statuses = Sitemap.schema.path('status').enumValues;
+        if (status !== undefined) {
+            if (!statuses.includes(status)) {
+                return res.status(400).json({
+                    error: 'Invalid status filter.',
+                    suggestion: `Use one of: ${statuses.join(', ')}`
+                });
+            }
+            filter.status = status;
+        }
+
+        // Start URLs are stored the way `new URL()` writes them
+        if (startUrl !== undefined) {
+            try {
+                filter.startUrl = new URL(startUrl).href;
+            } catch (e) {
+                return res.status(400).json({
+                    error: 'Invalid startUrl filter.',
+                    suggestion: 'Please enter a valid URL (e.g., https://example.com)'
+                });
+            }
+        }
+
+        const pagination = readPagination(req.query);
+
+        const sitemaps = await Sitemap.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(pagination.skip)
+            .limit(pagination.limit)
+            .select('-content -pages'); // Exclude large fields
+        const totalCount = await Sitemap.countDocuments(filter);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sitemaps: sitemaps.map(s => s.getSummary()),
+                pagination: paginationInfo(pagination, totalCount)
+            }
+        });
+
+    } catch (error) {
+        console.error("[CONTROLLER] ❌ Error fetching sitemaps:", error.message);
+        res.status(500).json({
+            error: 'Failed to fetch sitemaps',
+            message: error.message
+        });
+    }
+};
+
+// ============================================
+// GET SITEMAP
+// ============================================
+
+/**
+ * One sitemap with its generated content (pages via /:id/pages)
+ * GET /api/sitemaps/:id
+ */
+exports.getSitemap = async (req, res, next) => {
+    try {
+        const sitemap = await findSitemap(req, res, '-pages +compressedContent');
+        if (!sitemap) return;
+
+        const isFinished = FINISHED_STATUSES.includes(sitemap.status);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...sitemap.getSummary(),
+                baseUrl: sitemap.baseUrl,
+                crawlSettings: sitemap.crawlSettings,
+                crawlReport: isFinished ? sitemap.crawlReport : undefined,
+                content: isFinished && sitemap.status !== 'failed' ? sitemap.getContent() : undefined,
+                sizeBytes: sitemap.sizeBytes,
+                files: sitemap.files.length > 0
+                    ? sitemap.files.map(({ name, urlCount, sizeBytes }) => ({ name, urlCount, sizeBytes }))
+                    : undefined
+            }
+        });
+
+    } catch (error) {
+        console.error("[CONTROLLER] ❌ Error retrieving sitemap:", error.message);
+        res.status(500).json({
+            error: 'Failed to retrieve sitemap',
+            message: error.message
+        });
+    }
+};
+
+// ============================================
+// DELETE SITEMAP
+// ============================================
+
+/**
+ * Delete a sitemap
+ * DELETE /api/sitemaps/:id
+ */
+exports.deleteSitemap = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ error: 'Invalid sitemap id.' });
+        }
+
+        console.log(`[CONTROLLER] 🗑️  Deleting sitemap: ${id}`);
+
+        const sitemap = await Sitemap.findOne({ _id: id, userId }).select('status');
+
+        if (!sitemap) {
+            return res.status(404).json({
+                error: 'Sitemap not found',
+                message: 'The requested sitemap does not exist or has been deleted.'
+            });
+        }
+
+        // A queued, running or paused crawl job still writes to its document
+        if (!FINISHED_STATUSES.includes(sitemap.status)) {
+            return res.status(409).json({
+                error: 'Crawl job is still active',
+                message: `This sitemap's crawl job is ${sitemap.status}.`,
+                suggestion: `Cancel it first: POST /api/crawls/${id}/cancel`
+            });
+        }
+
+        await Sitemap.deleteOne({ _id: id, userId });
+
+        res.status(200).json({
+            success: true,
+            message: 'Sitemap deleted successfully',
+            deletedId: id
+        });
+
+    } catch (error) {
+        console.error("[CONTROLLER] ❌ Error deleting sitemap:", error.message);
+        res.status(500).json({
+            error: 'Failed to delete sitemap',
+            message: error.message
+        });
+    }
+};
+
+// ============================================
+// GET SEO REPORT FOR SITEMAP
+// ============================================
+
+/**
+ * Get detailed SEO report for a sitemap
+ * GET /api/sitemaps/:id/seo-report
+ */
+exports.getSEOReport = async (req, res, next) => {
+    try {
+        const sitemap = await findSitemap(req, res, 'startUrl stats pages');
+        if (!sitemap) return;
+
+        console.log(`[CONTROLLER] 📊 Generating SEO report for: ${sitemap._id}`);
+
+        const seoIssues = sitemap.getSEOReport();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sitemapId: sitemap._id,
+                startUrl: sitemap.startUrl,
+                totalPages: sitemap.stats.totalPages,
+                issuesFound: seoIssues.length,
+                issues: seoIssues,
+                summary: {
+                    critical: seoIssues.filter(i => i.severity === 'high').length,
+                    warnings: seoIssues.filter(i => i.severity === 'medium').length,
+                    info: seoIssues.filter(i => i.severity === 'low').length
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error("[CONTROLLER] ❌ Error generating SEO report:", error.message);
+        res.status(500).json({
+            error: 'Failed to generate SEO report',
+            message: error.message
+        });
+    }
+};
+
+// ============================================
+// GET PERFORMANCE REPORT
+// ============================================
+
+/**
+ * Get performance report for a sitemap
+ * GET /api/sitemaps/:id/performance
+ */
+exports.getPerformanceReport = async (req, res, next) => {
+    try {
+        const sitemap = await findSitemap(req, res, 'stats pages');
+        if (!sitemap) return;
+
+        console.log(`[CONTROLLER] ⚡ Generating performance report for: ${sitemap._id}`);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sitemapId: sitemap._id,
+                ...sitemap.getPerformanceReport()
+            }
+        });
+
+    } catch (error) {
+        console.error("[CONTROLLER] ❌ Error generating performance report:", error.message);
+        res.status(500).json({
+            error: 'Failed to generate performance report',
+            message: error.message
+        });
+    }
+};
+
+// ============================================
+// GET CRAWLED PAGES
+// ============================================
+
+/**
+ * Crawled page data of a sitemap, in crawl order
+ * Filters: success (true/false), depth
+ * GET /api/sitemaps/:id/pages?success=false&page=1&limit=50
+ */
+exports.getSitemapPages = async (req, res, next) => {
+    try {
+        const { success, depth } = req.query;
+
+        if (success !== undefined && !['true', 'false'].includes(success)) {
+            return res.status(400).json({ error: 'Invalid success filter.', suggestion: 'Use true or false' });
+        }
+        if (depth !== undefined && !/^\d+$/.test(depth)) {
+            return res.status(400).json({ error: 'Invalid depth filter.', suggestion: 'Use a whole number' });
+        }
+
+        const sitemap = await findSitemap(req, res, 'pages');
+        if (!sitemap) return;
+
+        const pages = sitemap.pages.filter(page =>
+            (success === undefined || page.success === (success === 'true')) &&
+            (depth === undefined || page.depth === Number(depth))
+        );
+        const pagination = readPagination(req.query, PAGINATION.MAX_PAGES_LIMIT);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sitemapId: sitemap._id,
+                pages: pages.slice(pagination.skip, pagination.skip + pagination.limit),
+                pagination: paginationInfo(pagination, pages.length)
+            }
+        });
+
+    } catch (error) {
+        console.error("[CONTROLLER] ❌ Error fetching sitemap pages:", error.message);
+        res.status(500).json({
+            error: 'Failed to fetch sitemap pages',
+            message: error.message
+        });
+    }
+};
+
+// ============================================
+// EXPORT MODULE
+// ============================================
+
+module.exports = {
+    listSitemaps: exports.listSitemaps,
+    getSitemap: exports.getSitemap,
+    deleteSitemap: exports.deleteSitemap,
+    getSEOReport: exports.getSEOReport,
+    getPerformanceReport: exports.getPerformanceReport,
+    getSitemapPages: exports.getSitemapPages
+};
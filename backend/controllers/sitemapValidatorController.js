@@ -0,0 +1,87 @@
+/**
+ * ============================================
+ * SITEMAP VALIDATOR CONTROLLER
+ * ============================================
+ *
+ * Checks uploaded sitemaps against the sitemaps.org protocol rules and the
+ * image/video/news/hreflang extensions (see utils/sitemapValidator;
+ * rule checks, not XSD validation).
+ */
+
+const { validateSitemap } = require('../utils/sitemapValidator');
+const { SITEMAP_LIMITS } = require('../utils/xmlBuilder');
+const { gunzip, isGzipped } = require('../utils/compression');
+const URL = require('url').URL;
+
+/**
+ * Validate an uploaded sitemap or sitemap index
+ * POST /api/validate-sitemap?sitemapUrl=https://example.com/sitemap.xml
+ *
+ * Body: the file itself (application/xml, text/xml, application/gzip or
+ * application/octet-stream; gzipped files are detected), or JSON
+ * `{ xml, sitemapUrl }` for small files. `sitemapUrl` is where the file is
+ * hosted, for the same-host rule.
+ */
+exports.validateSitemapUpload = async (req, res, next) => {
+    try {
+        const isUpload = Buffer.isBuffer(req.body);
+        const sitemapUrl = req.query.sitemapUrl || (!isUpload && req.body?.sitemapUrl) || null;
+
+        if (sitemapUrl) {
+            let parsed = null;
+            try {
+                parsed = new URL(sitemapUrl);
+            } catch (e) {
+                // Reported below
+            }
+            if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+                return res.status(400).json({
+                    error: 'Invalid sitemapUrl.',
+                    suggestion: 'Use the full http(s) URL the sitemap is hosted at, e.g. https://example.com/sitemap.xml'
+                });
+            }
+        }
+
+        let xml = null;
+        if (isUpload && req.body.length > 0) {
+            try {
+                // One byte over the limit is enough to report the file as too large
+                xml = isGzipped(req.body)
+                    ? gunzip(req.body, SITEMAP_LIMITS.MAX_BYTES + 1)
+                    : req.body.toString('utf8');
+            } catch (e) {
+                return res.status(400).json({
+                    error: e instanceof RangeError ? 'Sitemap too large.' : 'Invalid gzip file.',
+                    message: e instanceof RangeError
+                        ? `Sitemaps may be at most ${SITEMAP_LIMITS.MAX_BYTES / (1024 * 1024)} MB uncompressed.`
+                        : e.message
+                });
+            }
+        } else if (!isUpload && typeof req.body?.xml === 'string' && req.body.xml.trim() !== '') {
+            xml = req.body.xml;
+        }
+
+        if (!xml) {
+            return res.status(400).json({
+                error: 'Sitemap content is required.',
+                suggestion: 'Send the file as the request body with Content-Type application/xml or application/gzip, or JSON { "xml": "..." }.'
+            });
+        }
+
+        const report = await validateSitemap(xml, { sitemapUrl });
+
+        console.log(`[VALIDATOR] ${report.valid ? '✅' : '❌'} ${report.type || 'unknown'} with ${report.entryCount} entries: ${report.errorCount} error(s), ${report.warningCount} warning(s)`);
+
+        res.status(200).json({
+            message: report.valid ? 'Sitemap passed the sitemap protocol checks.' : 'Sitemap has errors.',
+            ...report
+        });
+
+    } catch (error) {
+        console.error("Error in validateSitemapUpload:", error.message);
+        res.status(500).json({
+            error: 'Failed to validate sitemap',
+            message: error.message
+        });
+    }
+};
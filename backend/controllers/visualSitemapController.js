@@ -1,14 +1,32 @@
 const { validateUrl } = require('../utils/urlValidator');
 const { startSafeCrawl } = require('../utils/intelligentCrawler');
+const { validateCrawlOptions } = require('../utils/crawlOptions');
+const { getSuccessfulUrls } = require('../utils/pageData');
+const { buildHierarchy, validateHierarchy } = require('../utils/visualBuilder');
+const Sitemap = require('../models/Sitemap');
+const mongoose = require('mongoose');
 const URL = require('url').URL;
 
+// Saved trees and finished visual crawl jobs can be opened in the builder
+const LOADABLE_STATUSES = ['completed', 'partial'];
+
+const PROJECT_NAME_MAX_LENGTH = 100;
+
 exports.processVisualSitemap = async (req, res, next) => {
-    const { url } = req.body;
+    const { url, crawlOptions } = req.body;
 
     if (!url) {
         return res.status(400).json({ error: 'Starting URL is required.' });
     }
 
+    const optionsCheck = validateCrawlOptions(crawlOptions);
+    if (!optionsCheck.isValid) {
+        return res.status(400).json({
+            error: 'Invalid crawl options.',
+            details: optionsCheck.errors
+        });
+    }
+
     try {
         // 1. Validate URL format
         let validUrl;
@@ -43,7 +61,7 @@ exports.processVisualSitemap = async (req, res, next) => {
 
         // 5. Proceed with safe crawling
         console.log(`Starting safe crawl for: ${validUrl}`);
-        const urlsFound = await startSafeCrawl(validUrl);
+        const { results: urlsFound, report: crawlReport } = await startSafeCrawl(validUrl, optionsCheck.options);
 
         if (urlsFound.length === 0) {
             return res.status(404).json({ 
@@ -53,13 +71,14 @@ exports.processVisualSitemap = async (req, res, next) => {
         }
 
         // 6. Build hierarchical structure
-        const pages = buildHierarchy(urlsFound, validUrl);
+        const pages = buildHierarchy(getSuccessfulUrls(urlsFound), validUrl);
 
         // 7. Return response with warnings if any
         res.status(200).json({
             message: 'Visual sitemap data generated.',
             pages: pages,
             urlCount: urlsFound.length,
+            crawlReport,
             warnings: validation.warnings.length > 0 ? validation.warnings : undefined
         });
 
@@ -82,23 +101,111 @@ exports.processVisualSitemap = async (req, res, next) => {
     }
 };
 
+/**
+ * Validate the tree from the request body; sends a 400 and returns null when invalid
+ */
+function readTree(req, res) {
+    const treeCheck = validateHierarchy(req.body.pages);
+    if (!treeCheck.isValid) {
+        res.status(400).json({
+            error: 'Invalid visual sitemap tree.',
+            details: treeCheck.errors
+        });
+        return null;
+    }
+    return treeCheck;
+}
+
+/**
+ * Validate a project name from the request body; sends a 400 and returns null when invalid
+ */
+function readProjectName(req, res) {
+    const { projectName } = req.body;
+    if (typeof projectName !== 'string' || !projectName.trim() || projectName.trim().length > PROJECT_NAME_MAX_LENGTH) {
+        res.status(400).json({
+            error: 'Invalid project name.',
+            details: [`projectName must be 1-${PROJECT_NAME_MAX_LENGTH} characters`]
+        });
+        return null;
+    }
+    return projectName.trim();
+}
+
+/**
+ * Load one of the user's visual sitemaps; sends a 400/404 and returns null when there is none
+ */
+async function findVisualSitemap(req, res) {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+        res.status(400).json({ error: 'Invalid sitemap id.' });
+        return null;
+    }
+
+    const sitemap = await Sitemap.findOne({ _id: id, userId: req.user.id, type: 'visual' }).select('-pages');
+
+    if (!sitemap || !LOADABLE_STATUSES.includes(sitemap.status)) {
+        res.status(404).json({
+            error: 'Visual sitemap not found',
+            message: 'The visual sitemap does not exist or has been deleted.'
+        });
+        return null;
+    }
+    return sitemap;
+}
+
+/**
+ * Save an edited tree as a new visual sitemap
+ * POST /api/save
+ */
 exports.saveVisualSitemap = async (req, res, next) => {
     try {
-        const { url, pages } = req.body;
+        const { url, pages, projectName } = req.body;
         
         if (!url || !pages) {
             return res.status(400).json({ 
                 error: 'URL and pages data are required.' 
             });
         }
+
+        let validUrl;
+        try {
+            validUrl = new URL(url).href;
+        } catch (e) {
+            return res.status(400).json({
+                error: 'Invalid URL format.',
+                suggestion: 'Please enter a valid URL (e.g., https://example.com)'
+            });
+        }
+
+        const name = projectName === undefined || projectName === null
+            ? `Visual Sitemap - ${new URL(validUrl).hostname}`
+            : readProjectName(req, res);
+        if (!name) return;
+
+        const treeCheck = readTree(req, res);
+        if (!treeCheck) return;
+
+        const sitemapDocument = new Sitemap({
+            userId: req.user.id,
+            projectName: name,
+            startUrl: validUrl,
+            baseUrl: new URL(validUrl).origin,
+            type: 'visual',
+            stats: {
+                totalPages: treeCheck.nodeCount
+            },
+            status: 'completed'
+        });
+        sitemapDocument.setContent(treeCheck.pages);
+
+        const savedSitemap = await sitemapDocument.save();
+        console.log(`Saved visual sitemap with ID: ${savedSitemap._id}`);
         
-        // TODO: Implement your save logic here
-        const sitemapId = Date.now().toString();
-        
-        res.status(200).json({
+        res.status(201).json({
             message: 'Visual sitemap saved successfully',
-            id: sitemapId,
-            note: 'Implement your sitemap storage logic here'
+            id: savedSitemap._id,
+            nodeCount: treeCheck.nodeCount
         });
         
     } catch (error) {
@@ -110,91 +217,124 @@ exports.saveVisualSitemap = async (req, res, next) => {
     }
 };
 
-// FIXED: Proper hierarchical tree builder
-function buildHierarchy(urls, baseUrl) {
-    if (!urls || urls.length === 0) return [];
-
-    const base = new URL(baseUrl).origin;
-    
-    // Create a map to store all nodes
-    const nodeMap = new Map();
-    
-    // First pass: Create all nodes
-    urls.forEach(url => {
-        const path = url.replace(base, '');
-        const segments = path.split('/').filter(s => s);
-        
-        // Create full path for this URL
-        let currentPath = '';
-        segments.forEach((segment, index) => {
-            const previousPath = currentPath;
-            currentPath += '/' + segment;
-            
-            if (!nodeMap.has(currentPath)) {
-                const fullUrl = base + currentPath;
-                const title = segment
-                    .replace(/-/g, ' ')
-                    .replace(/_/g, ' ')
-                    .replace(/\.(html|php|aspx)$/i, '')
-                    .replace(/\b\w/g, l => l.toUpperCase());
-                
-                nodeMap.set(currentPath, {
-                    url: fullUrl,
-                    title: title || 'Home',
-                    path: currentPath,
-                    parentPath: previousPath || null,
-                    children: []
-                });
+/**
+ * List saved visual sitemaps, newest first
+ * GET /api/visual?page=&limit=
+ */
+exports.listVisualSitemaps = async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+        const page = parseInt(req.query.page) || 1;
+        const filter = { userId: req.user.id, type: 'visual', status: { $in: LOADABLE_STATUSES } };
+
+        const sitemaps = await Sitemap.find(filter)
+            .sort({ updatedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-content -pages'); // Exclude large fields
+        const totalCount = await Sitemap.countDocuments(filter);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sitemaps: sitemaps.map(s => s.getSummary()),
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalCount / limit),
+                    totalItems: totalCount,
+                    itemsPerPage: limit
+                }
             }
         });
-        
-        // Add root/homepage if not already added
-        if (segments.length === 0 || url === baseUrl) {
-            if (!nodeMap.has('/')) {
-                nodeMap.set('/', {
-                    url: baseUrl,
-                    title: 'Home',
-                    path: '/',
-                    parentPath: null,
-                    children: []
-                });
+
+    } catch (error) {
+        console.error("Error in listVisualSitemaps:", error.message);
+        res.status(500).json({
+            error: 'Failed to fetch visual sitemaps',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Load a saved tree (also works for finished visual crawl jobs)
+ * GET /api/visual/:id
+ */
+exports.getVisualSitemap = async (req, res, next) => {
+    try {
+        const sitemap = await findVisualSitemap(req, res);
+        if (!sitemap) return;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                id: sitemap._id,
+                projectName: sitemap.projectName,
+                url: sitemap.startUrl,
+                pages: sitemap.getContent(),
+                createdAt: sitemap.createdAt,
+                updatedAt: sitemap.updatedAt
             }
+        });
+
+    } catch (error) {
+        console.error("Error in getVisualSitemap:", error.message);
+        res.status(500).json({
+            error: 'Failed to load visual sitemap',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Replace the tree and/or project name of a saved visual sitemap
+ * PUT /api/visual/:id
+ */
+exports.updateVisualSitemap = async (req, res, next) => {
+    try {
+        const { pages, projectName } = req.body;
+
+        if (pages === undefined && projectName === undefined) {
+            return res.status(400).json({ error: 'Nothing to update.', suggestion: 'Send pages and/or projectName.' });
         }
-    });
-    
-    // Second pass: Build parent-child relationships
-    const rootNodes = [];
-    
-    nodeMap.forEach((node, path) => {
-        if (node.parentPath === null || node.parentPath === '') {
-            // This is a root node
-            rootNodes.push(node);
-        } else {
-            // Find parent and add this node as a child
-            const parent = nodeMap.get(node.parentPath);
-            if (parent) {
-                parent.children.push(node);
-            } else {
-                // If parent not found, treat as root
-                rootNodes.push(node);
-            }
+
+        const name = projectName === undefined ? null : readProjectName(req, res);
+        if (projectName !== undefined && !name) return;
+
+        const treeCheck = pages === undefined ? null : readTree(req, res);
+        if (pages !== undefined && !treeCheck) return;
+
+        const sitemap = await findVisualSitemap(req, res);
+        if (!sitemap) return;
+
+        if (treeCheck) {
+            sitemap.setContent(treeCheck.pages);
+            sitemap.set('stats.totalPages', treeCheck.nodeCount);
         }
-    });
-    
-    // Clean up: Remove path and parentPath from final output
-    const cleanNode = (node) => {
-        const cleaned = {
-            url: node.url,
-            title: node.title,
-            children: node.children.map(child => cleanNode(child))
-        };
-        return cleaned;
-    };
-    
-    return rootNodes.map(node => cleanNode(node));
-}
+        if (name) {
+            sitemap.projectName = name;
+        }
+        await sitemap.save();
+
+        res.status(200).json({
+            message: 'Visual sitemap updated successfully',
+            id: sitemap._id,
+            nodeCount: treeCheck ? treeCheck.nodeCount : undefined
+        });
+
+    } catch (error) {
+        console.error("Error in updateVisualSitemap:", error.message);
+        res.status(500).json({
+            error: 'Failed to update visual sitemap',
+            message: error.message
+        });
+    }
+};
 
 module.exports = {
     processVisualSitemap: exports.processVisualSitemap,
-    saveVisualSitemap: exports.saveVisualSitemap
-};
\ No newline at end of file
+    saveVisualSitemap: exports.saveVisualSitemap,
+    listVisualSitemaps: exports.listVisualSitemaps,
+    getVisualSitemap: exports.getVisualSitemap,
+    updateVisualSitemap: exports.updateVisualSitemap
+};
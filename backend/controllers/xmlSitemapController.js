@@ -1,15 +1,47 @@
 const { validateUrl } = require('../utils/urlValidator');
 const { startSafeCrawl } = require('../utils/intelligentCrawler');
-const { buildXmlSitemap } = require('../utils/xmlBuilder');
+const { validateCrawlOptions, toCrawlSettings, withSavedSitemapRules } = require('../utils/crawlOptions');
+const { getSuccessfulPages, buildPagesData } = require('../utils/pageData');
+const { applyLastmod } = require('../utils/lastmod');
+const { applySitemapHints } = require('../utils/sitemapHints');
+const { buildXmlSitemap, withGzipNames, listSitemapUrls, INDEX_FILE_NAME } = require('../utils/xmlBuilder');
+const { gzip, sendXmlFile } = require('../utils/compression');
+const { createZipArchive } = require('../utils/zipArchive');
+const { validateSitemapFiles } = require('../utils/sitemapValidator');
+const { STYLESHEET_FILE_NAME, readStylesheet, needsBundledStylesheet } = require('../utils/sitemapStylesheet');
+const Sitemap = require('../models/Sitemap');
+const mongoose = require('mongoose');
 const URL = require('url').URL;
 
+const OUTPUT_FORMATS = ['json', 'gz'];
+
+const DOWNLOAD_FORMATS = ['xml', 'gz', 'txt'];
+
 exports.generateXmlSitemap = async (req, res, next) => {
-    const { url } = req.body;
+    // format 'gz' responds with sitemap.xml.gz (or a ZIP of .xml.gz files when split)
+    const { url, projectName, saveToDb = true, crawlOptions, format = 'json' } = req.body;
 
     if (!url) {
         return res.status(400).json({ error: 'Starting URL is required.' });
     }
 
+    if (!OUTPUT_FORMATS.includes(format)) {
+        return res.status(400).json({
+            error: 'Invalid output format.',
+            suggestion: `Use one of: ${OUTPUT_FORMATS.join(', ')}`
+        });
+    }
+
+    const optionsCheck = validateCrawlOptions(crawlOptions);
+    if (!optionsCheck.isValid) {
+        return res.status(400).json({
+            error: 'Invalid crawl options.',
+            details: optionsCheck.errors
+        });
+    }
+
+    const startTime = Date.now();
+
     try {
         // 1. Validate URL format
         let validUrl;
@@ -42,9 +74,10 @@ exports.generateXmlSitemap = async (req, res, next) => {
             console.log('⚠️ Warnings:', validation.warnings);
         }
 
-        // 5. Proceed with safe crawling
+        // 5. Proceed with safe crawling (with the project's saved sitemapRules)
+        optionsCheck.options = await withSavedSitemapRules(optionsCheck.options, crawlOptions, validUrl, req.user.id);
         console.log(`Starting safe crawl for: ${validUrl}`);
-        const urlsFound = await startSafeCrawl(validUrl);
+        const { results: urlsFound, report: crawlReport } = await startSafeCrawl(validUrl, optionsCheck.options);
         
         if (urlsFound.length === 0) {
             return res.status(404).json({ 
@@ -53,14 +86,108 @@ exports.generateXmlSitemap = async (req, res, next) => {
             });
         }
 
-        // 6. Build XML
-        const xmlString = buildXmlSitemap(urlsFound);
+        // 6. Resolve <lastmod> (unchanged pages keep the previous crawl's value),
+        //    <priority> and <changefreq>
+        applyLastmod(urlsFound, await Sitemap.findPreviousPages(validUrl, req.user.id));
+        applySitemapHints(urlsFound, {
+            rules: optionsCheck.options.sitemapRules,
+            history: await Sitemap.findChangeHistory(validUrl, req.user.id)
+        });
+
+        // 7. Build XML (noindex pages are left out unless includeNoindex is set;
+        //    large or grouped sitemaps are split behind a sitemap index)
+        const { xml: xmlString, files, excluded, hreflangIssues } = buildXmlSitemap(getSuccessfulPages(urlsFound), {
+            includeNoindex: optionsCheck.options.includeNoindex,
+            sitemapGrouping: optionsCheck.options.sitemapGrouping,
+            maxUrlsPerSitemap: optionsCheck.options.maxUrlsPerSitemap,
+            imageSitemap: optionsCheck.options.imageSitemap,
+            videoSitemap: optionsCheck.options.videoSitemap,
+            sitemapMode: optionsCheck.options.sitemapMode,
+            newsPublicationName: optionsCheck.options.newsPublicationName,
+            newsLanguage: optionsCheck.options.newsLanguage,
+            xslStylesheet: optionsCheck.options.xslStylesheet,
+            stylesheetUrl: optionsCheck.options.stylesheetUrl,
+            baseUrl: new URL(validUrl).origin
+        });
+
+        // 8. Check the files against the sitemap protocol rules (reported, not blocking)
+        const protocolCheck = await validateSitemapFiles(files, new URL(validUrl).origin);
+
+        // 9. Save to database (optional) so the sitemap can be downloaded later
+        //    from GET /api/download-xml/:id
+        let savedSitemap = null;
+
+        if (saveToDb) {
+            const sitemapDocument = new Sitemap({
+                userId: req.user.id,
+                projectName: projectName || `Sitemap - ${new URL(validUrl).hostname}`,
+                startUrl: validUrl,
+                baseUrl: new URL(validUrl).origin,
+                type: 'xml',
+                pages: buildPagesData(urlsFound),
+                crawlReport: {
+                    ...crawlReport,
+                    excludedFromSitemap: excluded,
+                    hreflangIssues,
+                    validation: protocolCheck
+                },
+                crawlSettings: toCrawlSettings(optionsCheck.options),
+                stats: {
+                    totalDuration: Date.now() - startTime
+                },
+                status: 'completed',
+                createdAt: new Date()
+            });
+            // Large sitemaps are stored gzipped
+            sitemapDocument.setContent(xmlString);
+            sitemapDocument.setFiles(files);
+
+            try {
+                savedSitemap = await sitemapDocument.save();
+                console.log(`Saved XML sitemap with ID: ${savedSitemap._id}`);
+            } catch (dbError) {
+                console.error('Database save failed:', dbError.message);
+                // Continue anyway - don't fail the request
+            }
+        }
+
+        // 10. Gzipped file output
+        if (format === 'gz') {
+            res.set('X-Sitemap-Valid', String(protocolCheck.valid));
+            if (savedSitemap) {
+                res.set('X-Sitemap-Id', String(savedSitemap._id));
+            }
 
-        // 7. Return response with warnings if any
+            const gzFiles = withGzipNames(files, new URL(validUrl).origin);
+
+            if (gzFiles.length === 1) {
+                return sendXmlFile(req, res, gzFiles[0].name, gzFiles[0].content);
+            }
+
+            const entries = gzFiles.map(file => ({ name: file.name, content: gzip(file.content) }));
+            if (needsBundledStylesheet(xmlString)) {
+                entries.push({ name: STYLESHEET_FILE_NAME, content: readStylesheet() });
+            }
+
+            const archive = createZipArchive(entries);
+            res.set({
+                'Content-Type': 'application/zip',
+                'Content-Disposition': 'attachment; filename="sitemaps.zip"'
+            });
+            return res.status(200).send(archive);
+        }
+
+        // 11. Return response with warnings if any
         res.status(200).json({
             message: 'XML Sitemap generated successfully.',
+            sitemapId: savedSitemap ? savedSitemap._id : null,
             xml: xmlString,
+            files: files.length > 1 ? files : undefined,
             urlCount: urlsFound.length,
+            excludedFromSitemap: excluded,
+            hreflangIssues,
+            validation: protocolCheck,
+            crawlReport,
             warnings: validation.warnings.length > 0 ? validation.warnings : undefined
         });
 
@@ -83,23 +210,98 @@ exports.generateXmlSitemap = async (req, res, next) => {
     }
 };
 
+/**
+ * The XSL stylesheet referenced by sitemaps generated with `xslStylesheet`
+ * GET /api/sitemap.xsl
+ */
+exports.getSitemapStylesheet = (req, res, next) => {
+    try {
+        res.set({
+            'Content-Type': 'text/xsl; charset=utf-8',
+            'Cache-Control': 'public, max-age=86400'
+        });
+        res.status(200).send(readStylesheet());
+
+    } catch (error) {
+        console.error("Error in getSitemapStylesheet:", error.message);
+        res.status(500).json({
+            error: 'Failed to load sitemap stylesheet',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Download a saved XML sitemap
+ * - format=xml: sitemap.xml (a ZIP of the index and child sitemaps when split)
+ * - format=gz:  sitemap.xml.gz (a ZIP of .xml.gz files when split)
+ * - format=txt: sitemap.txt, one page URL per line
+ * GET /api/download-xml/:id?format=xml|gz|txt
+ */
 exports.downloadXmlSitemap = async (req, res, next) => {
     try {
         const { id } = req.params;
-        
-        // TODO: Implement your download logic here
-        // This could involve:
-        // - Retrieving stored sitemap from database/cache using the id
-        // - Generating the sitemap on-the-fly
-        // - Setting appropriate headers for file download
-        
-        // Placeholder response for now:
-        res.status(200).json({
-            message: 'Download functionality - to be implemented',
-            id: id,
-            note: 'Implement your sitemap storage and retrieval logic here'
+        const { format = 'xml' } = req.query;
+
+        if (!DOWNLOAD_FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid download format.',
+                suggestion: `Use one of: ${DOWNLOAD_FORMATS.join(', ')}`
+            });
+        }
+
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ error: 'Invalid sitemap id.' });
+        }
+
+        const sitemap = await Sitemap.findOne({ _id: id, userId: req.user.id })
+            .select('-pages +compressedContent +files.content +files.compressedContent');
+
+        // Crawl jobs still running (or failed) have no sitemap to download yet
+        if (!sitemap || sitemap.type !== 'xml' || !['completed', 'partial'].includes(sitemap.status)) {
+            return res.status(404).json({
+                error: 'XML sitemap not found',
+                message: 'No finished XML sitemap exists with this id.',
+                suggestion: 'Generate the sitemap again to get a new download link.'
+            });
+        }
+
+        const files = sitemap.files.length > 0
+            ? sitemap.files.map(file => ({ name: file.name, lastmod: file.lastmod, content: file.getContent() }))
+            : [{ name: INDEX_FILE_NAME, content: sitemap.getContent() }];
+
+        if (format === 'txt') {
+            const urls = listSitemapUrls(files);
+            res.set({
+                'Content-Type': 'text/plain; charset=utf-8',
+                'Content-Disposition': 'attachment; filename="sitemap.txt"'
+            });
+            return res.status(200).send(urls.length > 0 ? `${urls.join('\n')}\n` : '');
+        }
+
+        const origin = new URL(sitemap.startUrl).origin;
+        const output = format === 'gz' ? withGzipNames(files, origin) : files;
+
+        if (output.length === 1) {
+            return sendXmlFile(req, res, output[0].name, output[0].content);
+        }
+
+        const entries = output.map(file => ({
+            name: file.name,
+            content: format === 'gz' ? gzip(file.content) : file.content
+        }));
+        if (needsBundledStylesheet(files[0].content)) {
+            entries.push({ name: STYLESHEET_FILE_NAME, content: readStylesheet() });
+        }
+
+        const archive = createZipArchive(entries);
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="sitemaps-${sitemap._id}.zip"`,
+            'Content-Length': archive.length
         });
-        
+        res.status(200).send(archive);
+
     } catch (error) {
         console.error("Error in downloadXmlSitemap:", error.message);
         res.status(500).json({ 
@@ -107,4 +309,4 @@ exports.downloadXmlSitemap = async (req, res, next) => {
             message: error.message
         });
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,96 @@
+const { verifyToken, readSessionCookie, readBearerToken, hashApiKey } = require('../utils/auth');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+
+// Avoid a database write on every request while a client polls
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const unauthorized = (res, message = 'Please log in to continue.') => res.status(401).json({
+    error: 'Authentication required',
+    message
+});
+
+/**
+ * Resolve an API key to its owner, or null when the key is unknown or revoked
+ */
+async function authenticateApiKey(key) {
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+    const user = apiKey && await User.findById(apiKey.userId).select('email');
+    if (!user) return null;
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+        ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+            .catch(error => console.error("[AUTH] ❌ Error updating API key usage:", error.message));
+    }
+
+    return { id: String(user._id), email: user.email, apiKey: { id: String(apiKey._id), scopes: apiKey.scopes } };
+}
+
+/**
+ * Require a signed-in user: verifies the `Authorization: Bearer` API key,
+ * or else the session cookie, and sets `req.user` ({ id, email, apiKey? }).
+ * Responds 401 otherwise. Routes open to API keys add requireScope.
+ */
+exports.requireAuth = async (req, res, next) => {
+    try {
+        const bearer = readBearerToken(req);
+
+        if (bearer !== null) {
+            const caller = bearer && await authenticateApiKey(bearer);
+            if (!caller) {
+                return unauthorized(res, 'The API key is invalid or has been revoked.');
+            }
+
+            req.user = caller;
+            return next();
+        }
+
+        const claims = verifyToken(readSessionCookie(req));
+        const user = claims && await User.findById(claims.sub).select('email tokenVersion');
+
+        // Logged out (tokenVersion bumped) or account deleted
+        if (!user || user.tokenVersion !== claims.ver) {
+            return unauthorized(res);
+        }
+
+        req.user = { id: String(user._id), email: user.email };
+        next();
+
+    } catch (error) {
+        console.error("[AUTH] ❌ Error checking session:", error.message);
+        res.status(500).json({
+            error: 'Failed to check session',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Use after requireAuth: an API key must have `scope` ('read' | 'generate').
+ * Browser sessions have every scope.
+ */
+exports.requireScope = (scope) => (req, res, next) => {
+    if (req.user && req.user.apiKey && !req.user.apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+            error: 'Insufficient scope',
+            message: `This API key needs the "${scope}" scope for this endpoint.`,
+            suggestion: 'Create a key with the generate scope on the API Keys page.'
+        });
+    }
+    next();
+};
+
+/**
+ * Use after requireAuth: only browser sessions, not API keys
+ * (so a leaked key cannot create more keys or end sessions)
+ */
+exports.requireSession = (req, res, next) => {
+    if (req.user && req.user.apiKey) {
+        return res.status(403).json({
+            error: 'Session required',
+            message: 'This endpoint cannot be used with an API key.',
+            suggestion: 'Log in to the web app to manage API keys.'
+        });
+    }
+    next();
+};
@@ -0,0 +1,70 @@
+/**
+ * ============================================
+ * API KEY MODEL
+ * ============================================
+ *
+ * Per-user keys for programmatic access (`Authorization: Bearer <key>`).
+ * Only the SHA-256 hash of a key is stored; the key itself is shown once
+ * when it is created (see utils/auth.js).
+ */
+
+const mongoose = require('mongoose');
+const { AUTH_CONFIG } = require('../utils/auth');
+
+const ApiKeySchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // e.g. `smk_AbCd…wxYz`, to recognise the key in lists
+    hint: {
+        type: String,
+        required: true
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: AUTH_CONFIG.API_KEY_SCOPES
+        }],
+        required: true
+    },
+    lastUsedAt: Date,
+    revokedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ApiKeySchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Public key details (never the hash)
+ */
+ApiKeySchema.methods.getSummary = function() {
+    return {
+        id: this._id,
+        name: this.name,
+        hint: this.hint,
+        scopes: this.scopes,
+        createdAt: this.createdAt,
+        lastUsedAt: this.lastUsedAt || null,
+        revokedAt: this.revokedAt || null,
+        status: this.revokedAt ? 'revoked' : 'active'
+    };
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
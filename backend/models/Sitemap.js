@@ -12,6 +12,11 @@
  */
 
 const mongoose = require('mongoose');
+const { gzip, gunzip, shouldCompress } = require('../utils/compression');
+const { LASTMOD_SOURCES, LEGACY_LASTMOD_SOURCES } = require('../utils/lastmod');
+const { CHANGEFREQS, CHANGEFREQ_SOURCES } = require('../utils/sitemapHints');
+const { VIDEO_SOURCES } = require('../utils/pageMedia');
+const { NEWS_SOURCES } = require('../utils/newsSitemap');
 
 // ============================================
 // SUB-SCHEMAS FOR NESTED DATA
@@ -72,13 +77,87 @@ const PageDataSchema = new mongoose.Schema({
         hasH1: Boolean
     },
     
-    // Link analysis
+    // Robots directives (<meta name="robots"> and X-Robots-Tag)
+    robots: {
+        noindex: {
+            type: Boolean,
+            default: false
+        },
+        nofollow: {
+            type: Boolean,
+            default: false
+        },
+        metaRobots: String,
+        xRobotsTag: String
+    },
+    
+    // Link analysis (internalLinks: in-scope links found on the page)
     internalLinks: [{
         type: String
     }],
+    inlinkCount: Number, // Crawled pages linking here
+    
+    // Content images (<img>) for image sitemaps
+    images: [{
+        url: String,
+        srcset: String,
+        alt: String,
+        title: String,
+        _id: false
+    }],
+    
+    // Videos (<video>, YouTube/Vimeo embeds, VideoObject) for video sitemaps
+    videos: [{
+        source: {
+            type: String,
+            enum: VIDEO_SOURCES
+        },
+        contentUrl: String,
+        playerUrl: String,
+        thumbnailUrl: String,
+        title: String,
+        description: String,
+        duration: Number, // Seconds
+        publicationDate: String,
+        _id: false
+    }],
+    
+    // hreflang alternates (<link rel="alternate" hreflang>)
+    alternates: [{
+        hreflang: String,
+        url: String,
+        _id: false
+    }],
+    
+    // Publication data of news articles (see utils/newsSitemap)
+    news: {
+        publishedAt: Date,
+        title: String,
+        publicationName: String,
+        language: String,
+        source: {
+            type: String,
+            enum: NEWS_SOURCES
+        }
+    },
     externalLinks: [{
         type: String
     }],
+    // Canonicalization: the canonical URL this page points to (when it is
+    // a duplicate) and, on canonical pages, the duplicate URLs merged into it
+    canonicalUrl: String,
+    isCanonical: {
+        type: Boolean,
+        default: true
+    },
+    aliases: [{
+        type: String
+    }],
+    
+    // Links marked rel="nofollow" (not followed by the crawler)
+    nofollowLinks: [{
+        type: String
+    }],
     brokenLinks: [{
         url: String,
         statusCode: Number
@@ -94,6 +173,26 @@ const PageDataSchema = new mongoose.Schema({
     lastCrawled: {
         type: Date,
         default: Date.now
+    },
+    
+    // <lastmod> value and where it came from (see utils/lastmod.js)
+    lastmod: Date,
+    lastmodSource: {
+        type: String,
+        enum: [...LASTMOD_SOURCES, ...LEGACY_LASTMOD_SOURCES]
+    },
+    // Hash of the page text; an unchanged hash keeps the previous lastmod
+    contentHash: String,
+    
+    // <priority> and <changefreq> (see utils/sitemapHints.js)
+    priority: Number,
+    changefreq: {
+        type: String,
+        enum: CHANGEFREQS
+    },
+    changefreqSource: {
+        type: String,
+        enum: CHANGEFREQ_SOURCES
     }
 }, { _id: false });
 
@@ -157,6 +256,70 @@ const CrawlStatsSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
+/**
+ * One file of a split XML sitemap (the index or a child sitemap)
+ */
+const SitemapFileSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    urlCount: Number,
+    sizeBytes: Number, // Uncompressed size
+    lastmod: Date, // Latest lastmod of the file's pages (listed in the index)
+    content: {
+        type: String,
+        select: false // Loaded only for downloads
+    },
+    // Gzipped content for large files (`content` is then empty)
+    compressedContent: {
+        type: Buffer,
+        select: false
+    }
+}, { _id: false });
+
+/**
+ * File content, decompressed when stored gzipped
+ * (select `+files.content +files.compressedContent` first)
+ */
+SitemapFileSchema.methods.getContent = function() {
+    return this.compressedContent ? gunzip(this.compressedContent) : this.content;
+};
+
+/**
+ * Resumable state of an asynchronous crawl job
+ */
+const CrawlCheckpointSchema = new mongoose.Schema({
+    // Validated crawl options the job was started with
+    options: mongoose.Schema.Types.Mixed,
+    visited: [{
+        type: String
+    }],
+    frontier: [{
+        url: String,
+        depth: Number,
+        source: String, // 'start' | 'sitemap' (links when unset)
+        _id: false
+    }],
+    // Internal URLs some crawled page linked to (orphan detection)
+    linked: [{
+        type: String
+    }],
+    seedsQueued: Boolean,
+    // URLs already reported as skipped (robots.txt or URL rules)
+    skipped: [{
+        type: String
+    }],
+    // Crawler results so far, with link lists as indexes into linkTable
+    // (see compactResults in utils/crawlJobs.js)
+    results: mongoose.Schema.Types.Mixed,
+    linkTable: [{
+        type: String
+    }],
+    report: mongoose.Schema.Types.Mixed,
+    savedAt: Date
+}, { _id: false });
+
 // ============================================
 // MAIN SITEMAP SCHEMA
 // ============================================
@@ -201,6 +364,72 @@ const SitemapSchema = new mongoose.Schema({
     crawlSettings: {
         maxDepth: Number,
         maxPages: Number,
+        delay: Number, // milliseconds between requests
+        maxChildrenPerPage: Number,
+        robotsMode: {
+            type: String,
+            enum: ['ignore', 'respect'],
+            default: 'ignore'
+        },
+        seedFromSitemaps: {
+            type: Boolean,
+            default: false
+        },
+        include: [String], // URL patterns (globs or /regex/)
+        exclude: [String],
+        queryParams: {
+            type: String,
+            enum: ['strip', 'allowlist', 'keep'],
+            default: 'strip'
+        },
+        allowedParams: [String],
+        scope: {
+            type: String,
+            enum: ['origin', 'domain', 'hosts', 'path'],
+            default: 'origin'
+        },
+        scopeHosts: [String],
+        scopePath: String,
+        includeNoindex: {
+            type: Boolean,
+            default: false
+        },
+        sitemapGrouping: {
+            type: String,
+            enum: ['none', 'section', 'contentType'],
+            default: 'none'
+        },
+        maxUrlsPerSitemap: Number,
+        imageSitemap: {
+            type: Boolean,
+            default: false
+        },
+        videoSitemap: {
+            type: Boolean,
+            default: false
+        },
+        sitemapMode: {
+            type: String,
+            enum: ['standard', 'news'],
+            default: 'standard'
+        },
+        newsPublicationName: String,
+        newsLanguage: String,
+        xslStylesheet: {
+            type: Boolean,
+            default: false
+        },
+        stylesheetUrl: String,
+        // Per-project changefreq/priority overrides by URL pattern
+        sitemapRules: [{
+            pattern: String,
+            changefreq: {
+                type: String,
+                enum: CHANGEFREQS
+            },
+            priority: Number,
+            _id: false
+        }],
         puppeteerEnabled: {
             type: Boolean,
             default: true
@@ -216,14 +445,32 @@ const SitemapSchema = new mongoose.Schema({
     // ==================
     content: {
         type: mongoose.Schema.Types.Mixed,
-        required: true
+        // Crawl jobs are created before any content exists;
+        // large content lives in `compressedContent` instead
+        required: function() {
+            return (this.status === 'completed' || this.status === 'partial') && !this.compressionEnabled;
+        }
+    },
+    // Gzipped `content` when compressionEnabled (see setContent/getContent)
+    compressedContent: {
+        type: Buffer,
+        select: false
     },
+    // XML sitemaps split into child sitemaps: `sitemap.xml` (the index,
+    // same as `content`) followed by the children
+    files: [SitemapFileSchema],
     
     // ==================
     // DETAILED PAGE DATA
     // ==================
     pages: [PageDataSchema],
     
+    // What the crawler skipped and why (robots.txt etc.)
+    crawlReport: {
+        type: mongoose.Schema.Types.Mixed,
+        default: () => ({})
+    },
+    
     // ==================
     // STATISTICS & ANALYTICS
     // ==================
@@ -250,6 +497,7 @@ const SitemapSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // sizeBytes is always the uncompressed size
     compressionEnabled: {
         type: Boolean,
         default: false
@@ -260,7 +508,7 @@ const SitemapSchema = new mongoose.Schema({
     // ==================
     status: {
         type: String,
-        enum: ['pending', 'processing', 'completed', 'failed', 'partial'],
+        enum: ['pending', 'processing', 'paused', 'completed', 'failed', 'partial'],
         default: 'completed'
     },
     errorLog: [{
@@ -269,6 +517,27 @@ const SitemapSchema = new mongoose.Schema({
         url: String
     }],
     
+    // Live progress of an asynchronous crawl job
+    progress: {
+        pagesCrawled: {
+            type: Number,
+            default: 0
+        },
+        pagesDiscovered: {
+            type: Number,
+            default: 0
+        },
+        maxPages: Number,
+        startedAt: Date,
+        finishedAt: Date
+    },
+    
+    // Saved periodically so paused or interrupted crawls can resume
+    checkpoint: {
+        type: CrawlCheckpointSchema,
+        select: false // Don't include by default (large data)
+    },
+    
     // ==================
     // SCHEDULING & RE-CRAWL
     // ==================
@@ -364,6 +633,8 @@ SitemapSchema.pre('save', function(next) {
             pagesWithoutDescription: this.pages.filter(p => !p.metadata?.description).length,
             brokenLinksCount: this.pages.reduce((sum, p) => sum + (p.brokenLinks?.length || 0), 0),
             maxDepthReached: Math.max(...this.pages.map(p => p.depth || 0)),
+            // Measured by the caller, not derivable from pages
+            totalDuration: this.stats?.totalDuration || 0,
         };
         
         // Calculate average load time
@@ -389,6 +660,55 @@ SitemapSchema.pre('save', function(next) {
 // INSTANCE METHODS
 // ============================================
 
+/**
+ * Store generated content, gzipping text larger than the storage threshold.
+ * Also sets sizeBytes (uncompressed) and compressionEnabled.
+ */
+SitemapSchema.methods.setContent = function(content) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    this.sizeBytes = Buffer.byteLength(text, 'utf8');
+    this.compressionEnabled = shouldCompress(content);
+
+    if (this.compressionEnabled) {
+        this.compressedContent = gzip(content);
+        this.content = undefined;
+    } else {
+        this.content = content;
+        this.compressedContent = undefined;
+    }
+};
+
+/**
+ * Generated content, decompressed when stored gzipped
+ * (select `+compressedContent` first)
+ */
+SitemapSchema.methods.getContent = function() {
+    if (!this.compressionEnabled) return this.content;
+
+    if (!this.compressedContent) {
+        throw new Error('Compressed content was not loaded; select +compressedContent');
+    }
+    return gunzip(this.compressedContent);
+};
+
+/**
+ * Store the files of a split XML sitemap, gzipping large ones
+ * @param {Array<{ name: string, content: string, urlCount: number, lastmod: Date }>} files
+ */
+SitemapSchema.methods.setFiles = function(files) {
+    this.files = files.map(file => {
+        const compressed = shouldCompress(file.content);
+        return {
+            name: file.name,
+            urlCount: file.urlCount,
+            sizeBytes: Buffer.byteLength(file.content, 'utf8'),
+            lastmod: file.lastmod || undefined,
+            content: compressed ? undefined : file.content,
+            compressedContent: compressed ? gzip(file.content) : undefined
+        };
+    });
+};
+
 /**
  * Get summary statistics
  */
@@ -488,6 +808,88 @@ SitemapSchema.statics.findByUser = function(userId, limit = 10) {
         .select('-pages.screenshot -content'); // Exclude large fields
 };
 
+/**
+ * `sitemapRules` saved with the user's latest crawl of the same start URL
+ * (rules are kept per project). Null when there is no earlier crawl or
+ * the database is offline.
+ */
+SitemapSchema.statics.findSavedSitemapRules = async function(startUrl, userId) {
+    if (mongoose.connection.readyState !== 1) return null;
+    
+    // crawlSettings.maxPages is set on every crawl (not on saved visual maps)
+    const latest = await this.findOne({ startUrl, userId, 'crawlSettings.maxPages': { $exists: true } })
+        .sort({ createdAt: -1 })
+        .select('crawlSettings.sitemapRules');
+    if (!latest) return null;
+    
+    return (latest.crawlSettings.sitemapRules || []).map(rule => {
+        const { pattern, changefreq, priority } = rule.toObject();
+        return Object.fromEntries(Object.entries({ pattern, changefreq, priority }).filter(([, value]) => value !== undefined && value !== null));
+    });
+};
+
+/**
+ * Pages of the user's most recent earlier crawl of the same start URL, keyed by
+ * normalized URL: { contentHash, lastmod }. Used to keep <lastmod> stable
+ * for unchanged pages (a legacy crawl-time lastmod is not kept). Empty when
+ * there is none or the database is offline.
+ */
+SitemapSchema.statics.findPreviousPages = async function(startUrl, userId, excludeId = null) {
+    const pages = new Map();
+    if (mongoose.connection.readyState !== 1) return pages;
+    
+    const query = {
+        startUrl,
+        userId,
+        status: { $in: ['completed', 'partial'] },
+        'pages.contentHash': { $exists: true }
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+    
+    const previous = await this.findOne(query)
+        .sort({ createdAt: -1 })
+        .select('pages.url pages.normalizedUrl pages.contentHash pages.lastmod pages.lastmodSource');
+    
+    (previous?.pages || []).forEach(page => {
+        if (page.contentHash) {
+            const lastmod = LEGACY_LASTMOD_SOURCES.includes(page.lastmodSource) ? null : page.lastmod;
+            pages.set(page.normalizedUrl || page.url, { contentHash: page.contentHash, lastmod });
+        }
+    });
+    return pages;
+};
+
+/**
+ * Content hashes of each page across the user's earlier crawls of a start URL,
+ * by normalized URL: [{ crawledAt, contentHash }]. Used to infer changefreq.
+ * Empty when there are none or the database is offline.
+ */
+SitemapSchema.statics.findChangeHistory = async function(startUrl, userId, excludeId = null, limit = 10) {
+    const history = new Map();
+    if (mongoose.connection.readyState !== 1) return history;
+    
+    const query = {
+        startUrl,
+        userId,
+        status: { $in: ['completed', 'partial'] },
+        'pages.contentHash': { $exists: true }
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+    
+    const crawls = await this.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('pages.url pages.normalizedUrl pages.contentHash pages.lastCrawled');
+    
+    crawls.forEach(crawl => crawl.pages.forEach(page => {
+        if (!page.contentHash) return;
+        const key = page.normalizedUrl || page.url;
+        if (!history.has(key)) history.set(key, []);
+        history.get(key).push({ crawledAt: page.lastCrawled, contentHash: page.contentHash });
+    }));
+    return history;
+};
+
 /**
  * Find sitemap by share token
  */
@@ -0,0 +1,56 @@
+/**
+ * ============================================
+ * USER MODEL
+ * ============================================
+ *
+ * Accounts that own sitemaps (`Sitemap.userId` is the user's id).
+ * Passwords are stored hashed (see utils/auth.js).
+ */
+
+const mongoose = require('mongoose');
+
+const UserSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        maxlength: 254
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    passwordHash: {
+        type: String,
+        required: true,
+        select: false // Loaded only to check a login
+    },
+    // Incremented on logout; tokens issued with an older version are rejected
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    lastLoginAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+/**
+ * Public account details
+ */
+UserSchema.methods.getProfile = function() {
+    return {
+        id: this._id,
+        email: this.email,
+        name: this.name,
+        createdAt: this.createdAt,
+        lastLoginAt: this.lastLoginAt
+    };
+};
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { requireAuth, requireSession } = require('../middleware/auth');
+
+// Keys are managed from a browser session only
+router.use(requireAuth, requireSession);
+
+router.get('/', apiKeyController.listApiKeys);
+router.post('/', apiKeyController.createApiKey);
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
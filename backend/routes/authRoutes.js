@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireAuth, requireScope, requireSession } = require('../middleware/auth');
+
+router.post('/register', authController.register);
+router.post('/login', authController.login);
+router.post('/logout', requireAuth, requireSession, authController.logout);
+router.get('/me', requireAuth, requireScope('read'), authController.getCurrentUser);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const crawlJobController = require('../controllers/crawlJobController');
+const { requireAuth, requireScope } = require('../middleware/auth');
+
+// Jobs belong to the signed-in user
+router.use(requireAuth);
+
+router.post('/', requireScope('generate'), crawlJobController.createCrawl);
+router.get('/:id', requireScope('read'), crawlJobController.getCrawl);
+router.get('/:id/events', requireScope('read'), crawlJobController.streamCrawlEvents);
+router.post('/:id/pause', requireScope('generate'), crawlJobController.pauseCrawl);
+router.post('/:id/resume', requireScope('generate'), crawlJobController.resumeCrawl);
+router.post('/:id/cancel', requireScope('generate'), crawlJobController.cancelCrawl);
+router.get('/:id/files/:name', requireScope('read'), crawlJobController.downloadCrawlFile);
+router.get('/:id/archive', requireScope('read'), crawlJobController.downloadCrawlArchive);
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const htmlSitemapController = require('../controllers/htmlSitemapController'); 
+const { requireAuth, requireScope } = require('../middleware/auth');
 
 // Change '/generate' to '/generate-html' to match frontend
-router.post('/generate-html', htmlSitemapController.generateHtmlSitemap);
-router.get('/:id', htmlSitemapController.getHtmlSitemap);
+router.post('/generate-html', requireAuth, requireScope('generate'), htmlSitemapController.generateHtmlSitemap);
+router.get('/html/:id', requireAuth, requireScope('read'), htmlSitemapController.getHtmlSitemap);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const sitemapController = require('../controllers/sitemapController');
+const { requireAuth, requireScope, requireSession } = require('../middleware/auth');
+
+// Every sitemap belongs to the signed-in user
+router.use(requireAuth);
+
+router.get('/', requireScope('read'), sitemapController.listSitemaps);
+router.get('/:id', requireScope('read'), sitemapController.getSitemap);
+// Deleting is not something a build pipeline needs
+router.delete('/:id', requireSession, sitemapController.deleteSitemap);
+router.get('/:id/seo-report', requireScope('read'), sitemapController.getSEOReport);
+router.get('/:id/performance', requireScope('read'), sitemapController.getPerformanceReport);
+router.get('/:id/pages', requireScope('read'), sitemapController.getSitemapPages);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { validateSitemapUpload } = require('../controllers/sitemapValidatorController');
+const { SITEMAP_LIMITS } = require('../utils/xmlBuilder');
+const { requireAuth, requireScope } = require('../middleware/auth');
+
+// Uploaded files arrive as the raw request body (JSON bodies are parsed in server.js)
+const rawSitemap = express.raw({
+    type: ['application/xml', 'text/xml', 'application/gzip', 'application/x-gzip', 'application/octet-stream'],
+    limit: SITEMAP_LIMITS.MAX_BYTES
+});
+
+// Validating stores nothing, so read-only keys may use it
+router.post('/validate-sitemap', requireAuth, requireScope('read'), rawSitemap, validateSitemapUpload);
+
+module.exports = router;
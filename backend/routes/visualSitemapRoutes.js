@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const visualSitemapController = require('../controllers/visualSitemapController'); 
+const { requireAuth, requireScope, requireSession } = require('../middleware/auth');
 
 // Change '/process' to '/generate-visual' to match frontend
-router.post('/generate-visual', visualSitemapController.processVisualSitemap);
-router.post('/save', visualSitemapController.saveVisualSitemap);
+router.post('/generate-visual', requireAuth, requireScope('generate'), visualSitemapController.processVisualSitemap);
+// Saving and editing a project happen in the visual editor
+router.post('/save', requireAuth, requireSession, visualSitemapController.saveVisualSitemap);
+router.get('/visual', requireAuth, requireScope('read'), visualSitemapController.listVisualSitemaps);
+router.get('/visual/:id', requireAuth, requireScope('read'), visualSitemapController.getVisualSitemap);
+router.put('/visual/:id', requireAuth, requireSession, visualSitemapController.updateVisualSitemap);
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { generateXmlSitemap, downloadXmlSitemap } = require('../controllers/xmlSitemapController'); 
+const { generateXmlSitemap, downloadXmlSitemap, getSitemapStylesheet } = require('../controllers/xmlSitemapController'); 
+const { requireAuth, requireScope } = require('../middleware/auth');
 
-router.post('/generate-xml', generateXmlSitemap);
-router.get('/download-xml/:id', downloadXmlSitemap);
+router.post('/generate-xml', requireAuth, requireScope('generate'), generateXmlSitemap);
+router.get('/download-xml/:id', requireAuth, requireScope('read'), downloadXmlSitemap);
+// Public: browsers fetch it when opening a sitemap
+router.get('/sitemap.xsl', getSitemapStylesheet);
 
 module.exports = router;
\ No newline at end of file
@@ -5,10 +5,16 @@ const dotenv = require('dotenv');
 
 dotenv.config();
 
+const { resumeInterruptedJobs } = require('./utils/crawlJobs');
+
 const app = express();
 
 // Middleware
-app.use(cors());
+// Credentials: the session cookie is sent cross-origin from the frontend
+app.use(cors({
+  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+  credentials: true
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -17,20 +23,39 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB Connected'))
+.then(async () => {
+  console.log('✅ MongoDB Connected');
+
+  // Pick up crawl jobs that were running when the server stopped
+  const resumed = await resumeInterruptedJobs();
+  if (resumed > 0) console.log(`♻️  Resumed ${resumed} interrupted crawl job(s)`);
+})
 .catch((err) => console.error('❌ MongoDB Connection Error:', err));
 
 // Routes
 // Routes - Change these lines in server.js
+app.use('/api/auth', require('./routes/authRoutes'));
+app.use('/api/keys', require('./routes/apiKeyRoutes'));
+app.use('/api/crawls', require('./routes/crawlJobRoutes'));
+app.use('/api/sitemaps', require('./routes/sitemapRoutes'));
 app.use('/api', require('./routes/xmlSitemapRoutes'));
-app.use('/api', require('./routes/htmlSitemapRoutes'));
+app.use('/api', require('./routes/sitemapValidatorRoutes'));
 app.use('/api', require('./routes/visualSitemapRoutes'));
+app.use('/api', require('./routes/htmlSitemapRoutes'));
 
 // Health Check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Sitemap Tools API is running' });
 });
 
+// Unknown API routes
+app.use('/api', (req, res) => {
+  res.status(404).json({
+    error: 'Not found',
+    message: `No API route for ${req.method} ${req.originalUrl}`
+  });
+});
+
 // Error Handler
 app.use((err, req, res, next) => {
   console.error(err.stack);
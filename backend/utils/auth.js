@@ -0,0 +1,218 @@
+/**
+ * ============================================
+ * AUTHENTICATION HELPERS
+ * ============================================
+ *
+ * Password hashing and session tokens, built on Node's crypto module:
+ * - Passwords: scrypt with a random salt, stored as `scrypt$<salt>$<hash>`
+ * - Sessions:  HS256 JSON Web Tokens signed with JWT_SECRET, sent in an
+ *              httpOnly cookie so EventSource streams and download links
+ *              are authenticated too
+ *
+ * Tokens carry the user's `tokenVersion`; logging out increments it,
+ * which revokes every token issued before.
+ *
+ * API keys (`Authorization: Bearer smk_...`) are random secrets stored
+ * only as a SHA-256 hash (see models/ApiKey.js).
+ */
+
+const crypto = require('crypto');
+
+const AUTH_CONFIG = {
+    COOKIE_NAME: 'sitemap_session',
+    TOKEN_TTL_SECONDS: 7 * 24 * 60 * 60,
+    PASSWORD_MIN_LENGTH: 8,
+    PASSWORD_MAX_LENGTH: 200,
+    SCRYPT_KEY_LENGTH: 64,
+    API_KEY_PREFIX: 'smk_',
+    // read: fetch sitemaps, jobs and reports, validate sitemaps;
+    // generate: also start and control crawls (see requireScope in routes/)
+    API_KEY_SCOPES: ['read', 'generate'],
+    MAX_API_KEYS: 20
+};
+
+let generatedSecret = null;
+
+/**
+ * Signing secret from JWT_SECRET. Without it a random secret is used,
+ * so sessions end when the server restarts.
+ */
+function getJwtSecret() {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+    if (!generatedSecret) {
+        console.warn('[AUTH] ⚠️ JWT_SECRET is not set; using a random secret (sessions end on restart)');
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return generatedSecret;
+}
+
+// ============================================
+// PASSWORDS
+// ============================================
+
+/**
+ * Hash a password for storage
+ * @returns {Promise<string>} `scrypt$<salt>$<hash>` (hex)
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, AUTH_CONFIG.SCRYPT_KEY_LENGTH, (error, key) => {
+            if (error) return reject(error);
+            resolve(`scrypt$${salt}$${key.toString('hex')}`);
+        });
+    });
+}
+
+/**
+ * Compare a password with a stored hash (constant time)
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return Promise.resolve(false);
+
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, AUTH_CONFIG.SCRYPT_KEY_LENGTH, (error, key) => {
+            if (error) return reject(error);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+        });
+    });
+}
+
+// ============================================
+// TOKENS
+// ============================================
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Sign a session token
+ * @param {{ sub: string, ver: number }} claims - User id and token version
+ * @returns {string}
+ */
+function signToken(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + AUTH_CONFIG.TOKEN_TTL_SECONDS }));
+    const signature = crypto.createHmac('sha256', getJwtSecret()).update(`${header}.${payload}`).digest('base64url');
+
+    return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Verify a session token's signature and expiry
+ * @returns {object|null} The claims, or null when the token is invalid
+ */
+function verifyToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = crypto.createHmac('sha256', getJwtSecret()).update(`${header}.${payload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+        if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) return null;
+        return claims;
+    } catch (e) {
+        return null;
+    }
+}
+
+// ============================================
+// SESSION COOKIE
+// ============================================
+
+/**
+ * Session token from the request's Cookie header
+ */
+function readSessionCookie(req) {
+    const prefix = `${AUTH_CONFIG.COOKIE_NAME}=`;
+    const cookie = (req.get('Cookie') || '')
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(prefix));
+
+    return cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+}
+
+function sessionCookieOptions() {
+    return {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        path: '/'
+    };
+}
+
+function setSessionCookie(res, token) {
+    res.cookie(AUTH_CONFIG.COOKIE_NAME, token, {
+        ...sessionCookieOptions(),
+        maxAge: AUTH_CONFIG.TOKEN_TTL_SECONDS * 1000
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(AUTH_CONFIG.COOKIE_NAME, sessionCookieOptions());
+}
+
+// ============================================
+// API KEYS
+// ============================================
+
+/**
+ * Hash an API key for storage and lookup. Keys are 256-bit random,
+ * so a fast hash is enough (unlike passwords).
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Create a new API key
+ * @returns {{ key: string, hash: string, hint: string }} The key (shown once),
+ *          its hash and a short hint to recognise it in lists
+ */
+function generateApiKey() {
+    const key = AUTH_CONFIG.API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    return {
+        key,
+        hash: hashApiKey(key),
+        hint: `${key.slice(0, AUTH_CONFIG.API_KEY_PREFIX.length + 4)}…${key.slice(-4)}`
+    };
+}
+
+/**
+ * Token from an `Authorization: Bearer <token>` header
+ * @returns {string|null} null when the header is missing, '' when it is malformed
+ */
+function readBearerToken(req) {
+    const header = req.get('Authorization');
+    if (!header) return null;
+
+    const match = header.match(/^Bearer\s+(\S+)\s*$/i);
+    return match ? match[1] : '';
+}
+
+module.exports = {
+    AUTH_CONFIG,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    readSessionCookie,
+    setSessionCookie,
+    clearSessionCookie,
+    hashApiKey,
+    generateApiKey,
+    readBearerToken
+};
@@ -0,0 +1,112 @@
+/**
+ * ============================================
+ * GZIP COMPRESSION
+ * ============================================
+ *
+ * Gzip helpers for sitemap storage and downloads.
+ *
+ * Two ways of sending a gzipped sitemap, with different headers:
+ * - `sitemap.xml.gz` file: `Content-Type: application/gzip`, no
+ *   Content-Encoding, so the client saves the compressed bytes as-is
+ *   (ready to drop onto a web server)
+ * - `sitemap.xml` file: `Content-Type: application/xml` plus
+ *   `Content-Encoding: gzip` when the client accepts it; the client
+ *   decompresses transparently
+ */
+
+const zlib = require('zlib');
+
+const COMPRESSION_CONFIG = {
+    // Content larger than this is stored gzipped in MongoDB
+    STORAGE_THRESHOLD_BYTES: 64 * 1024,
+    LEVEL: 9
+};
+
+const GZIP_EXTENSION = '.gz';
+
+const CONTENT_TYPES = {
+    xml: 'application/xml; charset=utf-8',
+    gz: 'application/gzip'
+};
+
+// ============================================
+// ENCODING
+// ============================================
+
+/**
+ * Gzip a string or Buffer
+ * @returns {Buffer}
+ */
+function gzip(content) {
+    return zlib.gzipSync(content, { level: COMPRESSION_CONFIG.LEVEL });
+}
+
+/**
+ * Gunzip a Buffer back into a UTF-8 string
+ * @param {number} [maxBytes] - Throws a RangeError when the output would be larger
+ * @returns {string}
+ */
+function gunzip(buffer, maxBytes) {
+    return zlib.gunzipSync(buffer, maxBytes ? { maxOutputLength: maxBytes } : {}).toString('utf8');
+}
+
+/**
+ * Whether a Buffer starts with the gzip magic bytes
+ */
+function isGzipped(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+/**
+ * Whether a string is large enough to be stored compressed
+ */
+function shouldCompress(text) {
+    return typeof text === 'string' &&
+        Buffer.byteLength(text, 'utf8') > COMPRESSION_CONFIG.STORAGE_THRESHOLD_BYTES;
+}
+
+// ============================================
+// RESPONSES
+// ============================================
+
+/**
+ * Whether the request's Accept-Encoding allows gzip
+ */
+function acceptsGzip(req) {
+    return /\bgzip\b/i.test(req.get('Accept-Encoding') || '');
+}
+
+/**
+ * Send an XML file as a download.
+ * Names ending in `.gz` are sent as a gzip file; otherwise the XML is
+ * gzipped on the wire when the client accepts it.
+ */
+function sendXmlFile(req, res, name, xml) {
+    res.set('Content-Disposition', `attachment; filename="${name}"`);
+
+    if (name.endsWith(GZIP_EXTENSION)) {
+        res.set('Content-Type', CONTENT_TYPES.gz);
+        return res.status(200).send(gzip(xml));
+    }
+
+    res.set('Content-Type', CONTENT_TYPES.xml);
+    res.vary('Accept-Encoding');
+
+    if (acceptsGzip(req)) {
+        res.set('Content-Encoding', 'gzip');
+        return res.status(200).send(gzip(xml));
+    }
+    return res.status(200).send(xml);
+}
+
+module.exports = {
+    COMPRESSION_CONFIG,
+    GZIP_EXTENSION,
+    CONTENT_TYPES,
+    gzip,
+    gunzip,
+    isGzipped,
+    shouldCompress,
+    acceptsGzip,
+    sendXmlFile
+};
@@ -0,0 +1,654 @@
+/**
+ * ============================================
+ * ASYNCHRONOUS CRAWL JOBS
+ * ============================================
+ *
+ * Runs crawls in the background so HTTP requests return immediately.
+ *
+ * - Each job is backed by a Sitemap document (its _id is the job id)
+ *   that moves through pending → processing → completed/partial/failed
+ * - Progress events are kept in memory and fanned out to any number
+ *   of Server-Sent Events subscribers
+ * - Only a few crawls run at once; the rest wait in a FIFO queue
+ * - The visited set and pending frontier are checkpointed to MongoDB,
+ *   so jobs can be paused, cancelled (→ partial) and resumed, and
+ *   interrupted jobs pick up where they left off after a restart
+ */
+
+const EventEmitter = require('events');
+const URL = require('url').URL;
+const Sitemap = require('../models/Sitemap');
+const { startSafeCrawl } = require('./intelligentCrawler');
+const { toCrawlSettings } = require('./crawlOptions');
+const { buildPagesData, getCanonicalReport, getSuccessfulPages, getSuccessfulUrls } = require('./pageData');
+const { applyLastmod } = require('./lastmod');
+const { applySitemapHints } = require('./sitemapHints');
+const { buildXmlSitemap, INDEX_FILE_NAME } = require('./xmlBuilder');
+const { validateSitemapFiles } = require('./sitemapValidator');
+const { buildHtmlSitemap } = require('./htmlBuilder');
+const { buildHierarchy } = require('./visualBuilder');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const JOB_CONFIG = {
+    MAX_CONCURRENT_JOBS: 2,
+    EVENT_HISTORY_LIMIT: 1000, // Events replayed to late subscribers
+    RETENTION_MS: 10 * 60 * 1000, // Keep finished jobs in memory for 10 minutes
+};
+
+const JOB_TYPES = ['xml', 'html', 'visual'];
+const FINISHED_STATUSES = ['completed', 'partial', 'failed'];
+
+// In-memory registry of active and recently finished jobs
+const jobs = new Map();
+const waitingJobs = [];
+let runningJobs = 0;
+
+// ============================================
+// CONTENT BUILDERS
+// ============================================
+
+/**
+ * Build the sitemap output for a job type from crawl results
+ * Returns: { content, files, excluded, hreflangIssues } where `files` holds
+ * the index and child sitemaps of a split XML sitemap (empty otherwise),
+ * `excluded` lists pages left out of an XML sitemap (noindex) and
+ * `hreflangIssues` the alternates left out of it
+ */
+function buildSitemapContent(type, crawlResults, startUrl, options = {}) {
+    const urls = getSuccessfulUrls(crawlResults);
+
+    switch (type) {
+        case 'xml': {
+            const { xml, files, excluded, hreflangIssues } = buildXmlSitemap(getSuccessfulPages(crawlResults), {
+                includeNoindex: options.includeNoindex,
+                sitemapGrouping: options.sitemapGrouping,
+                maxUrlsPerSitemap: options.maxUrlsPerSitemap,
+                imageSitemap: options.imageSitemap,
+                videoSitemap: options.videoSitemap,
+                sitemapMode: options.sitemapMode,
+                newsPublicationName: options.newsPublicationName,
+                newsLanguage: options.newsLanguage,
+                xslStylesheet: options.xslStylesheet,
+                stylesheetUrl: options.stylesheetUrl,
+                baseUrl: new URL(startUrl).origin
+            });
+            return { content: xml, files: files.length > 1 ? files : [], excluded, hreflangIssues };
+        }
+        case 'html':
+            return { content: buildHtmlSitemap(urls, startUrl), files: [], excluded: [], hreflangIssues: [] };
+        case 'visual':
+            return { content: buildHierarchy(urls, startUrl), files: [], excluded: [], hreflangIssues: [] };
+        default:
+            throw new Error(`Unsupported sitemap type: ${type}`);
+    }
+}
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Record an event in the job history and notify subscribers
+ */
+function emitJobEvent(job, event, data) {
+    const entry = { event, data: { jobId: job.id, ...data }, timestamp: new Date() };
+
+    job.events.push(entry);
+    if (job.events.length > JOB_CONFIG.EVENT_HISTORY_LIMIT) {
+        job.events.shift();
+    }
+
+    job.emitter.emit('event', entry);
+}
+
+/**
+ * Subscribe to a job's events. Past events are replayed first.
+ * Returns an unsubscribe function, or null if the job is not in memory.
+ */
+function subscribe(jobId, listener) {
+    const job = jobs.get(String(jobId));
+    if (!job) return null;
+
+    job.events.forEach(listener);
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+        return () => {};
+    }
+
+    job.emitter.on('event', listener);
+    return () => job.emitter.off('event', listener);
+}
+
+/**
+ * Get the in-memory state of a job (null once it has been evicted)
+ */
+function getJob(jobId) {
+    return jobs.get(String(jobId)) || null;
+}
+
+// ============================================
+// JOB REGISTRY & QUEUE
+// ============================================
+
+// Page metadata only needed while crawling (raw JSON-LD, unresolved hreflang hrefs)
+const CHECKPOINT_DROPPED_METADATA = ['jsonLd', 'alternates'];
+
+/**
+ * Compact crawler results for a checkpoint: link lists become indexes into
+ * one shared URL table (pages link to the same URLs over and over) and
+ * metadata the sitemap builders don't use is dropped.
+ * Returns: { results, linkTable }
+ */
+function compactResults(results) {
+    const linkTable = [];
+    const indexByUrl = new Map();
+
+    const toIndexes = (urls) => (urls || []).map(url => {
+        if (!indexByUrl.has(url)) {
+            indexByUrl.set(url, linkTable.length);
+            linkTable.push(url);
+        }
+        return indexByUrl.get(url);
+    });
+
+    const compacted = results.map(result => {
+        if (!result.success) return result;
+
+        const metadata = { ...result.metadata };
+        CHECKPOINT_DROPPED_METADATA.forEach(key => delete metadata[key]);
+
+        return {
+            ...result,
+            metadata,
+            internalLinks: toIndexes(result.internalLinks),
+            nofollowLinks: toIndexes(result.nofollowLinks)
+        };
+    });
+
+    return { results: compacted, linkTable };
+}
+
+/**
+ * Reverse of compactResults
+ */
+function expandResults(results, linkTable) {
+    if (!linkTable) return results; // Checkpoints saved before compaction
+
+    const toUrls = (indexes) => (indexes || []).map(index => linkTable[index]);
+
+    return results.map(result => (result.success
+        ? { ...result, internalLinks: toUrls(result.internalLinks), nofollowLinks: toUrls(result.nofollowLinks) }
+        : result));
+}
+
+/**
+ * Turn a stored checkpoint into a crawler snapshot (null if nothing was crawled yet)
+ */
+function toSnapshot(checkpoint) {
+    if (!checkpoint || !checkpoint.visited || checkpoint.visited.length === 0) {
+        return null;
+    }
+
+    return {
+        visited: [...checkpoint.visited],
+        frontier: checkpoint.frontier.map(entry => ({ url: entry.url, depth: entry.depth, source: entry.source })),
+        linked: checkpoint.linked ? [...checkpoint.linked] : [],
+        seedsQueued: Boolean(checkpoint.seedsQueued),
+        skipped: checkpoint.skipped ? [...checkpoint.skipped] : [],
+        results: expandResults(checkpoint.results || [], checkpoint.linkTable),
+        report: checkpoint.report || {}
+    };
+}
+
+/**
+ * Create the in-memory job for a Sitemap document (or return the existing one)
+ */
+function registerJob(sitemapDocument, options, snapshot = null) {
+    const id = String(sitemapDocument._id);
+    if (jobs.has(id)) return jobs.get(id);
+
+    const job = {
+        id,
+        type: sitemapDocument.type,
+        url: sitemapDocument.startUrl,
+        userId: sitemapDocument.userId,
+        options,
+        status: sitemapDocument.status,
+        progress: {
+            pagesCrawled: snapshot ? snapshot.results.length : 0,
+            pagesDiscovered: snapshot ? snapshot.visited.length : 1,
+            maxPages: options.maxPages
+        },
+        checkpoint: snapshot,
+        checkpointWrite: Promise.resolve(),
+        stopRequest: null, // 'pause' | 'cancel'
+        events: [],
+        emitter: new EventEmitter()
+    };
+    job.emitter.setMaxListeners(0);
+
+    jobs.set(id, job);
+    return job;
+}
+
+/**
+ * Mark a job as pending and put it in the queue
+ */
+async function enqueueJob(job) {
+    job.status = 'pending';
+    job.stopRequest = null;
+    await Sitemap.updateOne({ _id: job.id }, { status: 'pending', updatedAt: new Date() });
+    emitJobEvent(job, 'status', { status: 'pending' });
+
+    waitingJobs.push(job);
+    runNextJobs();
+}
+
+/**
+ * Start queued jobs while there are free slots
+ */
+function runNextJobs() {
+    while (runningJobs < JOB_CONFIG.MAX_CONCURRENT_JOBS && waitingJobs.length > 0) {
+        const job = waitingJobs.shift();
+        runningJobs++;
+
+        runJob(job)
+            .catch(error => failJob(job, error.message))
+            .catch(error => console.error(`[JOBS] ❌ Job ${job.id} crashed: ${error.message}`))
+            .finally(() => {
+                runningJobs--;
+                if (FINISHED_STATUSES.includes(job.status)) {
+                    scheduleEviction(job);
+                }
+                runNextJobs();
+            });
+    }
+}
+
+/**
+ * Take a job out of the waiting queue. Returns true if it was queued.
+ */
+function dequeueJob(job) {
+    const index = waitingJobs.indexOf(job);
+    if (index === -1) return false;
+
+    waitingJobs.splice(index, 1);
+    return true;
+}
+
+/**
+ * Drop a finished job from memory after the retention period
+ */
+function scheduleEviction(job) {
+    const timer = setTimeout(() => {
+        job.emitter.removeAllListeners();
+        jobs.delete(job.id);
+    }, JOB_CONFIG.RETENTION_MS);
+    timer.unref();
+}
+
+// ============================================
+// JOB LIFECYCLE
+// ============================================
+
+/**
+ * Create a pending crawl job and queue it
+ * Returns the saved Sitemap document
+ */
+async function createCrawlJob({ url, type, projectName, userId, options }) {
+    if (!JOB_TYPES.includes(type)) {
+        throw new Error(`Unsupported sitemap type: ${type}`);
+    }
+
+    const parsedUrl = new URL(url);
+
+    const sitemapDocument = await new Sitemap({
+        userId,
+        projectName: projectName || `Sitemap - ${parsedUrl.hostname}`,
+        startUrl: url,
+        baseUrl: parsedUrl.origin,
+        type,
+        crawlSettings: toCrawlSettings(options),
+        status: 'pending',
+        progress: {
+            maxPages: options.maxPages
+        },
+        checkpoint: {
+            options
+        }
+    }).save();
+
+    const job = registerJob(sitemapDocument, options);
+    await enqueueJob(job);
+
+    return sitemapDocument;
+}
+
+/**
+ * Persist the latest crawler snapshot (results compacted, see compactResults).
+ * Writes are chained so an older snapshot never overwrites a newer one.
+ */
+function saveCheckpoint(job, snapshot) {
+    job.checkpoint = snapshot;
+    const { results, linkTable } = compactResults(snapshot.results);
+
+    job.checkpointWrite = job.checkpointWrite
+        .then(() => Sitemap.updateOne(
+            { _id: job.id },
+            {
+                'checkpoint.visited': snapshot.visited,
+                'checkpoint.frontier': snapshot.frontier,
+                'checkpoint.linked': snapshot.linked,
+                'checkpoint.seedsQueued': snapshot.seedsQueued,
+                'checkpoint.skipped': snapshot.skipped,
+                'checkpoint.results': results,
+                'checkpoint.linkTable': linkTable,
+                'checkpoint.report': snapshot.report,
+                'checkpoint.savedAt': new Date(),
+                'progress.pagesCrawled': snapshot.results.length,
+                'progress.pagesDiscovered': snapshot.visited.length,
+                updatedAt: new Date()
+            }
+        ))
+        .catch(error => console.error(`[JOBS] ⚠️  Checkpoint for ${job.id} failed: ${error.message}`));
+
+    return job.checkpointWrite;
+}
+
+/**
+ * Run the crawl for a job and persist the result
+ */
+async function runJob(job) {
+    const startTime = Date.now();
+
+    console.log(`[JOBS] 🚀 Starting job ${job.id} (${job.type}): ${job.url}`);
+
+    job.status = 'processing';
+    await Sitemap.updateOne(
+        { _id: job.id },
+        { status: 'processing', 'progress.startedAt': new Date(), updatedAt: new Date() }
+    );
+    emitJobEvent(job, 'status', { status: 'processing' });
+
+    let crawlResults;
+    let crawlReport;
+    try {
+        ({ results: crawlResults, report: crawlReport } = await startSafeCrawl(job.url, job.options, {
+            resumeFrom: job.checkpoint,
+            shouldStop: () => job.stopRequest !== null,
+            onCheckpoint: (snapshot) => saveCheckpoint(job, snapshot),
+            onPage: (pageResult, progress) => {
+                job.progress = {
+                    pagesCrawled: progress.crawled,
+                    pagesDiscovered: progress.discovered,
+                    maxPages: progress.maxPages
+                };
+
+                emitJobEvent(job, 'page', {
+                    url: pageResult.url,
+                    depth: pageResult.depth,
+                    method: pageResult.method || 'unknown',
+                    status: pageResult.success ? 'success' : 'failed',
+                    statusCode: pageResult.statusCode,
+                    error: pageResult.error,
+                    ...job.progress
+                });
+            }
+        }));
+    } catch (error) {
+        return failJob(job, error.message);
+    }
+
+    await job.checkpointWrite;
+
+    if (job.stopRequest === 'pause') {
+        job.status = 'paused';
+        job.stopRequest = null;
+        await Sitemap.updateOne({ _id: job.id }, { status: 'paused', updatedAt: new Date() });
+        emitJobEvent(job, 'status', { status: 'paused', ...job.progress });
+
+        console.log(`[JOBS] ⏸️  Job ${job.id} paused after ${crawlResults.length} pages`);
+        return;
+    }
+
+    return finishJob(job, crawlResults, {
+        crawlReport,
+        cancelled: job.stopRequest === 'cancel',
+        duration: Date.now() - startTime
+    });
+}
+
+/**
+ * Build and store the sitemap from crawl results.
+ * Cancelled crawls and crawls with failed pages are stored as `partial`.
+ */
+async function finishJob(job, crawlResults, { crawlReport = {}, cancelled = false, duration = 0 } = {}) {
+    const successfulPages = crawlResults.filter(r => r.success).length;
+    const failedPages = crawlResults.length - successfulPages;
+
+    if (successfulPages === 0) {
+        return failJob(job, cancelled ? 'Cancelled before any pages were crawled.' : 'No URLs found.');
+    }
+
+    const sitemapDocument = await Sitemap.findById(job.id);
+    if (!sitemapDocument) {
+        return failJob(job, 'Job record was deleted.');
+    }
+
+    // Some pages failed or the crawl was cut short → usable but incomplete
+    const status = cancelled || failedPages > 0 ? 'partial' : 'completed';
+    // Unchanged pages keep the lastmod of the previous crawl of this URL;
+    // changefreq follows how often pages changed across earlier crawls
+    applyLastmod(crawlResults, await Sitemap.findPreviousPages(job.url, job.userId, job.id));
+    applySitemapHints(crawlResults, {
+        rules: job.options.sitemapRules,
+        history: await Sitemap.findChangeHistory(job.url, job.userId, job.id)
+    });
+    const { content, files, excluded, hreflangIssues } = buildSitemapContent(job.type, crawlResults, job.url, job.options);
+
+    // Sitemap protocol check of XML output (reported, not blocking)
+    const validation = job.type === 'xml'
+        ? await validateSitemapFiles(files.length > 0 ? files : [{ name: INDEX_FILE_NAME, content }], new URL(job.url).origin)
+        : null;
+
+    // Large content is stored gzipped (sets sizeBytes and compressionEnabled)
+    sitemapDocument.setContent(content);
+    sitemapDocument.setFiles(files);
+    sitemapDocument.pages = buildPagesData(crawlResults);
+    sitemapDocument.crawlReport = {
+        ...crawlReport,
+        canonicals: getCanonicalReport(crawlResults),
+        excludedFromSitemap: excluded,
+        hreflangIssues,
+        validation
+    };
+    sitemapDocument.status = status;
+    sitemapDocument.progress = {
+        ...sitemapDocument.progress,
+        pagesCrawled: crawlResults.length,
+        pagesDiscovered: job.progress.pagesDiscovered,
+        finishedAt: new Date()
+    };
+    sitemapDocument.errorLog = crawlResults
+        .filter(r => !r.success)
+        .map(r => ({ timestamp: new Date(), error: r.error, url: r.url }));
+    sitemapDocument.stats = { totalDuration: duration };
+    // Frontier is no longer needed; keep the options for re-crawls
+    sitemapDocument.checkpoint = { options: job.options };
+
+    await sitemapDocument.save();
+
+    job.status = status;
+    job.checkpoint = null;
+    emitJobEvent(job, 'complete', {
+        status,
+        cancelled,
+        sitemapId: job.id,
+        summary: {
+            totalUrls: crawlResults.length,
+            successfulPages,
+            failedPages,
+            skippedByRobots: crawlReport.robots?.skipped?.length || 0,
+            excludedFromSitemap: excluded.length,
+            hreflangIssues: hreflangIssues.length,
+            sitemapValid: validation ? validation.valid : null,
+            excludedByRules: (crawlReport.urlRules?.excludedCount || 0) + (crawlReport.urlRules?.notIncludedCount || 0),
+            sitemapOrphans: crawlReport.seeding?.orphanCount || 0,
+            missingFromSitemap: crawlReport.seeding?.missingCount || 0,
+            duration: `${(duration / 1000).toFixed(2)}s`
+        }
+    });
+
+    console.log(`[JOBS] ✅ Job ${job.id} finished with status: ${status}`);
+}
+
+/**
+ * Mark a job as failed in memory and in the database
+ */
+async function failJob(job, message) {
+    console.error(`[JOBS] ❌ Job ${job.id} failed: ${message}`);
+
+    job.status = 'failed';
+    await Sitemap.updateOne(
+        { _id: job.id },
+        {
+            status: 'failed',
+            'progress.finishedAt': new Date(),
+            updatedAt: new Date(),
+            $push: { errorLog: { timestamp: new Date(), error: message, url: job.url } }
+        }
+    );
+
+    emitJobEvent(job, 'failed', { status: 'failed', message });
+}
+
+// ============================================
+// PAUSE / RESUME / CANCEL
+// ============================================
+
+/**
+ * Load a job into memory from its Sitemap document (after eviction or restart)
+ */
+async function loadJob(jobId) {
+    const existing = getJob(jobId);
+    if (existing) return existing;
+
+    const sitemapDocument = await Sitemap.findById(jobId).select('+checkpoint');
+    if (!sitemapDocument) return null;
+    if (!sitemapDocument.checkpoint || !sitemapDocument.checkpoint.options) return null;
+
+    return registerJob(
+        sitemapDocument,
+        sitemapDocument.checkpoint.options,
+        toSnapshot(sitemapDocument.checkpoint)
+    );
+}
+
+/**
+ * Pause a pending or running job. A running crawl stops after its
+ * in-flight pages and saves a checkpoint.
+ * Returns: { success, status, statusCode, error }
+ */
+async function pauseJob(jobId) {
+    const job = await loadJob(jobId);
+    if (!job) {
+        return { success: false, statusCode: 404, error: 'Crawl job not found' };
+    }
+
+    if (job.status === 'pending' && dequeueJob(job)) {
+        job.status = 'paused';
+        await Sitemap.updateOne({ _id: job.id }, { status: 'paused', updatedAt: new Date() });
+        emitJobEvent(job, 'status', { status: 'paused', ...job.progress });
+        return { success: true, status: 'paused' };
+    }
+
+    if (job.status === 'processing') {
+        job.stopRequest = 'pause';
+        return { success: true, status: 'pausing' };
+    }
+
+    return { success: false, statusCode: 409, error: `Cannot pause a job that is ${job.status}` };
+}
+
+/**
+ * Resume a paused job from its last checkpoint
+ * Returns: { success, status, statusCode, error }
+ */
+async function resumeJob(jobId) {
+    const job = await loadJob(jobId);
+    if (!job) {
+        return { success: false, statusCode: 404, error: 'Crawl job not found' };
+    }
+
+    if (job.status !== 'paused') {
+        return { success: false, statusCode: 409, error: `Cannot resume a job that is ${job.status}` };
+    }
+
+    await enqueueJob(job);
+    return { success: true, status: 'pending' };
+}
+
+/**
+ * Cancel a job. Whatever was crawled so far becomes a partial sitemap.
+ * Returns: { success, status, statusCode, error }
+ */
+async function cancelJob(jobId) {
+    const job = await loadJob(jobId);
+    if (!job) {
+        return { success: false, statusCode: 404, error: 'Crawl job not found' };
+    }
+
+    if (job.status === 'processing') {
+        job.stopRequest = 'cancel';
+        return { success: true, status: 'cancelling' };
+    }
+
+    if (job.status === 'paused' || (job.status === 'pending' && dequeueJob(job))) {
+        job.stopRequest = 'cancel';
+        const snapshot = job.checkpoint || { results: [], report: {} };
+        await finishJob(job, snapshot.results, { crawlReport: snapshot.report, cancelled: true });
+        scheduleEviction(job);
+        return { success: true, status: job.status };
+    }
+
+    return { success: false, statusCode: 409, error: `Cannot cancel a job that is ${job.status}` };
+}
+
+/**
+ * Re-queue jobs that were pending or running when the server stopped.
+ * Call once after the database connection is established.
+ */
+async function resumeInterruptedJobs() {
+    const interrupted = await Sitemap.find({
+        status: { $in: ['pending', 'processing'] },
+        'checkpoint.options': { $exists: true }
+    }).select('+checkpoint -pages -content');
+
+    for (const sitemapDocument of interrupted) {
+        const job = registerJob(
+            sitemapDocument,
+            sitemapDocument.checkpoint.options,
+            toSnapshot(sitemapDocument.checkpoint)
+        );
+        console.log(`[JOBS] ♻️  Re-queueing interrupted job ${job.id}`);
+        await enqueueJob(job);
+    }
+
+    return interrupted.length;
+}
+
+module.exports = {
+    JOB_TYPES,
+    FINISHED_STATUSES,
+    createCrawlJob,
+    getJob,
+    subscribe,
+    pauseJob,
+    resumeJob,
+    cancelJob,
+    resumeInterruptedJobs,
+    buildSitemapContent
+};
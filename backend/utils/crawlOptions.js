@@ -0,0 +1,297 @@
+/**
+ * ============================================
+ * CRAWL OPTIONS
+ * ============================================
+ *
+ * Defaults, limits and validation for the per-request `crawlOptions`
+ * object accepted by the generate endpoints and passed to the crawler.
+ */
+
+const { QUERY_POLICIES, compileUrlPattern } = require('./urlRules');
+const { SCOPES } = require('./crawlScope');
+const { checkSitemapRule } = require('./sitemapHints');
+const { NEWS_LANGUAGE_FORMAT } = require('./newsSitemap');
+const Sitemap = require('../models/Sitemap');
+
+// ============================================
+// DEFAULTS & LIMITS
+// ============================================
+
+const DEFAULT_CRAWL_OPTIONS = {
+    maxDepth: 3,
+    maxPages: 50,
+    delay: 1500, // Be polite (1.5 seconds)
+    maxChildrenPerPage: 10,
+    renderJavaScript: true,
+    robotsMode: 'ignore', // 'ignore' | 'respect'
+    seedFromSitemaps: false, // Also crawl URLs listed in the site's sitemaps
+    include: [], // URL patterns a page must match (see ./urlRules)
+    exclude: [], // URL patterns that are never crawled
+    queryParams: 'strip', // 'strip' | 'allowlist' | 'keep'
+    allowedParams: [], // Query parameters kept by the 'allowlist' policy
+    scope: 'origin', // 'origin' | 'domain' | 'hosts' | 'path' (see ./crawlScope)
+    scopeHosts: [], // Extra hostnames for the 'hosts' scope
+    scopePath: null, // Path prefix for the 'path' scope (default: start URL path)
+    includeNoindex: false, // Keep noindex pages in XML sitemaps
+    sitemapGrouping: 'none', // 'none' | 'section' | 'contentType' (split XML sitemaps)
+    maxUrlsPerSitemap: 50000, // Child sitemap size before splitting (sitemaps.org max)
+    imageSitemap: false, // Add <image:image> entries to XML sitemaps
+    videoSitemap: false, // Add <video:video> entries to XML sitemaps
+    sitemapRules: [], // { pattern, changefreq, priority } overrides (see ./sitemapHints)
+    sitemapMode: 'standard', // 'standard' | 'news' (recent articles only, see ./newsSitemap)
+    newsPublicationName: null, // News publication name (default: detected from the pages)
+    newsLanguage: null, // News language code (default: detected from the pages)
+    xslStylesheet: false, // Reference an XSL stylesheet so browsers render XML sitemaps as a table
+    stylesheetUrl: null // Where the stylesheet is hosted (default: sitemap.xsl next to the sitemap)
+};
+
+const NUMERIC_LIMITS = {
+    maxDepth: { min: 1, max: 10 },
+    maxPages: { min: 1, max: 1000 },
+    delay: { min: 0, max: 30000 },
+    maxChildrenPerPage: { min: 1, max: 500 },
+    maxUrlsPerSitemap: { min: 1, max: 50000 }
+};
+
+const BOOLEAN_OPTIONS = ['renderJavaScript', 'seedFromSitemaps', 'includeNoindex', 'imageSitemap', 'videoSitemap', 'xslStylesheet'];
+
+const ENUM_OPTIONS = {
+    robotsMode: ['ignore', 'respect'],
+    queryParams: QUERY_POLICIES,
+    scope: SCOPES,
+    sitemapGrouping: ['none', 'section', 'contentType'],
+    sitemapMode: ['standard', 'news']
+};
+
+/**
+ * Check a URL pattern by compiling it (catches bad regexes)
+ */
+const checkPattern = (item) => {
+    try {
+        compileUrlPattern(item);
+        return null;
+    } catch (e) {
+        return `pattern "${item}" is invalid: ${e.message}`;
+    }
+};
+
+// Names that resolve to this machine or the local network
+const LOCAL_HOST_SUFFIXES = ['localhost', 'local', 'internal', 'localdomain', 'home.arpa'];
+
+/**
+ * Check a hostname, optionally with a leading `*.` wildcard.
+ * IP addresses, single-label and local names are refused so the crawl
+ * cannot be pointed at internal services.
+ */
+const checkHost = (item) => {
+    if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(item)) {
+        return `"${item}" is not a valid hostname`;
+    }
+
+    const host = item.toLowerCase().replace(/^\*\./, '');
+    const labels = host.split('.');
+    if (/^[\d.]+$/.test(host) || /^\d+$/.test(labels[labels.length - 1])) {
+        return `"${item}" is an IP address; use a public hostname`;
+    }
+    if (labels.length < 2 || LOCAL_HOST_SUFFIXES.some(suffix => host === suffix || host.endsWith(`.${suffix}`))) {
+        return `"${item}" is a local or private hostname`;
+    }
+    return null;
+};
+
+const LIST_OPTIONS = {
+    include: { maxItems: 50, maxLength: 200, check: checkPattern },
+    exclude: { maxItems: 50, maxLength: 200, check: checkPattern },
+    allowedParams: { maxItems: 50, maxLength: 100 },
+    scopeHosts: { maxItems: 50, maxLength: 253, check: checkHost }
+};
+
+// Lists of objects, checked entry by entry
+const OBJECT_LIST_OPTIONS = {
+    sitemapRules: { maxItems: 100, check: checkSitemapRule }
+};
+
+const STRING_OPTIONS = {
+    scopePath: { maxLength: 200, format: /^\/\S*$/, hint: 'must be a path starting with /' },
+    newsPublicationName: { maxLength: 200, format: /\S/, hint: 'must be a non-empty string' },
+    newsLanguage: { maxLength: 5, format: NEWS_LANGUAGE_FORMAT, hint: 'must be an ISO 639 language code like en or zh-cn' },
+    stylesheetUrl: { maxLength: 500, format: /^(https?:\/\/[^\s"<>]+|[^\s"<>:]+)$/i, hint: 'must be an http(s) URL or a path' }
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Validate a list of strings with the entry check from LIST_OPTIONS
+ * Returns the list of error messages (empty when valid)
+ */
+function validateList(key, value) {
+    const { maxItems, maxLength, check } = LIST_OPTIONS[key];
+
+    if (!Array.isArray(value)) {
+        return [`${key} must be an array of strings`];
+    }
+    if (value.length > maxItems) {
+        return [`${key} can have at most ${maxItems} entries`];
+    }
+
+    const errors = [];
+    for (const item of value) {
+        if (typeof item !== 'string' || item.trim() === '') {
+            errors.push(`${key} entries must be non-empty strings`);
+        } else if (item.length > maxLength) {
+            errors.push(`${key} entries must be at most ${maxLength} characters`);
+        } else if (check) {
+            const error = check(item.trim());
+            if (error) errors.push(`${key} ${error}`);
+        }
+    }
+    return errors;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate user supplied crawl options and merge them over the defaults.
+ * Unknown keys are rejected so typos don't silently fall back to defaults.
+ * Returns: { isValid, errors, options }
+ */
+function validateCrawlOptions(input) {
+    const errors = [];
+    const options = { ...DEFAULT_CRAWL_OPTIONS };
+
+    if (input === undefined || input === null) {
+        return { isValid: true, errors, options };
+    }
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        errors.push('crawlOptions must be an object');
+        return { isValid: false, errors, options };
+    }
+
+    for (const [key, value] of Object.entries(input)) {
+        if (value === undefined || value === null) continue;
+
+        if (NUMERIC_LIMITS[key]) {
+            const { min, max } = NUMERIC_LIMITS[key];
+
+            // No coercion: Number() would accept '', true, [5] or '0x10'
+            if (typeof value !== 'number' || !Number.isInteger(value)) {
+                errors.push(`${key} must be an integer (a JSON number, not a string)`);
+            } else if (value < min || value > max) {
+                errors.push(`${key} must be between ${min} and ${max}`);
+            } else {
+                options[key] = value;
+            }
+        } else if (BOOLEAN_OPTIONS.includes(key)) {
+            if (typeof value !== 'boolean') {
+                errors.push(`${key} must be true or false`);
+            } else {
+                options[key] = value;
+            }
+        } else if (LIST_OPTIONS[key]) {
+            const listErrors = validateList(key, value);
+            if (listErrors.length > 0) {
+                errors.push(...listErrors);
+            } else {
+                options[key] = value.map(item => item.trim());
+            }
+        } else if (OBJECT_LIST_OPTIONS[key]) {
+            const { maxItems, check } = OBJECT_LIST_OPTIONS[key];
+            const entryErrors = Array.isArray(value)
+                ? value.map(check).filter(Boolean).map(error => `${key} ${error}`)
+                : [`${key} must be an array`];
+            if (Array.isArray(value) && value.length > maxItems) {
+                entryErrors.push(`${key} can have at most ${maxItems} entries`);
+            }
+            if (entryErrors.length > 0) {
+                errors.push(...entryErrors);
+            } else {
+                options[key] = value.map(entry => ({ ...entry, pattern: entry.pattern.trim() }));
+            }
+        } else if (STRING_OPTIONS[key]) {
+            const { maxLength, format, hint } = STRING_OPTIONS[key];
+            if (typeof value !== 'string' || value.length > maxLength || !format.test(value)) {
+                errors.push(`${key} ${hint} (max ${maxLength} characters)`);
+            } else {
+                options[key] = value.trim();
+            }
+        } else if (ENUM_OPTIONS[key]) {
+            if (!ENUM_OPTIONS[key].includes(value)) {
+                errors.push(`${key} must be one of: ${ENUM_OPTIONS[key].join(', ')}`);
+            } else {
+                options[key] = value;
+            }
+        } else {
+            errors.push(`Unknown crawl option: ${key}`);
+        }
+    }
+
+    if (options.queryParams === 'allowlist' && options.allowedParams.length === 0) {
+        errors.push("allowedParams must list at least one parameter when queryParams is 'allowlist'");
+    }
+    if (options.scope === 'hosts' && options.scopeHosts.length === 0) {
+        errors.push("scopeHosts must list at least one hostname when scope is 'hosts'");
+    }
+
+    return { isValid: errors.length === 0, errors, options };
+}
+
+/**
+ * Map resolved crawl options onto the Sitemap.crawlSettings shape
+ */
+function toCrawlSettings(options) {
+    return {
+        maxDepth: options.maxDepth,
+        maxPages: options.maxPages,
+        delay: options.delay,
+        maxChildrenPerPage: options.maxChildrenPerPage,
+        puppeteerEnabled: options.renderJavaScript,
+        screenshotsEnabled: false,
+        robotsMode: options.robotsMode,
+        seedFromSitemaps: options.seedFromSitemaps,
+        include: options.include,
+        exclude: options.exclude,
+        queryParams: options.queryParams,
+        allowedParams: options.allowedParams,
+        scope: options.scope,
+        scopeHosts: options.scopeHosts,
+        scopePath: options.scopePath,
+        includeNoindex: options.includeNoindex,
+        sitemapGrouping: options.sitemapGrouping,
+        maxUrlsPerSitemap: options.maxUrlsPerSitemap,
+        imageSitemap: options.imageSitemap,
+        videoSitemap: options.videoSitemap,
+        sitemapRules: options.sitemapRules,
+        sitemapMode: options.sitemapMode,
+        newsPublicationName: options.newsPublicationName,
+        newsLanguage: options.newsLanguage,
+        xslStylesheet: options.xslStylesheet,
+        stylesheetUrl: options.stylesheetUrl
+    };
+}
+
+/**
+ * Reuse the project's saved `sitemapRules`: when the request does not set
+ * them, the rules of the user's latest crawl of `startUrl` apply.
+ * Sending `sitemapRules: []` clears them for this and later crawls.
+ */
+async function withSavedSitemapRules(options, crawlOptions, startUrl, userId) {
+    if (crawlOptions && crawlOptions.sitemapRules !== undefined) return options;
+
+    const savedRules = await Sitemap.findSavedSitemapRules(startUrl, userId);
+    if (!savedRules || savedRules.length === 0) return options;
+
+    console.log(`[OPTIONS] 📋 Using ${savedRules.length} saved sitemap rule(s) for ${startUrl}`);
+    return { ...options, sitemapRules: savedRules };
+}
+
+module.exports = {
+    DEFAULT_CRAWL_OPTIONS,
+    validateCrawlOptions,
+    toCrawlSettings,
+    withSavedSitemapRules
+};
@@ -0,0 +1,125 @@
+/**
+ * ============================================
+ * CRAWL SCOPE
+ * ============================================
+ *
+ * Decides which discovered URLs belong to a crawl. Everything is compared
+ * on parsed hostnames, never on string prefixes, so
+ * `https://example.com.evil.net` is never mistaken for `example.com`.
+ *
+ * Scopes:
+ * - origin: same scheme, host and port as the start URL (default)
+ * - domain: the registrable domain and all its subdomains, http or https
+ *   (`www.example.com`, `example.com`, `blog.example.com`)
+ * - hosts:  the start host plus `scopeHosts` (`*.example.com` wildcards)
+ * - path:   same origin, and the path is under `scopePath`
+ *           (defaults to the start URL's path)
+ */
+
+const URL = require('url').URL;
+
+const SCOPES = ['origin', 'domain', 'hosts', 'path'];
+
+// Public suffixes with two labels, so `shop.example.co.uk` maps to
+// `example.co.uk` and not `co.uk`. Not the full Public Suffix List.
+const MULTI_PART_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+    'co.nz', 'org.nz', 'co.jp', 'ne.jp', 'or.jp',
+    'co.in', 'net.in', 'org.in', 'firm.in', 'gen.in', 'ind.in',
+    'com.br', 'net.br', 'org.br', 'com.cn', 'net.cn', 'org.cn',
+    'com.mx', 'com.sg', 'com.hk', 'com.tr', 'com.ar', 'com.my',
+    'co.za', 'co.kr', 'co.id', 'co.il', 'co.th'
+]);
+
+// ============================================
+// HOSTNAME HELPERS
+// ============================================
+
+/**
+ * Registrable domain of a hostname (`blog.example.com` -> `example.com`).
+ * IP addresses and single-label hosts are returned unchanged.
+ */
+function getRegistrableDomain(hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (/^[\d.]+$/.test(host) || host.includes(':')) return host;
+
+    const labels = host.split('.');
+    if (labels.length <= 2) return host;
+
+    const lastTwo = labels.slice(-2).join('.');
+    const size = MULTI_PART_SUFFIXES.has(lastTwo) ? 3 : 2;
+    return labels.slice(-size).join('.');
+}
+
+/**
+ * Whether `hostname` matches an entry of the host list
+ * (`example.com` exactly, `*.example.com` for any subdomain)
+ */
+function matchesHostEntry(hostname, entry) {
+    if (entry.startsWith('*.')) {
+        return hostname.endsWith(entry.slice(1));
+    }
+    return hostname === entry;
+}
+
+// ============================================
+// SCOPE
+// ============================================
+
+/**
+ * Build the scope checker for a crawl
+ * Returns: { isInScope(url), describe() }
+ */
+function createCrawlScope(startUrl, { scope = 'origin', scopeHosts = [], scopePath = null } = {}) {
+    const start = new URL(startUrl);
+    const startDomain = getRegistrableDomain(start.hostname);
+    const hosts = scopeHosts.map(host => host.toLowerCase());
+    const pathPrefix = (scopePath || start.pathname).replace(/\/+$/, '');
+
+    const isInScope = (url) => {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return false;
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+
+        const hostname = parsed.hostname.toLowerCase();
+
+        switch (scope) {
+            case 'domain':
+                return getRegistrableDomain(hostname) === startDomain;
+            case 'hosts':
+                return hostname === start.hostname || hosts.some(entry => matchesHostEntry(hostname, entry));
+            case 'path':
+                return parsed.origin === start.origin &&
+                    (pathPrefix === '' || parsed.pathname === pathPrefix || parsed.pathname.startsWith(pathPrefix + '/'));
+            default:
+                return parsed.origin === start.origin;
+        }
+    };
+
+    const describe = () => {
+        switch (scope) {
+            case 'domain':
+                return `${startDomain} and its subdomains`;
+            case 'hosts':
+                return [start.hostname, ...hosts].join(', ');
+            case 'path':
+                return `${start.origin}${pathPrefix || '/'}`;
+            default:
+                return start.origin;
+        }
+    };
+
+    return { isInScope, describe };
+}
+
+module.exports = {
+    SCOPES,
+    getRegistrableDomain,
+    createCrawlScope
+};
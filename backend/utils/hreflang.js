@@ -0,0 +1,123 @@
+/**
+ * ============================================
+ * HREFLANG ALTERNATES
+ * ============================================
+ *
+ * Checks the `<link rel="alternate" hreflang>` annotations collected by
+ * the crawler before they are written to XML sitemaps as
+ * `<xhtml:link rel="alternate" hreflang="..." href="...">`.
+ *
+ * Reported issues:
+ * - invalid-hreflang:    the code is not `x-default` or an ISO 639-1
+ *                        language with an optional script and ISO 3166-1 region
+ * - missing-return-link: page A lists B as an alternate, B was crawled
+ *                        but does not list A back
+ *
+ * Alternates with either issue are left out of the sitemap, since search
+ * engines ignore them. Alternates pointing to pages outside the crawl are
+ * kept; their return links can't be checked.
+ */
+
+// ISO 639-1 language codes
+const LANGUAGE_CODES = new Set((
+    'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+    'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu ' +
+    'hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb ' +
+    'lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om ' +
+    'or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ' +
+    'ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+).split(' '));
+
+// Frequent mistakes: regions that are not ISO 3166-1 codes
+const INVALID_REGIONS = {
+    uk: 'use GB for the United Kingdom',
+    eu: 'the European Union is not a country'
+};
+
+const HREFLANG_FORMAT = /^([a-z]{2})(?:-([a-z]{4}))?(?:-([a-z]{2}))?$/i;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check one hreflang value; returns an error message or null
+ */
+function checkHreflang(value) {
+    if (typeof value !== 'string' || value.trim() === '') return 'hreflang is empty';
+
+    const code = value.trim().toLowerCase();
+    if (code === 'x-default') return null;
+
+    const match = HREFLANG_FORMAT.exec(code);
+    if (!match) return `"${value}" is not a language code like en or en-GB (use - not _)`;
+
+    const [, language, , region] = match;
+    if (!LANGUAGE_CODES.has(language)) return `"${language}" is not an ISO 639-1 language code`;
+    if (region && INVALID_REGIONS[region]) return `"${value}": ${INVALID_REGIONS[region]}`;
+
+    return null;
+}
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+/**
+ * Validate the alternates of crawled pages
+ * @param {Array<object>} pages - Crawl results ({ url, normalizedUrl, alternates: [{ hreflang, url }] })
+ * @returns {{ alternatesByUrl: Map<string, Array<{ hreflang, url }>>, issues: Array<object> }}
+ * The alternates to write for each page (by normalized URL) and the issues
+ * found ({ url, type, hreflang, href, message })
+ */
+function analyzeHreflang(pages) {
+    const keyOf = (page) => page.normalizedUrl || page.url;
+    const byUrl = new Map(pages.map(page => [keyOf(page), page]));
+    const alternatesByUrl = new Map();
+    const issues = [];
+
+    pages.forEach(page => {
+        const source = keyOf(page);
+        const valid = [];
+
+        (page.alternates || []).forEach(alternate => {
+            const error = checkHreflang(alternate.hreflang);
+            if (error) {
+                issues.push({
+                    url: page.url,
+                    type: 'invalid-hreflang',
+                    hreflang: alternate.hreflang,
+                    href: alternate.url,
+                    message: error
+                });
+                return;
+            }
+
+            const target = byUrl.get(alternate.url);
+            const linksBack = !target || alternate.url === source ||
+                (target.alternates || []).some(back => back.url === source);
+            if (!linksBack) {
+                issues.push({
+                    url: page.url,
+                    type: 'missing-return-link',
+                    hreflang: alternate.hreflang,
+                    href: alternate.url,
+                    message: `${alternate.url} does not link back to this page`
+                });
+                return;
+            }
+
+            // Crawled targets are written with the URL they were crawled at
+            valid.push({ hreflang: alternate.hreflang.trim(), url: target ? target.url : alternate.url });
+        });
+
+        if (valid.length > 0) alternatesByUrl.set(source, valid);
+    });
+
+    return { alternatesByUrl, issues };
+}
+
+module.exports = {
+    checkHreflang,
+    analyzeHreflang
+};
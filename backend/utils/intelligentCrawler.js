@@ -8,34 +8,62 @@
  * 
  * Features:
  * - Smart JS detection
- * - Parallel crawling with queue
+ * - Breadth-first crawling with a concurrent worker pool
  * - Rich metadata extraction
  * - Performance metrics
  * - Database integration ready
  * - Screenshot capture (optional)
+ * - Optional robots.txt compliance (Allow/Disallow, Crawl-delay)
+ * - Optional seeding from the site's existing sitemaps
+ * - Include/exclude URL patterns and a query-string policy
+ * - Crawl scope: origin, registrable domain, host list or path prefix
+ * - Honors meta robots, X-Robots-Tag and rel="nofollow"
+ * - Resolves rel="canonical" so duplicate URLs can be merged
+ * - Captures modification dates and a content hash for <lastmod>
+ * - Collects content images and videos for image/video sitemaps
+ * - Captures publication data for news sitemaps
+ * - Collects hreflang alternates (<link rel="alternate" hreflang>)
  */
 
 const axios = require('axios');
+const http = require('http');
 const https = require('https');
 const cheerio = require('cheerio');
 const puppeteer = require('puppeteer');
 const URL = require('url').URL;
-const { sanitizeUrls } = require('./urlValidator');
+const { sanitizeUrls, checkFetchTarget, followRedirectsSafely, publicOnlyLookup } = require('./urlValidator');
+const { validateCrawlOptions } = require('./crawlOptions');
+const { ROBOTS_AGENT_TOKEN, fetchRobotsTxt, parseRobotsDirectives } = require('./robotsParser');
+const { fetchSitemapUrls } = require('./sitemapSeeder');
+const { createUrlRules, applyQueryPolicy } = require('./urlRules');
+const { createCrawlScope } = require('./crawlScope');
+const { getCanonicalReport } = require('./pageData');
+const { findJsonLdDateModified, hashContent } = require('./lastmod');
+const { findJsonLdNewsArticle } = require('./newsSitemap');
+const {
+    LAZY_SRC_ATTRIBUTES,
+    LAZY_SRCSET_ATTRIBUTES,
+    normalizeImages,
+    readImagesFromHtml,
+    normalizeVideos,
+    readVideosFromHtml
+} = require('./pageMedia');
 
 // ============================================
 // CONFIGURATION CONSTANTS
 // ============================================
 
 const CONFIG = {
-    USER_AGENT: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    MAX_DEPTH: 3,
-    MAX_PAGES: 50,
+    // Browser-like for compatibility, plus our robots.txt product token
+    // (ROBOTS_AGENT_TOKEN) so site owners can target the crawler
+    USER_AGENT: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 (compatible; SitemapToolsBot/1.0)',
     TIMEOUT: 30000,
-    DELAY_BETWEEN_REQUESTS: 1500, // Be polite (1.5 seconds)
     MAX_RETRIES: 2,
     PARALLEL_LIMIT: 3, // Crawl 3 pages simultaneously
     PUPPETEER_TIMEOUT: 45000,
     SCREENSHOT_ENABLED: false, // Set to true to capture screenshots
+    CHECKPOINT_INTERVAL: 10, // Report a resumable snapshot every 10 pages
+    REPORT_LIST_LIMIT: 500, // Max URLs listed per seeding report section
 };
 
 // Sites known to require JavaScript rendering
@@ -49,16 +77,23 @@ const JS_HEAVY_SITES = [
 // AXIOS INSTANCE WITH SSL HANDLING
 // ============================================
 
+/**
+ * Axios client for page fetches. Agents refuse private/local addresses at
+ * connect time; redirects are not followed here but hop by hop in
+ * fetchWithAxios (see followRedirectsSafely).
+ */
 function createAxiosInstance() {
     return axios.create({
+        httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
         httpsAgent: new https.Agent({
             rejectUnauthorized: true,
             secureOptions: require('constants').SSL_OP_LEGACY_SERVER_CONNECT,
             minVersion: 'TLSv1',
-            maxVersion: 'TLSv1.3'
+            maxVersion: 'TLSv1.3',
+            lookup: publicOnlyLookup
         }),
         timeout: CONFIG.TIMEOUT,
-        maxRedirects: 5,
+        maxRedirects: 0,
         headers: {
             'User-Agent': CONFIG.USER_AGENT,
             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -81,11 +116,13 @@ function createAxiosInstance() {
 
 /**
  * Normalize URL to avoid duplicates
+ * The query string is dropped unless `queryOptions` ({ queryParams,
+ * allowedParams } from the crawl options) says to keep some of it.
  */
-function normalizeUrl(url) {
+function normalizeUrl(url, queryOptions = {}) {
     try {
         const parsedUrl = new URL(url);
-        return parsedUrl.origin + parsedUrl.pathname.replace(/\/$/, '');
+        return parsedUrl.origin + parsedUrl.pathname.replace(/\/$/, '') + applyQueryPolicy(parsedUrl, queryOptions);
     } catch (e) {
         return null;
     }
@@ -176,6 +213,7 @@ function needsJavaScriptRendering(url, html) {
 async function crawlWithPuppeteer(url, browser = null) {
     const shouldCloseBrowser = !browser;
     let localBrowser = browser;
+    let page = null;
     
     try {
         console.log(`[PUPPETEER] 🎭 Rendering: ${url}`);
@@ -195,7 +233,20 @@ async function crawlWithPuppeteer(url, browser = null) {
             });
         }
         
-        const page = await localBrowser.newPage();
+        page = await localBrowser.newPage();
+        
+        // The browser resolves hosts itself: check every http(s) request,
+        // including redirects and page subresources
+        await page.setRequestInterception(true);
+        page.on('request', (request) => {
+            if (!/^https?:/i.test(request.url())) {
+                request.continue();
+                return;
+            }
+            checkFetchTarget(request.url())
+                .then(target => (target.isAllowed ? request.continue() : request.abort('blockedbyclient')))
+                .catch(() => request.abort('failed'));
+        });
         
         // Set viewport and user agent
         await page.setUserAgent(CONFIG.USER_AGENT);
@@ -205,7 +256,7 @@ async function crawlWithPuppeteer(url, browser = null) {
         const startTime = Date.now();
         
         // Navigate to page
-        await page.goto(url, {
+        const response = await page.goto(url, {
             waitUntil: 'networkidle2',
             timeout: CONFIG.PUPPETEER_TIMEOUT
         });
@@ -218,15 +269,51 @@ async function crawlWithPuppeteer(url, browser = null) {
         // Extract HTML content
         const html = await page.content();
         
-        // Extract all links
-        const links = await page.evaluate(() => {
-            return Array.from(document.querySelectorAll('a[href]'))
-                .map(a => a.href)
-                .filter(href => href && href.startsWith('http'));
+        // Extract all links (rel="nofollow" links are kept apart)
+        const { links, nofollowLinks } = await page.evaluate(() => {
+            const anchors = Array.from(document.querySelectorAll('a[href]'))
+                .filter(a => a.href && a.href.startsWith('http'));
+            const isNofollow = (a) => (a.getAttribute('rel') || '').toLowerCase().split(/\s+/).includes('nofollow');
+            
+            return {
+                links: anchors.filter(a => !isNofollow(a)).map(a => a.href),
+                nofollowLinks: anchors.filter(isNofollow).map(a => a.href)
+            };
         });
         
+        // Extract raw image attributes (normalized like the Cheerio path)
+        const rawImages = await page.evaluate((lazySrc, lazySrcset) => {
+            const firstAttr = (img, names) => names.map(name => img.getAttribute(name)).find(Boolean) || null;
+            
+            return Array.from(document.querySelectorAll('img')).map(img => {
+                const src = img.getAttribute('src');
+                return {
+                    src: src && !src.startsWith('data:') ? src : firstAttr(img, lazySrc),
+                    srcset: firstAttr(img, ['srcset', ...lazySrcset]),
+                    alt: img.getAttribute('alt'),
+                    title: img.getAttribute('title'),
+                    width: img.getAttribute('width'),
+                    height: img.getAttribute('height')
+                };
+            });
+        }, LAZY_SRC_ATTRIBUTES, LAZY_SRCSET_ATTRIBUTES);
+        
+        // Extract raw <video> tags and iframe embeds (JSON-LD comes with the metadata)
+        const rawVideos = await page.evaluate(() => ({
+            videoTags: Array.from(document.querySelectorAll('video')).map(video => ({
+                src: video.getAttribute('src'),
+                sources: Array.from(video.querySelectorAll('source[src]')).map(source => source.getAttribute('src')),
+                poster: video.getAttribute('poster'),
+                title: video.getAttribute('title') || video.getAttribute('aria-label')
+            })),
+            iframes: Array.from(document.querySelectorAll('iframe')).map(iframe => ({
+                src: iframe.getAttribute('src') || iframe.getAttribute('data-src'),
+                title: iframe.getAttribute('title')
+            }))
+        }));
+        
         // Extract metadata
-        const metadata = await page.evaluate(() => {
+        const metadata = await page.evaluate((agentToken) => {
             const getMeta = (name) => {
                 const meta = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
                 return meta ? meta.content : null;
@@ -240,8 +327,22 @@ async function crawlWithPuppeteer(url, browser = null) {
                 canonical: document.querySelector('link[rel="canonical"]')?.href || null,
                 h1: document.querySelector('h1')?.textContent?.trim() || null,
                 wordCount: document.body.innerText.trim().split(/\s+/).length,
+                robots: Array.from(document.querySelectorAll('meta[name]'))
+                    .filter(meta => ['robots', agentToken].includes(meta.getAttribute('name').toLowerCase()))
+                    .map(meta => meta.content)
+                    .join(', ') || null,
+                modifiedTime: getMeta('article:modified_time'),
+                publishedTime: getMeta('article:published_time'),
+                siteName: getMeta('og:site_name'),
+                language: document.documentElement.getAttribute('lang') || null,
+                alternates: Array.from(document.querySelectorAll('link[hreflang][href]'))
+                    .filter(link => (link.getAttribute('rel') || '').toLowerCase().split(/\s+/).includes('alternate'))
+                    .map(link => ({ hreflang: link.getAttribute('hreflang'), href: link.getAttribute('href') })),
+                jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+                    .map(script => script.textContent),
             };
-        });
+        }, ROBOTS_AGENT_TOKEN);
+        const { jsonLd, ...pageMetadata } = metadata;
         
         // Take screenshot (optional)
         let screenshot = null;
@@ -254,15 +355,26 @@ async function crawlWithPuppeteer(url, browser = null) {
             });
         }
         
-        await page.close();
-        
         console.log(`[PUPPETEER] ✅ Success in ${duration}ms - Found ${links.length} links`);
         
         return {
             success: true,
             html,
             links: [...new Set(links)],
-            metadata,
+            nofollowLinks: [...new Set(nofollowLinks)],
+            images: normalizeImages(rawImages, url),
+            videos: normalizeVideos({ ...rawVideos, jsonLd }, url, {
+                title: pageMetadata.title,
+                description: pageMetadata.description,
+                thumbnail: pageMetadata.ogImage
+            }),
+            metadata: {
+                ...pageMetadata,
+                dateModified: findJsonLdDateModified(jsonLd),
+                newsArticle: findJsonLdNewsArticle(jsonLd)
+            },
+            contentHash: hashVisibleText(cheerio.load(html)),
+            headers: response ? response.headers() : {},
             screenshot,
             duration,
             method: 'puppeteer'
@@ -276,6 +388,10 @@ async function crawlWithPuppeteer(url, browser = null) {
             method: 'puppeteer'
         };
     } finally {
+        // Close the tab even when navigation failed (the browser is shared)
+        if (page) {
+            await page.close().catch(() => {});
+        }
         if (shouldCloseBrowser && localBrowser) {
             await localBrowser.close();
         }
@@ -298,7 +414,7 @@ async function fetchWithAxios(url, maxRetries = CONFIG.MAX_RETRIES) {
             console.log(`[AXIOS] 🌐 Attempt ${attempt}/${maxRetries}: ${url}`);
             
             const startTime = Date.now();
-            const response = await axiosInstance.get(url);
+            const { response } = await followRedirectsSafely(url, (hopUrl) => axiosInstance.get(hopUrl));
             const duration = Date.now() - startTime;
             
             if (response.status >= 400) {
@@ -335,21 +451,33 @@ async function fetchWithAxios(url, maxRetries = CONFIG.MAX_RETRIES) {
     }
 }
 
+/**
+ * Content hash of a page's visible text, taken from its HTML the same way for
+ * Axios and Puppeteer results so the renderer used doesn't count as a change.
+ * Inline scripts (nonces, tokens) are left out. Removes them from `$`.
+ */
+function hashVisibleText($) {
+    $('script, style, noscript, template').remove();
+    return hashContent($('body').text());
+}
+
 /**
  * Extract links and metadata from HTML using Cheerio
  */
 function extractDataFromHtml(html, baseUrl) {
     const $ = cheerio.load(html);
     
-    // Extract links
+    // Extract links (rel="nofollow" links are kept apart)
     const links = [];
+    const nofollowLinks = [];
     $('a[href]').each((i, link) => {
         const href = $(link).attr('href');
         if (!href) return;
         
         try {
             const absoluteUrl = new URL(href, baseUrl).href;
-            links.push(absoluteUrl);
+            const rel = ($(link).attr('rel') || '').toLowerCase().split(/\s+/);
+            (rel.includes('nofollow') ? nofollowLinks : links).push(absoluteUrl);
         } catch (e) {
             // Skip invalid URLs
         }
@@ -361,6 +489,8 @@ function extractDataFromHtml(html, baseUrl) {
         return el.length > 0 ? el.attr('content') || el.text() : null;
     };
     
+    const jsonLd = $('script[type="application/ld+json"]').map((i, el) => $(el).text()).get();
+    
     const metadata = {
         title: $('title').text() || null,
         description: getMeta('meta[name="description"]') || getMeta('meta[property="og:description"]'),
@@ -369,9 +499,33 @@ function extractDataFromHtml(html, baseUrl) {
         canonical: $('link[rel="canonical"]').attr('href') || null,
         h1: $('h1').first().text().trim() || null,
         wordCount: $('body').text().trim().split(/\s+/).length,
+        robots: $('meta[name]')
+            .filter((i, el) => ['robots', ROBOTS_AGENT_TOKEN].includes(($(el).attr('name') || '').toLowerCase()))
+            .map((i, el) => $(el).attr('content'))
+            .get()
+            .join(', ') || null,
+        modifiedTime: getMeta('meta[property="article:modified_time"]'),
+        dateModified: findJsonLdDateModified(jsonLd),
+        publishedTime: getMeta('meta[property="article:published_time"]'),
+        siteName: getMeta('meta[property="og:site_name"]'),
+        language: $('html').attr('lang') || null,
+        newsArticle: findJsonLdNewsArticle(jsonLd),
+        alternates: $('link[hreflang][href]')
+            .filter((i, el) => ($(el).attr('rel') || '').toLowerCase().split(/\s+/).includes('alternate'))
+            .map((i, el) => ({ hreflang: $(el).attr('hreflang'), href: $(el).attr('href') }))
+            .get(),
     };
     
-    return { links, metadata };
+    const images = normalizeImages(readImagesFromHtml($), baseUrl);
+    const videos = normalizeVideos(readVideosFromHtml($), baseUrl, {
+        title: metadata.title,
+        description: metadata.description,
+        thumbnail: metadata.ogImage
+    });
+    
+    const contentHash = hashVisibleText($);
+    
+    return { links, nofollowLinks, images, videos, metadata, contentHash };
 }
 
 // ============================================
@@ -379,20 +533,23 @@ function extractDataFromHtml(html, baseUrl) {
 // ============================================
 
 /**
- * Smart crawler that auto-detects and uses the best method
+ * Smart crawler that auto-detects and uses the best method.
+ * With `renderJavaScript: false` Puppeteer is never used.
  */
-async function smartCrawl(url, browser = null) {
+async function smartCrawl(url, browser = null, options = {}) {
+    const renderJavaScript = options.renderJavaScript !== false;
+    
     try {
         // Try Axios first (it's much faster)
         const axiosResult = await fetchWithAxios(url);
         
         if (axiosResult.success) {
-            const { links, metadata } = extractDataFromHtml(axiosResult.html, url);
+            const { links, nofollowLinks, images, videos, metadata, contentHash } = extractDataFromHtml(axiosResult.html, url);
             
             // Check if page needs JS rendering
             const needsJS = needsJavaScriptRendering(url, axiosResult.html);
             
-            if (needsJS) {
+            if (needsJS && renderJavaScript) {
                 console.log(`[SMART] 🔄 Detected JS framework - switching to Puppeteer`);
                 return await crawlWithPuppeteer(url, browser);
             }
@@ -400,11 +557,22 @@ async function smartCrawl(url, browser = null) {
             return {
                 ...axiosResult,
                 links,
-                metadata
+                nofollowLinks,
+                images,
+                videos,
+                metadata,
+                contentHash
             };
         }
         
     } catch (error) {
+        if (!renderJavaScript) {
+            return {
+                success: false,
+                error: error.message,
+                method: 'axios'
+            };
+        }
         console.log(`[SMART] ⚠️  Axios failed, trying Puppeteer: ${error.message}`);
     }
     
@@ -413,113 +581,592 @@ async function smartCrawl(url, browser = null) {
 }
 
 // ============================================
-// MAIN RECURSIVE CRAWLER
+// BREADTH-FIRST FRONTIER CRAWLER
 // ============================================
 
 /**
- * Recursive crawling function with depth limit
+ * Run `worker` over `items` with at most `limit` in flight at once
  */
-async function recursiveCrawl(startUrl, currentDepth, visitedUrls, baseUrl, browser, crawlResults) {
-    // Stop conditions
-    if (currentDepth > CONFIG.MAX_DEPTH || visitedUrls.size >= CONFIG.MAX_PAGES) {
-        return;
+async function runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0;
+    
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            await worker(items[index], index);
+        }
+    });
+    
+    await Promise.all(runners);
+}
+
+/**
+ * Store a page result and report it to the progress hook (if any)
+ */
+function recordResult(state, pageResult) {
+    state.results.push(pageResult);
+    
+    if (state.hooks.onPage) {
+        state.hooks.onPage(pageResult, {
+            crawled: state.results.length,
+            discovered: state.visited.size,
+            maxPages: state.maxPages
+        });
+    }
+}
+
+/**
+ * robots.txt matcher for the origin of a URL (null when robots.txt is ignored)
+ */
+function getRobotsFor(state, normalizedUrl) {
+    if (!state.robotsByOrigin) return null;
+    return state.robotsByOrigin.get(new URL(normalizedUrl).origin) || null;
+}
+
+/**
+ * Fetch robots.txt for any in-scope origin we have not seen yet.
+ * Only needed when the scope spans more than one host.
+ */
+async function loadRobotsFor(state, normalizedUrls) {
+    if (!state.robotsByOrigin) return;
+    
+    const origins = new Set();
+    for (const url of normalizedUrls) {
+        if (!state.scope.isInScope(url)) continue;
+        const origin = new URL(url).origin;
+        if (!state.robotsByOrigin.has(origin)) origins.add(origin);
     }
     
-    const normalizedUrl = normalizeUrl(startUrl);
-    if (!normalizedUrl || visitedUrls.has(normalizedUrl)) {
-        return;
+    for (const origin of origins) {
+        // Workers share one request per origin
+        if (!state.robotsLoading.has(origin)) {
+            state.robotsLoading.set(origin, fetchRobotsTxt(origin, CONFIG.USER_AGENT).then(robotsTxt => {
+                state.robotsByOrigin.set(origin, robotsTxt.matcher);
+                
+                // A resumed crawl fetches robots.txt again: replace the saved entry
+                const hosts = state.report.robots.additionalHosts.filter(host => host.origin !== origin);
+                hosts.push({
+                    origin,
+                    found: robotsTxt.found,
+                    unreachable: robotsTxt.unreachable,
+                    ...(robotsTxt.error ? { error: robotsTxt.error } : {})
+                });
+                state.report.robots.additionalHosts = hosts;
+            }));
+        }
+        await state.robotsLoading.get(origin);
+    }
+}
+
+/**
+ * Decide whether a discovered URL may be queued.
+ * Returns null when it may, otherwise the reason it is skipped.
+ */
+function getSkipReason(state, normalizedUrl) {
+    if (!state.scope.isInScope(normalizedUrl)) {
+        return 'external';
     }
     
-    visitedUrls.add(normalizedUrl);
-    console.log(`\n[CRAWLER] 📊 Depth ${currentDepth}: ${normalizedUrl} (${visitedUrls.size}/${CONFIG.MAX_PAGES})`);
+    const robots = getRobotsFor(state, normalizedUrl);
+    if (robots && !robots.isAllowed(normalizedUrl)) {
+        return 'robots';
+    }
+    
+    const ruleMatch = state.urlRules.check(normalizedUrl);
+    if (ruleMatch) {
+        return ruleMatch.reason; // 'excluded' | 'not-included'
+    }
+    return null;
+}
+
+/**
+ * Record a skipped URL in the crawl report (once per URL).
+ * External links are expected and not reported.
+ */
+function recordSkip(state, normalizedUrl, reason) {
+    if (reason === 'external' || state.skipped.has(normalizedUrl)) return;
+    state.skipped.add(normalizedUrl);
+    
+    if (reason === 'robots') {
+        const rule = getRobotsFor(state, normalizedUrl).matchRule(normalizedUrl);
+        state.report.robots.skipped.push({ url: normalizedUrl, rule: rule ? `Disallow: ${rule.path}` : null });
+    } else if (reason === 'excluded' || reason === 'not-included') {
+        const filters = state.report.urlRules;
+        const { pattern } = state.urlRules.check(normalizedUrl);
+        
+        if (reason === 'excluded') {
+            filters.excludedCount++;
+        } else {
+            filters.notIncludedCount++;
+        }
+        if (filters.examples.length < CONFIG.REPORT_LIST_LIMIT) {
+            filters.examples.push({ url: normalizedUrl, reason, pattern });
+        }
+    }
+}
+
+/**
+ * Media type from the response headers (`text/html; charset=utf-8` -> `text/html`)
+ */
+function getContentType(headers) {
+    const value = headers ? headers['content-type'] : null;
+    return value ? String(value).split(';')[0].trim().toLowerCase() : 'text/html';
+}
+
+/**
+ * Page-level robots directives from <meta name="robots"> and X-Robots-Tag
+ * Returns: { noindex, nofollow, meta, header }
+ */
+function getPageRobots(result) {
+    const meta = result.metadata?.robots || null;
+    const headerValue = result.headers ? result.headers['x-robots-tag'] : null;
+    const header = Array.isArray(headerValue) ? headerValue.join(', ') : (headerValue || null);
+    
+    return {
+        ...parseRobotsDirectives([meta, header]),
+        meta,
+        header
+    };
+}
+
+/**
+ * Resolve a page's rel="canonical" against the crawl.
+ * `url` is null when there is no canonical or it points to the page itself;
+ * `inScope` is false when the crawl may not list the canonical URL
+ * (outside the scope, excluded by URL rules or by robots.txt).
+ * Returns: { url, inScope }
+ */
+async function resolveCanonical(state, pageUrl, canonicalHref, options) {
+    if (!canonicalHref) return { url: null, inScope: true };
+    
+    let canonicalUrl;
+    try {
+        canonicalUrl = normalizeUrl(new URL(canonicalHref, pageUrl).href, options);
+    } catch (e) {
+        return { url: null, inScope: true }; // Ignore invalid canonicals
+    }
+    
+    if (!canonicalUrl || canonicalUrl === normalizeUrl(pageUrl, options)) {
+        return { url: null, inScope: true };
+    }
+    
+    await loadRobotsFor(state, [canonicalUrl]);
+    return { url: canonicalUrl, inScope: getSkipReason(state, canonicalUrl) === null };
+}
+
+/**
+ * Absolute, normalized hreflang alternates of a page: [{ hreflang, url }]
+ * (checked when the sitemap is built, see ./hreflang)
+ */
+function resolveAlternates(pageUrl, alternates, options) {
+    return (alternates || []).map(({ hreflang, href }) => {
+        try {
+            return { hreflang, url: normalizeUrl(new URL(href, pageUrl).href, options) };
+        } catch (e) {
+            return null; // Ignore invalid hrefs
+        }
+    }).filter(alternate => alternate && alternate.url);
+}
+
+/**
+ * Crawl a single frontier entry and return the child URLs it discovered
+ */
+async function crawlPage(entry, state, options) {
+    const { url, depth } = entry;
+    const discoveredVia = entry.source || 'link';
+    console.log(`\n[CRAWLER] 📊 Depth ${depth}: ${url} (${state.claimed}/${options.maxPages})`);
     
     try {
-        // Crawl the page
-        const result = await smartCrawl(startUrl, browser);
+        const result = await smartCrawl(url, state.browser, options);
         
         if (!result.success) {
             console.error(`[CRAWLER] ❌ Failed to crawl: ${result.error}`);
             // Store failed result
-            crawlResults.push({
-                url: startUrl,
+            recordResult(state, {
+                url,
+                normalizedUrl: normalizeUrl(url, options),
                 success: false,
                 error: result.error,
-                depth: currentDepth
+                method: result.method,
+                depth,
+                discoveredVia
             });
-            return;
+            return [];
         }
         
+        const pageRobots = getPageRobots(result);
+        const canonical = await resolveCanonical(state, url, result.metadata?.canonical, options);
+        const links = (result.links || []).map(link => normalizeUrl(link, options)).filter(Boolean);
+        
         // Store successful result with metadata
-        crawlResults.push({
-            url: startUrl,
+        recordResult(state, {
+            url,
+            normalizedUrl: normalizeUrl(url, options),
+            canonicalUrl: canonical.url,
+            canonicalInScope: canonical.inScope,
             success: true,
             statusCode: result.statusCode || 200,
+            contentType: getContentType(result.headers),
             duration: result.duration,
             method: result.method,
             metadata: result.metadata || {},
-            depth: currentDepth,
+            robots: pageRobots,
+            // Inputs for <lastmod> (see ./lastmod)
+            headers: {
+                'last-modified': result.headers?.['last-modified'] || null,
+                date: result.headers?.date || null
+            },
+            contentHash: result.contentHash || null,
+            nofollowLinks: (result.nofollowLinks || []).map(link => normalizeUrl(link, options)).filter(Boolean),
+            // In-scope links (inlink counts for <priority>); none when the page is nofollow
+            internalLinks: pageRobots.nofollow ? [] : [...new Set(links.filter(link => state.scope.isInScope(link)))],
+            images: result.images || [],
+            videos: result.videos || [],
+            alternates: resolveAlternates(url, result.metadata?.alternates, options),
+            depth,
+            discoveredVia,
             timestamp: new Date()
         });
         
-        // Filter links to same domain only
-        const childUrls = result.links
-            .filter(link => {
-                const normalized = normalizeUrl(link);
-                return normalized && 
-                       normalized.startsWith(baseUrl) && 
-                       !visitedUrls.has(normalized);
-            })
-            .slice(0, 10); // Limit children per page
+        // The canonical URL is crawled too, so duplicates can be merged under it
+        const childUrls = [];
+        if (canonical.url && canonical.inScope && !state.visited.has(canonical.url)) {
+            childUrls.push(canonical.url);
+        }
         
-        console.log(`[CRAWLER] 🔗 Found ${childUrls.length} internal links`);
+        if (pageRobots.nofollow) {
+            console.log(`[CRAWLER] 🚷 nofollow - not following links on this page`);
+            return childUrls;
+        }
         
-        // Crawl children recursively
-        if (currentDepth < CONFIG.MAX_DEPTH && childUrls.length > 0) {
-            for (const childUrl of childUrls) {
-                if (visitedUrls.size >= CONFIG.MAX_PAGES) break;
-                
-                // Polite delay between requests
-                await delay(CONFIG.DELAY_BETWEEN_REQUESTS);
-                
-                await recursiveCrawl(
-                    childUrl,
-                    currentDepth + 1,
-                    visitedUrls,
-                    baseUrl,
-                    browser,
-                    crawlResults
-                );
+        // Filter links to the crawl scope (and robots.txt rules, if respected)
+        await loadRobotsFor(state, links);
+        
+        for (const normalized of links) {
+            // Every in-scope link counts for orphan detection, even past the child limit
+            if (state.scope.isInScope(normalized)) {
+                state.linked.add(normalized);
+            }
+            
+            if (childUrls.length >= options.maxChildrenPerPage) continue; // Limit children per page
+            if (state.visited.has(normalized) || childUrls.includes(normalized)) continue;
+            
+            const skipReason = getSkipReason(state, normalized);
+            if (skipReason) {
+                recordSkip(state, normalized, skipReason);
+                continue;
             }
+            
+            childUrls.push(normalized);
         }
         
+        console.log(`[CRAWLER] 🔗 Found ${childUrls.length} internal links`);
+        return childUrls;
+        
     } catch (error) {
         console.error(`[CRAWLER] 💥 Unexpected error: ${error.message}`);
-        crawlResults.push({
-            url: startUrl,
+        recordResult(state, {
+            url,
+            normalizedUrl: normalizeUrl(url, options),
             success: false,
             error: error.message,
-            depth: currentDepth
+            depth,
+            discoveredVia
         });
+        return [];
     }
 }
 
+/**
+ * Snapshot of the crawl that is enough to resume it later:
+ * every URL seen so far, the URLs still waiting to be crawled and
+ * the results collected. Pages that are in flight count as pending.
+ */
+function snapshotFrontier(state) {
+    const visited = new Set(state.visited);
+    const frontier = [];
+    
+    state.level.forEach((entry, index) => {
+        if (state.entryStatus[index] !== 'done') {
+            frontier.push(entry);
+        }
+    });
+    
+    // Children of finished pages that were not merged into the next level yet
+    state.level.forEach((entry, index) => {
+        if (state.entryStatus[index] !== 'done' || entry.depth >= state.maxDepth) return;
+        
+        for (const childUrl of state.childrenByIndex[index] || []) {
+            if (visited.has(childUrl)) continue;
+            visited.add(childUrl);
+            frontier.push({ url: childUrl, depth: entry.depth + 1 });
+        }
+    });
+    
+    return {
+        visited: [...visited],
+        frontier,
+        linked: [...state.linked],
+        skipped: [...state.skipped],
+        seedsQueued: state.seedsQueued,
+        results: [...state.results],
+        report: JSON.parse(JSON.stringify(state.report))
+    };
+}
+
+/**
+ * Frontier entries for sitemap URLs that link discovery did not reach.
+ * They are crawled last, at the depth limit, so link depths stay accurate
+ * and their own links are not followed.
+ */
+async function queueSitemapSeeds(state) {
+    state.seedsQueued = true;
+    const frontier = [];
+    await loadRobotsFor(state, state.seeds);
+    
+    for (const seedUrl of state.seeds) {
+        if (state.visited.has(seedUrl)) continue;
+        
+        const skipReason = getSkipReason(state, seedUrl);
+        if (skipReason) {
+            recordSkip(state, seedUrl, skipReason);
+            continue;
+        }
+        
+        state.visited.add(seedUrl);
+        frontier.push({ url: seedUrl, depth: state.maxDepth, source: 'sitemap' });
+    }
+    
+    if (frontier.length > 0) {
+        console.log(`[CRAWLER] 🗺️  Queued ${frontier.length} URLs found only in sitemaps`);
+    }
+    return frontier;
+}
+
+/**
+ * Compare the old sitemap with what link discovery found:
+ * orphans are sitemap URLs no crawled page links to, missing URLs were
+ * crawled successfully but are not in the sitemap.
+ */
+function summarizeSeeding(state) {
+    const seeding = state.report.seeding;
+    const seedSet = new Set(state.seeds);
+    const limit = CONFIG.REPORT_LIST_LIMIT;
+    
+    const orphans = state.seeds.filter(url => url !== state.startNormalized && !state.linked.has(url));
+    const missing = seedSet.size === 0 ? [] : state.results
+        .filter(result => result.success)
+        .map(result => normalizeUrl(result.url, state.queryOptions))
+        .filter(url => url && !seedSet.has(url));
+    
+    seeding.orphanCount = orphans.length;
+    seeding.orphans = orphans.slice(0, limit);
+    seeding.missingCount = missing.length;
+    seeding.missingFromSitemap = missing.slice(0, limit);
+}
+
+/**
+ * Report a checkpoint to the hook (if any)
+ */
+function emitCheckpoint(state, reason) {
+    if (state.hooks.onCheckpoint) {
+        state.hooks.onCheckpoint(snapshotFrontier(state), reason);
+    }
+}
+
+/**
+ * Breadth-first crawl: every page at depth N is fetched before any page at
+ * depth N + 1, so the page cap keeps the shallow (most important) pages.
+ * Each level is processed by a pool of CONFIG.PARALLEL_LIMIT workers that
+ * share the one Puppeteer browser.
+ *
+ * `hooks.resumeFrom` (a snapshot from `hooks.onCheckpoint`) continues an
+ * earlier crawl. When `hooks.shouldStop()` returns true, no new pages are
+ * started; in-flight pages finish and a final checkpoint is emitted.
+ *
+ * `scope` (from ./crawlScope) decides which links belong to the crawl.
+ * `robots` is an optional matcher from ./robotsParser for the start
+ * origin; other in-scope origins load their own robots.txt. Skipped URLs
+ * are written to `report`. `seeds` are normalized URLs from the site's
+ * existing sitemaps (see queueSitemapSeeds).
+ */
+async function breadthFirstCrawl({ startUrl, scope, browser, options, hooks = {}, robots = null, seeds = [], report, concurrency }) {
+    const state = {
+        scope,
+        startNormalized: normalizeUrl(startUrl, options),
+        queryOptions: { queryParams: options.queryParams, allowedParams: options.allowedParams },
+        urlRules: createUrlRules(options),
+        browser,
+        hooks,
+        robotsByOrigin: robots ? new Map([[new URL(startUrl).origin, robots]]) : null,
+        robotsLoading: new Map(),
+        report,
+        skipped: new Set(),
+        maxPages: options.maxPages,
+        maxDepth: options.maxDepth,
+        visited: new Set(),
+        linked: new Set(),
+        seeds,
+        seedsQueued: false,
+        results: [],
+        claimed: 0,
+        level: [],
+        entryStatus: [],
+        childrenByIndex: [],
+        lastCheckpointCount: 0,
+        stopped: false
+    };
+    
+    let frontier;
+    
+    if (hooks.resumeFrom) {
+        state.visited = new Set(hooks.resumeFrom.visited);
+        state.linked = new Set(hooks.resumeFrom.linked || []);
+        state.seedsQueued = Boolean(hooks.resumeFrom.seedsQueued);
+        state.results = [...hooks.resumeFrom.results];
+        state.claimed = state.results.length;
+        state.lastCheckpointCount = state.results.length;
+        frontier = [...hooks.resumeFrom.frontier];
+        
+        // Skipped URLs were already counted in the saved report
+        state.skipped = new Set(hooks.resumeFrom.skipped || []);
+        const savedSkips = hooks.resumeFrom.report?.robots?.skipped || [];
+        if (report.robots.skipped) {
+            report.robots.skipped.push(...savedSkips);
+            savedSkips.forEach(entry => state.skipped.add(entry.url));
+            report.robots.additionalHosts.push(...(hooks.resumeFrom.report?.robots?.additionalHosts || []));
+        }
+        
+        const savedRules = hooks.resumeFrom.report?.urlRules;
+        if (savedRules) {
+            report.urlRules.excludedCount = savedRules.excludedCount || 0;
+            report.urlRules.notIncludedCount = savedRules.notIncludedCount || 0;
+            report.urlRules.examples = savedRules.examples || [];
+        }
+        console.log(`[CRAWLER] ♻️  Resuming with ${state.results.length} pages done, ${frontier.length} queued`);
+    } else {
+        const startNormalized = state.startNormalized;
+        if (!startNormalized) {
+            return state.results;
+        }
+        
+        const skipReason = getSkipReason(state, startNormalized);
+        if (skipReason === 'robots') {
+            console.log(`[CRAWLER] 🤖 Start URL is disallowed by robots.txt`);
+            recordSkip(state, startNormalized, skipReason);
+            return state.results;
+        }
+        
+        state.visited.add(startNormalized);
+        state.linked.add(startNormalized);
+        frontier = [{ url: startUrl, depth: 1, source: 'start' }];
+    }
+    
+    // Paused after the last link level but before the sitemap URLs were queued
+    if (frontier.length === 0 && !state.seedsQueued && state.seeds.length > 0) {
+        frontier = await queueSitemapSeeds(state);
+    }
+    
+    state.level = frontier;
+    state.entryStatus = new Array(frontier.length).fill('queued');
+    
+    const isStopRequested = () => {
+        if (!state.stopped && hooks.shouldStop && hooks.shouldStop()) {
+            state.stopped = true;
+        }
+        return state.stopped;
+    };
+    
+    while (frontier.length > 0 && state.claimed < options.maxPages && !isStopRequested()) {
+        state.level = frontier;
+        state.entryStatus = new Array(frontier.length).fill('queued');
+        state.childrenByIndex = new Array(frontier.length);
+        
+        await runWithConcurrency(state.level, concurrency, async (entry, index) => {
+            if (state.claimed >= options.maxPages || isStopRequested()) return;
+            
+            // Polite delay between requests (each worker waits before its next fetch)
+            if (state.claimed > 0) {
+                await delay(options.delay);
+            }
+            if (state.claimed >= options.maxPages || isStopRequested()) return;
+            state.claimed++;
+            state.entryStatus[index] = 'active';
+            
+            state.childrenByIndex[index] = await crawlPage(entry, state, options);
+            state.entryStatus[index] = 'done';
+            
+            // Workers finish in bursts, so count pages since the last checkpoint
+            if (state.results.length - state.lastCheckpointCount >= CONFIG.CHECKPOINT_INTERVAL) {
+                state.lastCheckpointCount = state.results.length;
+                emitCheckpoint(state, 'interval');
+            }
+        });
+        
+        if (state.stopped) break;
+        
+        // Queue the next level in discovery order so results stay deterministic
+        frontier = [];
+        state.level.forEach((entry, index) => {
+            if (entry.depth >= options.maxDepth) return;
+            
+            for (const childUrl of state.childrenByIndex[index] || []) {
+                if (state.visited.has(childUrl)) continue;
+                state.visited.add(childUrl);
+                frontier.push({ url: childUrl, depth: entry.depth + 1 });
+            }
+        });
+        
+        // Links are exhausted: crawl the sitemap URLs nothing linked to
+        if (frontier.length === 0 && !state.seedsQueued && state.seeds.length > 0) {
+            frontier = await queueSitemapSeeds(state);
+        }
+        
+        state.level = frontier;
+        state.entryStatus = new Array(frontier.length).fill('queued');
+        state.childrenByIndex = [];
+    }
+    
+    if (state.stopped) {
+        console.log(`[CRAWLER] ⏸️  Stopped after ${state.results.length} pages`);
+        emitCheckpoint(state, 'stopped');
+    }
+    
+    if (state.report.seeding) {
+        summarizeSeeding(state);
+    }
+    
+    return state.results;
+}
+
 // ============================================
 // MAIN EXPORT FUNCTION
 // ============================================
 
 /**
  * Start the intelligent crawl
- * Returns: Array of URLs with metadata
+ * `crawlOptions` is validated and merged over the defaults in ./crawlOptions
+ * `hooks.onPage(pageResult, progress)` is called after every crawled page
+ * `hooks.onCheckpoint`, `hooks.shouldStop` and `hooks.resumeFrom` support
+ * pausing, cancelling and resuming (see breadthFirstCrawl)
+ * Returns: { results: Array of URLs with metadata, report: crawl report }
  */
-exports.startSafeCrawl = async (startUrl) => {
+exports.startSafeCrawl = async (startUrl, crawlOptions = {}, hooks = {}) => {
     const startTime = Date.now();
     let browser = null;
     
     try {
+        const { isValid, errors, options } = validateCrawlOptions(crawlOptions);
+        if (!isValid) {
+            throw new Error(`Invalid crawl options: ${errors.join(', ')}`);
+        }
+        
         // Validate and normalize start URL
         let baseUrl;
+        let scope;
         try {
             baseUrl = new URL(startUrl).origin;
+            scope = createCrawlScope(startUrl, options);
         } catch (e) {
             throw new Error("Invalid starting URL provided.");
         }
@@ -527,28 +1174,102 @@ exports.startSafeCrawl = async (startUrl) => {
         console.log('\n' + '='.repeat(60));
         console.log('🚀 INTELLIGENT CRAWLER STARTING');
         console.log('='.repeat(60));
-        console.log(`📍 Base URL: ${baseUrl}`);
-        console.log(`📊 Max Depth: ${CONFIG.MAX_DEPTH} | Max Pages: ${CONFIG.MAX_PAGES}`);
-        console.log(`⚡ Parallel Limit: ${CONFIG.PARALLEL_LIMIT}`);
+        console.log(`📍 Base URL: ${baseUrl} | Scope: ${options.scope} (${scope.describe()})`);
+        console.log(`📊 Max Depth: ${options.maxDepth} | Max Pages: ${options.maxPages}`);
+        console.log(`🔗 Max Links Per Page: ${options.maxChildrenPerPage} | Delay: ${options.delay}ms`);
+        console.log(`⚡ Parallel Limit: ${CONFIG.PARALLEL_LIMIT} | JS Rendering: ${options.renderJavaScript ? 'on' : 'off'}`);
+        console.log(`🧹 Include: ${options.include.length} | Exclude: ${options.exclude.length} | Query params: ${options.queryParams}`);
+        console.log(`🤖 robots.txt: ${options.robotsMode} | Sitemap seeding: ${options.seedFromSitemaps ? 'on' : 'off'}`);
         console.log('='.repeat(60) + '\n');
         
-        // Launch Puppeteer browser (reuse for all requests)
-        browser = await puppeteer.launch({
-            headless: 'new',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--disable-gpu'
-            ]
-        });
+        const report = {
+            scope: { type: options.scope, description: scope.describe() },
+            robots: { mode: options.robotsMode },
+            urlRules: {
+                include: options.include,
+                exclude: options.exclude,
+                queryParams: options.queryParams,
+                excludedCount: 0,
+                notIncludedCount: 0,
+                examples: []
+            }
+        };
+        let robots = null;
+        let delayMs = options.delay;
+        let concurrency = CONFIG.PARALLEL_LIMIT;
+        
+        // Load robots.txt rules when the crawl respects them
+        if (options.robotsMode === 'respect') {
+            const robotsTxt = await fetchRobotsTxt(startUrl, CONFIG.USER_AGENT);
+            robots = robotsTxt.matcher;
+            
+            report.robots = {
+                mode: options.robotsMode,
+                found: robotsTxt.found,
+                // robots.txt failed to load, so nothing on the host is crawled
+                unreachable: robotsTxt.unreachable,
+                ...(robotsTxt.error ? { error: robotsTxt.error } : {}),
+                crawlDelay: robots.crawlDelay,
+                sitemaps: robots.sitemaps,
+                additionalHosts: [],
+                skipped: []
+            };
+            
+            // Crawl-delay is per site, so fetch one page at a time
+            if (robots.crawlDelay !== null) {
+                delayMs = Math.max(delayMs, Math.round(robots.crawlDelay * 1000));
+                concurrency = 1;
+                console.log(`[ROBOTS] 🐢 Crawl-delay ${robots.crawlDelay}s → ${delayMs}ms, one request at a time`);
+            }
+        }
         
-        const visitedUrls = new Set();
-        const crawlResults = [];
+        // Seed the frontier from the site's existing sitemaps
+        let seeds = [];
+        if (options.seedFromSitemaps) {
+            // Sitemap: lines are read even when the crawl ignores robots.txt rules
+            const robotsSitemaps = robots
+                ? robots.sitemaps
+                : (await fetchRobotsTxt(startUrl, CONFIG.USER_AGENT)).matcher.sitemaps;
+            
+            const { sources, urls, errors: sitemapErrors } = await fetchSitemapUrls(startUrl, {
+                robotsSitemaps,
+                userAgent: CONFIG.USER_AGENT
+            });
+            
+            seeds = [...new Set(urls.map(url => normalizeUrl(url, options)).filter(url => url && scope.isInScope(url)))];
+            report.seeding = {
+                sitemaps: sources,
+                errors: sitemapErrors,
+                seededUrls: seeds.length
+            };
+        }
+        
+        // Launch Puppeteer browser (reuse for all requests)
+        if (options.renderJavaScript) {
+            browser = await puppeteer.launch({
+                headless: 'new',
+                args: [
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-dev-shm-usage',
+                    '--disable-accelerated-2d-canvas',
+                    '--disable-gpu'
+                ]
+            });
+        }
         
-        // Start recursive crawl
-        await recursiveCrawl(startUrl, 1, visitedUrls, baseUrl, browser, crawlResults);
+        // Start breadth-first crawl
+        const crawlResults = await breadthFirstCrawl({
+            startUrl,
+            scope,
+            browser,
+            options: { ...options, delay: delayMs },
+            hooks,
+            robots,
+            seeds,
+            report,
+            concurrency
+        });
         
         // Close browser
         if (browser) {
@@ -556,6 +1277,7 @@ exports.startSafeCrawl = async (startUrl) => {
         }
         
         const duration = Date.now() - startTime;
+        report.canonicals = getCanonicalReport(crawlResults);
         
         console.log('\n' + '='.repeat(60));
         console.log('✅ CRAWL COMPLETED');
@@ -563,9 +1285,21 @@ exports.startSafeCrawl = async (startUrl) => {
         console.log(`📊 Pages Crawled: ${crawlResults.length}`);
         console.log(`⏱️  Total Duration: ${(duration / 1000).toFixed(2)}s`);
         console.log(`🎯 Success Rate: ${(crawlResults.filter(r => r.success).length / crawlResults.length * 100).toFixed(1)}%`);
+        if (report.robots.skipped) {
+            console.log(`🤖 Skipped by robots.txt: ${report.robots.skipped.length}`);
+        }
+        if (report.urlRules.excludedCount || report.urlRules.notIncludedCount) {
+            console.log(`🚫 Excluded by URL rules: ${report.urlRules.excludedCount} | Not matching include rules: ${report.urlRules.notIncludedCount}`);
+        }
+        if (report.canonicals.merged.length > 0) {
+            console.log(`🔀 Canonical URLs with duplicates merged: ${report.canonicals.merged.length}`);
+        }
+        if (report.seeding) {
+            console.log(`🗺️  Sitemap URLs: ${report.seeding.seededUrls} | Orphans: ${report.seeding.orphanCount} | Missing from sitemap: ${report.seeding.missingCount}`);
+        }
         console.log('='.repeat(60) + '\n');
         
-        return crawlResults;
+        return { results: crawlResults, report };
         
     } catch (error) {
         console.error(`\n❌ CRAWL FAILED: ${error.message}\n`);
@@ -0,0 +1,158 @@
+/**
+ * ============================================
+ * LASTMOD RESOLUTION
+ * ============================================
+ *
+ * Works out a real <lastmod> for every crawled page instead of
+ * stamping today's date. Sources, in order of preference:
+ * - http-header:  Last-Modified response header (ignored when it equals the
+ *                 Date header, i.e. the page was generated on the fly)
+ * - article-meta: <meta property="article:modified_time">
+ * - json-ld:      `dateModified` in a JSON-LD block
+ * - content-hash: the page text hash matches the previous crawl of the
+ *                 same start URL, so its lastmod is kept; when it changed
+ *                 the crawl time is used
+ * With none of these the page gets no lastmod, and <lastmod> is omitted.
+ */
+
+const crypto = require('crypto');
+
+const LASTMOD_SOURCES = ['http-header', 'article-meta', 'json-ld', 'content-hash'];
+
+// Written by earlier versions, which fell back to the crawl time
+const LEGACY_LASTMOD_SOURCES = ['first-crawl'];
+
+// Last-Modified this close to the Date header means "generated now"
+const DYNAMIC_HEADER_TOLERANCE_MS = 2000;
+
+// Dates slightly ahead of our clock are accepted (server clock skew)
+const MAX_FUTURE_SKEW_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// EXTRACTION HELPERS
+// ============================================
+
+/**
+ * Parse a date string; null when missing, invalid or in the future
+ */
+function parseDate(value, now = new Date()) {
+    if (!value || typeof value !== 'string') return null;
+
+    const date = new Date(value.trim());
+    if (Number.isNaN(date.getTime())) return null;
+    if (date.getTime() - now.getTime() > MAX_FUTURE_SKEW_MS) return null;
+
+    return date;
+}
+
+/**
+ * First `dateModified` found in JSON-LD blocks (including @graph entries)
+ * @param {Array<string>} blocks - Text of each <script type="application/ld+json">
+ * @returns {string|null}
+ */
+function findJsonLdDateModified(blocks) {
+    const search = (node) => {
+        if (!node || typeof node !== 'object') return null;
+        if (Array.isArray(node)) {
+            for (const item of node) {
+                const found = search(item);
+                if (found) return found;
+            }
+            return null;
+        }
+        if (typeof node.dateModified === 'string') return node.dateModified;
+        return search(node['@graph']) || search(node.mainEntity) || search(node.mainEntityOfPage);
+    };
+
+    for (const block of blocks) {
+        try {
+            const found = search(JSON.parse(block));
+            if (found) return found;
+        } catch (e) {
+            // Ignore malformed JSON-LD
+        }
+    }
+    return null;
+}
+
+/**
+ * Hash of the visible page text (whitespace-insensitive), used to tell
+ * whether a page changed between crawls
+ */
+function hashContent(text) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// ============================================
+// RESOLUTION
+// ============================================
+
+/**
+ * Last-Modified header, unless it merely reflects the response time
+ */
+function getHeaderDate(headers, now) {
+    if (!headers) return null;
+
+    const lastModified = parseDate(headers['last-modified'], now);
+    if (!lastModified) return null;
+
+    const served = parseDate(headers.date, now);
+    if (served && Math.abs(served.getTime() - lastModified.getTime()) <= DYNAMIC_HEADER_TOLERANCE_MS) {
+        return null;
+    }
+    return lastModified;
+}
+
+/**
+ * Lastmod of one successful crawl result
+ * @param {object} result - Crawl result ({ headers, metadata, contentHash, normalizedUrl, timestamp })
+ * @param {Map<string, { contentHash, lastmod }>} previousPages - Previous crawl, by normalized URL
+ * @returns {{ lastmod: Date|null, lastmodSource: string|null }}
+ */
+function resolveLastmod(result, previousPages = new Map()) {
+    const crawledAt = result.timestamp ? new Date(result.timestamp) : new Date();
+
+    const headerDate = getHeaderDate(result.headers, crawledAt);
+    if (headerDate) return { lastmod: headerDate, lastmodSource: 'http-header' };
+
+    const articleDate = parseDate(result.metadata?.modifiedTime, crawledAt);
+    if (articleDate) return { lastmod: articleDate, lastmodSource: 'article-meta' };
+
+    const jsonLdDate = parseDate(result.metadata?.dateModified, crawledAt);
+    if (jsonLdDate) return { lastmod: jsonLdDate, lastmodSource: 'json-ld' };
+
+    const previous = previousPages.get(result.normalizedUrl || result.url);
+    if (previous && previous.contentHash && result.contentHash) {
+        if (previous.contentHash !== result.contentHash) {
+            return { lastmod: crawledAt, lastmodSource: 'content-hash' };
+        }
+        if (previous.lastmod) {
+            return { lastmod: new Date(previous.lastmod), lastmodSource: 'content-hash' };
+        }
+    }
+
+    return { lastmod: null, lastmodSource: null };
+}
+
+/**
+ * Set `lastmod` and `lastmodSource` on every successful crawl result
+ * @returns {Array<object>} The same results
+ */
+function applyLastmod(crawlResults, previousPages = new Map()) {
+    crawlResults.forEach(result => {
+        if (result.success) {
+            Object.assign(result, resolveLastmod(result, previousPages));
+        }
+    });
+    return crawlResults;
+}
+
+module.exports = {
+    LASTMOD_SOURCES,
+    LEGACY_LASTMOD_SOURCES,
+    findJsonLdDateModified,
+    hashContent,
+    resolveLastmod,
+    applyLastmod
+};
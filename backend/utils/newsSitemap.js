@@ -0,0 +1,193 @@
+/**
+ * ============================================
+ * GOOGLE NEWS SITEMAPS
+ * ============================================
+ *
+ * Selects the articles of a crawl for a news sitemap (`sitemapMode: 'news'`).
+ *
+ * A page is a news article when it has a publication date, from:
+ * - json-ld:      a NewsArticle (or subtype) `datePublished`
+ * - article-meta: <meta property="article:published_time">
+ *
+ * Only articles published within the last two days are listed, newest
+ * first, at most 1,000 per sitemap file. Every entry needs a publication
+ * name and language:
+ * - name:     `newsPublicationName` option, JSON-LD publisher, og:site_name,
+ *             then the hostname
+ * - language: `newsLanguage` option, JSON-LD inLanguage, then <html lang>
+ */
+
+const URL = require('url').URL;
+
+const NEWS_LIMITS = {
+    MAX_URLS: 1000,
+    MAX_AGE_MS: 2 * 24 * 60 * 60 * 1000,
+    MAX_FUTURE_SKEW_MS: 24 * 60 * 60 * 1000
+};
+
+const NEWS_SOURCES = ['json-ld', 'article-meta'];
+
+const NEWS_ARTICLE_TYPES = [
+    'NewsArticle',
+    'AnalysisNewsArticle',
+    'AskPublicNewsArticle',
+    'BackgroundNewsArticle',
+    'OpinionNewsArticle',
+    'ReportageNewsArticle',
+    'ReviewNewsArticle'
+];
+
+// ISO 639 codes (2 or 3 letters); Chinese is the only language with a script variant
+const NEWS_LANGUAGE_FORMAT = /^([a-z]{2,3}|zh-cn|zh-tw)$/i;
+
+// ============================================
+// EXTRACTION HELPERS
+// ============================================
+
+/**
+ * First NewsArticle in JSON-LD blocks (including @graph entries)
+ * @param {Array<string>} blocks - Text of each <script type="application/ld+json">
+ * @returns {{ datePublished, headline, publisherName, inLanguage }|null}
+ */
+function findJsonLdNewsArticle(blocks) {
+    const isArticle = (node) => [].concat(node['@type'] || []).some(type => NEWS_ARTICLE_TYPES.includes(type));
+    const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+    const search = (node) => {
+        if (!node || typeof node !== 'object') return null;
+        if (Array.isArray(node)) {
+            for (const item of node) {
+                const found = search(item);
+                if (found) return found;
+            }
+            return null;
+        }
+        if (isArticle(node)) return node;
+        return search(node['@graph']) || search(node.mainEntity);
+    };
+
+    for (const block of blocks) {
+        try {
+            const article = search(JSON.parse(block));
+            if (article) {
+                const publisher = [].concat(article.publisher || [])[0];
+                return {
+                    datePublished: text(article.datePublished),
+                    headline: text(article.headline) || text(article.name),
+                    publisherName: text(publisher?.name),
+                    inLanguage: text(article.inLanguage)
+                };
+            }
+        } catch (e) {
+            // Ignore malformed JSON-LD
+        }
+    }
+    return null;
+}
+
+/**
+ * News sitemap language code from a page language (`en-US` -> `en`,
+ * `zh-Hant-TW` -> `zh-tw`); null when it can't be mapped
+ */
+function normalizeNewsLanguage(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const parts = value.trim().toLowerCase().split(/[-_]/);
+    if (parts[0] === 'zh') {
+        return parts.includes('tw') || parts.includes('hant') ? 'zh-tw' : 'zh-cn';
+    }
+    return NEWS_LANGUAGE_FORMAT.test(parts[0]) ? parts[0] : null;
+}
+
+/**
+ * News data of a crawl result, or null when it isn't a dated article
+ * @param {object} result - Crawl result ({ url, metadata })
+ * @returns {{ publishedAt, title, publicationName, language, source }|null}
+ */
+function getNewsArticle(result) {
+    const metadata = result.metadata || {};
+    const article = metadata.newsArticle || null;
+
+    const candidates = [
+        { value: article?.datePublished, source: 'json-ld' },
+        { value: metadata.publishedTime, source: 'article-meta' }
+    ];
+    const found = candidates
+        .map(({ value, source }) => ({ date: value ? new Date(value) : null, source }))
+        .find(({ date }) => date && !Number.isNaN(date.getTime()));
+    if (!found) return null;
+
+    let hostname = null;
+    try {
+        hostname = new URL(result.url).hostname.replace(/^www\./, '');
+    } catch (e) {
+        // Keep null
+    }
+
+    return {
+        publishedAt: found.date,
+        title: article?.headline || (metadata.title ? metadata.title.trim() : null),
+        publicationName: article?.publisherName || metadata.siteName || hostname,
+        language: normalizeNewsLanguage(article?.inLanguage) || normalizeNewsLanguage(metadata.language),
+        source: found.source
+    };
+}
+
+// ============================================
+// SELECTION
+// ============================================
+
+/**
+ * Pick the recent articles for a news sitemap
+ * @param {Array<object>} pages - Crawl results
+ * @param {object} [options]
+ * @param {string} [options.publicationName] - Overrides the detected name
+ * @param {string} [options.language] - Overrides the detected language
+ * @param {Date} [options.now]
+ * @returns {{ selected: Array<object>, excluded: Array<{ url, reason }> }} Selected
+ * pages (copies with a `news` field), newest first
+ */
+function selectNewsPages(pages, { publicationName = null, language = null, now = new Date() } = {}) {
+    const oldest = now.getTime() - NEWS_LIMITS.MAX_AGE_MS;
+    const newest = now.getTime() + NEWS_LIMITS.MAX_FUTURE_SKEW_MS;
+    const selected = [];
+    const excluded = [];
+
+    pages.forEach(page => {
+        const article = getNewsArticle(page);
+        if (!article) {
+            excluded.push({ url: page.url, reason: 'not-news-article' });
+            return;
+        }
+
+        const published = article.publishedAt.getTime();
+        if (published < oldest || published > newest) {
+            excluded.push({ url: page.url, reason: 'news-not-recent' });
+            return;
+        }
+
+        const news = {
+            ...article,
+            publicationName: publicationName || article.publicationName,
+            language: normalizeNewsLanguage(language) || article.language
+        };
+        if (!news.title || !news.publicationName || !news.language) {
+            excluded.push({ url: page.url, reason: 'news-missing-fields' });
+            return;
+        }
+
+        selected.push({ ...page, news });
+    });
+
+    selected.sort((a, b) => b.news.publishedAt - a.news.publishedAt);
+    return { selected, excluded };
+}
+
+module.exports = {
+    NEWS_LIMITS,
+    NEWS_SOURCES,
+    NEWS_LANGUAGE_FORMAT,
+    findJsonLdNewsArticle,
+    getNewsArticle,
+    selectNewsPages
+};
@@ -0,0 +1,184 @@
+/**
+ * ============================================
+ * PAGE DATA MAPPER
+ * ============================================
+ *
+ * Turns raw crawler results into entries matching PageDataSchema
+ * so every controller stores pages the same way.
+ *
+ * Sitemap output uses one entry per canonical URL: pages whose
+ * rel="canonical" points to another crawled URL are merged into it
+ * and listed as its aliases.
+ */
+
+const { getNewsArticle } = require('./newsSitemap');
+
+const MAX_CANONICAL_HOPS = 5;
+
+// ============================================
+// CANONICAL GROUPING
+// ============================================
+
+/**
+ * Group successful pages under their canonical URL, following chains
+ * (A -> B -> C). Canonicals pointing to a page that failed to load or
+ * returned an error status are ignored; pages whose canonical is outside
+ * the crawl are left out.
+ * Returns: { groups: [{ url, page, aliases }], external: [{ url, canonicalUrl }] }
+ */
+function groupByCanonical(crawlResults) {
+    const keyOf = (result) => result.normalizedUrl || result.url;
+    const successful = crawlResults.filter(result => result.success);
+    const crawled = new Map(successful.map(result => [keyOf(result), result]));
+    const failed = new Set(crawlResults
+        .filter(result => !result.success || result.statusCode >= 400)
+        .map(keyOf));
+
+    const groups = new Map();
+    const external = [];
+
+    const resolveTarget = (page) => {
+        let target = keyOf(page);
+        let current = page;
+
+        for (let hop = 0; hop < MAX_CANONICAL_HOPS && current && current.canonicalUrl; hop++) {
+            if (!current.canonicalInScope) {
+                return hop === 0 ? { external: current.canonicalUrl } : { target };
+            }
+            if (failed.has(current.canonicalUrl) || current.canonicalUrl === keyOf(page)) break;
+
+            target = current.canonicalUrl;
+            current = crawled.get(target);
+        }
+        return { target };
+    };
+
+    successful.forEach(page => {
+        const resolved = resolveTarget(page);
+        if (resolved.external) {
+            external.push({ url: page.url, canonicalUrl: resolved.external });
+            return;
+        }
+
+        if (!groups.has(resolved.target)) {
+            groups.set(resolved.target, { url: resolved.target, page: null, aliases: [], fallback: page });
+        }
+
+        const group = groups.get(resolved.target);
+        if (keyOf(page) === resolved.target) {
+            group.page = page;
+        } else {
+            group.aliases.push(page.url);
+        }
+    });
+
+    return {
+        groups: [...groups.values()].map(({ url, page, aliases, fallback }) => ({
+            // When the canonical itself was not crawled, list it with an alias' data
+            url: page ? page.url : url,
+            page: page || fallback,
+            aliases
+        })),
+        external
+    };
+}
+
+/**
+ * Duplicate URLs merged into each canonical, for reports
+ * Returns: { merged: [{ canonicalUrl, aliases }], external: [{ url, canonicalUrl }] }
+ */
+function getCanonicalReport(crawlResults) {
+    const { groups, external } = groupByCanonical(crawlResults);
+
+    return {
+        merged: groups
+            .filter(group => group.aliases.length > 0)
+            .map(group => ({ canonicalUrl: group.url, aliases: group.aliases })),
+        external
+    };
+}
+
+// ============================================
+// MAPPERS
+// ============================================
+
+/**
+ * Transform crawl results into page data for the database
+ */
+function buildPagesData(crawlResults) {
+    const aliasesByUrl = new Map(
+        groupByCanonical(crawlResults).groups.map(group => [group.url, group.aliases])
+    );
+
+    return crawlResults.map(result => ({
+        url: result.url,
+        normalizedUrl: result.normalizedUrl || result.url,
+        depth: result.depth || 0,
+        crawlMethod: result.method || 'unknown',
+        success: result.success,
+        statusCode: result.statusCode || (result.success ? 200 : 500),
+        errorMessage: result.error || null,
+        loadTime: result.duration || 0,
+        metadata: {
+            title: result.metadata?.title || null,
+            description: result.metadata?.description || null,
+            keywords: result.metadata?.keywords || null,
+            h1: result.metadata?.h1 || null,
+            canonical: result.metadata?.canonical || null,
+            ogImage: result.metadata?.ogImage || null,
+            wordCount: result.metadata?.wordCount || 0,
+            hasMetaDescription: !!result.metadata?.description,
+            hasMetaKeywords: !!result.metadata?.keywords,
+            hasH1: !!result.metadata?.h1
+        },
+        robots: {
+            noindex: !!result.robots?.noindex,
+            nofollow: !!result.robots?.nofollow,
+            metaRobots: result.robots?.meta || null,
+            xRobotsTag: result.robots?.header || null
+        },
+        nofollowLinks: result.nofollowLinks || [],
+        internalLinks: result.internalLinks || [],
+        inlinkCount: result.inlinkCount || 0,
+        images: result.images || [],
+        videos: result.videos || [],
+        news: getNewsArticle(result) || undefined,
+        alternates: result.alternates || [],
+        canonicalUrl: result.canonicalUrl || null,
+        isCanonical: result.success && !result.canonicalUrl,
+        aliases: aliasesByUrl.get(result.url) || [],
+        lastCrawled: result.timestamp || new Date(),
+        lastmod: result.lastmod || null,
+        lastmodSource: result.lastmodSource || undefined,
+        contentHash: result.contentHash || null,
+        priority: result.priority ?? null,
+        changefreq: result.changefreq || undefined,
+        changefreqSource: result.changefreqSource || undefined
+    }));
+}
+
+/**
+ * Crawl results of the pages that were crawled successfully,
+ * one per canonical URL (with `aliases` listing the merged duplicates)
+ */
+function getSuccessfulPages(crawlResults) {
+    return groupByCanonical(crawlResults).groups.map(({ url, page, aliases }) => ({
+        ...page,
+        url,
+        aliases
+    }));
+}
+
+/**
+ * URLs of the pages that were crawled successfully (canonical URLs only)
+ */
+function getSuccessfulUrls(crawlResults) {
+    return getSuccessfulPages(crawlResults).map(page => page.url);
+}
+
+module.exports = {
+    buildPagesData,
+    getCanonicalReport,
+    getSuccessfulPages,
+    getSuccessfulUrls
+};
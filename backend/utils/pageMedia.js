@@ -0,0 +1,304 @@
+/**
+ * ============================================
+ * PAGE MEDIA
+ * ============================================
+ *
+ * Collects the media of a crawled page for sitemap extensions.
+ * The Cheerio and Puppeteer extractors both read raw attributes
+ * (images: { src, srcset, alt, title, width, height }; videos: <video>
+ * tags, iframe embeds and JSON-LD blocks) and share the normalization
+ * below, so both crawl methods store the same data.
+ *
+ * Videos come from:
+ * - json-ld:   VideoObject entries (also nested, e.g. Product.video)
+ * - youtube:   youtube.com / youtube-nocookie.com embeds
+ * - vimeo:     player.vimeo.com embeds
+ * - video-tag: <video src> or <video><source src>
+ * Missing titles, descriptions and thumbnails fall back to the page's
+ * title, meta description and og:image.
+ */
+
+const URL = require('url').URL;
+
+const MEDIA_LIMITS = {
+    MAX_IMAGES_PER_PAGE: 200,
+    MAX_VIDEOS_PER_PAGE: 50
+};
+
+const VIDEO_SOURCES = ['json-ld', 'youtube', 'vimeo', 'video-tag'];
+
+const EMBED_PATTERNS = {
+    youtube: /^https?:\/\/(?:www\.)?(?:youtube\.com|youtube-nocookie\.com)\/embed\/([\w-]{6,})/i,
+    vimeo: /^https?:\/\/player\.vimeo\.com\/video\/(\d+)/i
+};
+
+// Attributes lazy-loading libraries use instead of src/srcset
+const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original'];
+const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset'];
+
+// ============================================
+// IMAGES
+// ============================================
+
+/**
+ * Resolve a URL against the page; null for invalid, data: and other non-http URLs
+ */
+function resolveHttpUrl(value, pageUrl) {
+    if (!value || typeof value !== 'string') return null;
+    try {
+        const resolved = new URL(value.trim(), pageUrl);
+        return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Parse a srcset into absolute candidates: [{ url, descriptor }]
+ * (`a.jpg 1x, b.jpg 2x` or `s.jpg 320w, l.jpg 1024w`)
+ */
+function parseSrcset(srcset, pageUrl) {
+    if (!srcset) return [];
+
+    return srcset.split(/,\s+/)
+        .map(candidate => candidate.trim().split(/\s+/))
+        .map(([url, descriptor = '1x']) => ({ url: resolveHttpUrl(url, pageUrl), descriptor }))
+        .filter(candidate => candidate.url);
+}
+
+/**
+ * Largest srcset candidate by width (`w`) or density (`x`) descriptor
+ */
+function pickLargestCandidate(candidates) {
+    const size = ({ descriptor }) => parseFloat(descriptor) * (descriptor.endsWith('w') ? 1 : 1000);
+    return candidates.reduce((best, candidate) => (!best || size(candidate) > size(best) ? candidate : best), null);
+}
+
+/**
+ * Normalize raw <img> attributes into content images:
+ * [{ url, srcset, alt, title }], deduplicated by URL.
+ * Tracking pixels (1x1) and images without an http(s) source are skipped.
+ */
+function normalizeImages(rawImages, pageUrl) {
+    const images = [];
+    const seen = new Set();
+
+    for (const raw of rawImages) {
+        if (images.length >= MEDIA_LIMITS.MAX_IMAGES_PER_PAGE) break;
+        if (raw.width === '1' || raw.height === '1') continue;
+
+        const candidates = parseSrcset(raw.srcset, pageUrl);
+        const url = resolveHttpUrl(raw.src, pageUrl) || pickLargestCandidate(candidates)?.url;
+        if (!url || seen.has(url)) continue;
+
+        seen.add(url);
+        images.push({
+            url,
+            srcset: candidates.length > 0
+                ? candidates.map(candidate => `${candidate.url} ${candidate.descriptor}`).join(', ')
+                : null,
+            alt: raw.alt ? raw.alt.trim() : null,
+            title: raw.title ? raw.title.trim() : null
+        });
+    }
+    return images;
+}
+
+/**
+ * Read raw image attributes from a Cheerio document
+ */
+function readImagesFromHtml($) {
+    const firstAttr = (el, names) => {
+        for (const name of names) {
+            const value = $(el).attr(name);
+            if (value) return value;
+        }
+        return null;
+    };
+
+    return $('img').map((i, el) => {
+        const src = $(el).attr('src');
+        return {
+            // Lazy-loaded images keep a placeholder (often a data: URI) in src
+            src: src && !src.startsWith('data:') ? src : firstAttr(el, LAZY_SRC_ATTRIBUTES),
+            srcset: firstAttr(el, ['srcset', ...LAZY_SRCSET_ATTRIBUTES]),
+            alt: $(el).attr('alt') || null,
+            title: $(el).attr('title') || null,
+            width: $(el).attr('width') || null,
+            height: $(el).attr('height') || null
+        };
+    }).get();
+}
+
+// ============================================
+// VIDEOS
+// ============================================
+
+/**
+ * Seconds from an ISO 8601 duration (`PT1H2M30S` -> 3750), or from a number
+ */
+function parseDuration(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+    if (typeof value !== 'string') return null;
+
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i.exec(value.trim());
+    if (!match) return null;
+
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const total = Math.round(Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds));
+    return total > 0 ? total : null;
+}
+
+/**
+ * VideoObject entries anywhere in JSON-LD blocks
+ */
+function findJsonLdVideos(blocks) {
+    const videos = [];
+    const isVideo = (node) => [].concat(node['@type'] || []).includes('VideoObject');
+
+    const visit = (node, depth = 0) => {
+        if (!node || typeof node !== 'object' || depth > 10) return;
+        if (Array.isArray(node)) {
+            node.forEach(item => visit(item, depth + 1));
+            return;
+        }
+        if (isVideo(node)) videos.push(node);
+        Object.values(node).forEach(value => visit(value, depth + 1));
+    };
+
+    for (const block of blocks) {
+        try {
+            visit(JSON.parse(block));
+        } catch (e) {
+            // Ignore malformed JSON-LD
+        }
+    }
+    return videos;
+}
+
+/**
+ * First URL of a JSON-LD thumbnailUrl (string, array or ImageObject)
+ */
+function firstThumbnail(value) {
+    if (!value) return null;
+    if (Array.isArray(value)) return firstThumbnail(value[0]);
+    if (typeof value === 'object') return value.url || value.contentUrl || null;
+    return value;
+}
+
+/**
+ * Canonical player URL (and thumbnail, for YouTube) of a known embed URL;
+ * null for other URLs
+ */
+function parseEmbed(src) {
+    const youtube = src && EMBED_PATTERNS.youtube.exec(src);
+    if (youtube) {
+        return {
+            source: 'youtube',
+            playerUrl: `https://www.youtube.com/embed/${youtube[1]}`,
+            thumbnailUrl: `https://i.ytimg.com/vi/${youtube[1]}/hqdefault.jpg`
+        };
+    }
+
+    const vimeo = src && EMBED_PATTERNS.vimeo.exec(src);
+    if (vimeo) {
+        return { source: 'vimeo', playerUrl: `https://player.vimeo.com/video/${vimeo[1]}`, thumbnailUrl: null };
+    }
+    return null;
+}
+
+/**
+ * Normalize raw video data into
+ * [{ source, contentUrl, playerUrl, thumbnailUrl, title, description, duration, publicationDate }]
+ * @param {{ videoTags: Array<object>, iframes: Array<object>, jsonLd: Array<string> }} raw
+ * @param {string} pageUrl
+ * @param {{ title, description, thumbnail }} fallbacks - Page title, meta description and og:image
+ */
+function normalizeVideos(raw, pageUrl, fallbacks = {}) {
+    const videos = [];
+    const seen = new Set();
+
+    const add = (video) => {
+        const key = video.playerUrl || video.contentUrl;
+        if (!key || seen.has(key) || videos.length >= MEDIA_LIMITS.MAX_VIDEOS_PER_PAGE) return;
+        seen.add(key);
+        videos.push({
+            source: video.source,
+            contentUrl: video.contentUrl || null,
+            playerUrl: video.playerUrl || null,
+            thumbnailUrl: video.thumbnailUrl || resolveHttpUrl(fallbacks.thumbnail, pageUrl),
+            title: (video.title || fallbacks.title || '').trim() || null,
+            description: (video.description || fallbacks.description || '').trim() || null,
+            duration: video.duration || null,
+            publicationDate: video.publicationDate || null
+        });
+    };
+
+    // Structured data first: it is the richest source for the same video
+    findJsonLdVideos(raw.jsonLd || []).forEach(node => {
+        const embedUrl = resolveHttpUrl(node.embedUrl, pageUrl);
+        const embed = parseEmbed(embedUrl);
+
+        add({
+            source: 'json-ld',
+            contentUrl: resolveHttpUrl(node.contentUrl, pageUrl),
+            playerUrl: embed ? embed.playerUrl : embedUrl,
+            thumbnailUrl: resolveHttpUrl(firstThumbnail(node.thumbnailUrl), pageUrl) || embed?.thumbnailUrl,
+            title: typeof node.name === 'string' ? node.name : null,
+            description: typeof node.description === 'string' ? node.description : null,
+            duration: parseDuration(node.duration),
+            publicationDate: typeof node.uploadDate === 'string' ? node.uploadDate : null
+        });
+    });
+
+    (raw.iframes || []).forEach(iframe => {
+        const embed = parseEmbed(resolveHttpUrl(iframe.src, pageUrl));
+        if (embed) add({ ...embed, title: iframe.title });
+    });
+
+    (raw.videoTags || []).forEach(tag => {
+        const contentUrl = [tag.src, ...(tag.sources || [])]
+            .map(src => resolveHttpUrl(src, pageUrl))
+            .find(Boolean);
+        if (!contentUrl) return;
+
+        add({
+            source: 'video-tag',
+            contentUrl,
+            thumbnailUrl: resolveHttpUrl(tag.poster, pageUrl),
+            title: tag.title
+        });
+    });
+
+    return videos;
+}
+
+/**
+ * Read raw video data (<video> tags, iframes, JSON-LD) from a Cheerio document
+ */
+function readVideosFromHtml($) {
+    return {
+        videoTags: $('video').map((i, el) => ({
+            src: $(el).attr('src') || null,
+            sources: $(el).find('source[src]').map((j, source) => $(source).attr('src')).get(),
+            poster: $(el).attr('poster') || null,
+            title: $(el).attr('title') || $(el).attr('aria-label') || null
+        })).get(),
+        iframes: $('iframe').map((i, el) => ({
+            src: $(el).attr('src') || $(el).attr('data-src') || null,
+            title: $(el).attr('title') || null
+        })).get(),
+        jsonLd: $('script[type="application/ld+json"]').map((i, el) => $(el).text()).get()
+    };
+}
+
+module.exports = {
+    MEDIA_LIMITS,
+    VIDEO_SOURCES,
+    LAZY_SRC_ATTRIBUTES,
+    LAZY_SRCSET_ATTRIBUTES,
+    normalizeImages,
+    readImagesFromHtml,
+    normalizeVideos,
+    readVideosFromHtml
+};
@@ -0,0 +1,281 @@
+/**
+ * ============================================
+ * ROBOTS.TXT PARSER
+ * ============================================
+ *
+ * Fetches and evaluates robots.txt for crawls running in `respect` mode.
+ *
+ * - Picks the group whose User-agent equals our product token
+ *   (case-insensitive, RFC 9309 §2.2.1), falling back to `*`
+ * - Allow/Disallow with `*` and `$` wildcards; the longest match wins
+ *   and Allow wins ties (same as Google's implementation)
+ * - Reports Crawl-delay and any Sitemap: lines
+ * - Parses page-level directives from <meta name="robots"> and the
+ *   X-Robots-Tag header (noindex / nofollow)
+ */
+
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const URL = require('url').URL;
+const { followRedirectsSafely, publicOnlyLookup } = require('./urlValidator');
+
+// Product token matched against User-agent lines (case-insensitive);
+// sent in the crawler's User-Agent header (see intelligentCrawler CONFIG)
+const ROBOTS_AGENT_TOKEN = 'sitemaptoolsbot';
+
+/**
+ * Product token of a User-agent value, lower-cased
+ * (`SitemapToolsBot/1.0` -> `sitemaptoolsbot`)
+ */
+const toProductToken = (agent) => agent.split('/')[0].trim().toLowerCase();
+const ROBOTS_TIMEOUT = 10000;
+
+// Used when robots.txt could not be read (5xx or network failure)
+const DISALLOW_ALL = 'User-agent: *\nDisallow: /';
+
+// Never connect to private/local addresses (redirects are checked per hop)
+const httpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const httpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Parse robots.txt content into groups and sitemap references
+ * Returns: { groups: [{ agents, rules, crawlDelay }], sitemaps }
+ */
+function parseRobotsTxt(content) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(content || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        if (!line) continue;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+
+        if (field === 'sitemap') {
+            if (value) sitemaps.push(value);
+        } else if (!current) {
+            continue; // Rules before any User-agent line are ignored
+        } else if (field === 'allow' || field === 'disallow') {
+            // An empty Disallow means "allow everything" and adds no rule
+            if (value) {
+                current.rules.push({ allow: field === 'allow', path: value });
+            }
+        } else if (field === 'crawl-delay') {
+            const seconds = parseFloat(value);
+            if (!Number.isNaN(seconds) && seconds >= 0) {
+                current.crawlDelay = seconds;
+            }
+        }
+    }
+
+    return { groups, sitemaps };
+}
+
+/**
+ * Pick the group that applies to our agent: groups naming our product
+ * token exactly, otherwise `*`. Multiple groups for the same token are merged.
+ */
+function selectGroup(groups, agentToken = ROBOTS_AGENT_TOKEN) {
+    const named = groups.filter(group => group.agents.some(agent => toProductToken(agent) === agentToken));
+    const selected = named.length > 0
+        ? named
+        : groups.filter(group => group.agents.includes('*'));
+
+    const delays = selected.map(g => g.crawlDelay).filter(d => d !== null);
+
+    return {
+        rules: selected.flatMap(g => g.rules),
+        crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+    };
+}
+
+/**
+ * Convert a robots.txt path pattern into a RegExp
+ */
+function patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const escaped = body
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return new RegExp(`^${escaped}${anchored ? '$' : ''}`);
+}
+
+// ============================================
+// RULE EVALUATION
+// ============================================
+
+/**
+ * Create a matcher for one robots.txt file
+ * Returns: { isAllowed(url), matchRule(url), crawlDelay, sitemaps }
+ */
+function createRobotsMatcher(content, agentToken = ROBOTS_AGENT_TOKEN) {
+    const { groups, sitemaps } = parseRobotsTxt(content);
+    const { rules, crawlDelay } = selectGroup(groups, agentToken);
+
+    const compiled = rules.map(rule => ({ ...rule, regex: patternToRegExp(rule.path) }));
+
+    /**
+     * The rule that decides a URL, or null when nothing matches (allowed)
+     */
+    const matchRule = (url) => {
+        let path;
+        try {
+            const parsed = new URL(url);
+            path = decodeURI(parsed.pathname) + parsed.search;
+        } catch (e) {
+            return null;
+        }
+
+        // robots.txt itself is always allowed
+        if (path === '/robots.txt') return null;
+
+        let best = null;
+        for (const rule of compiled) {
+            if (!rule.regex.test(path)) continue;
+
+            const better = !best ||
+                rule.path.length > best.path.length ||
+                (rule.path.length === best.path.length && rule.allow && !best.allow);
+
+            if (better) best = rule;
+        }
+
+        return best ? { allow: best.allow, path: best.path } : null;
+    };
+
+    return {
+        matchRule,
+        isAllowed: (url) => {
+            const rule = matchRule(url);
+            return !rule || rule.allow;
+        },
+        crawlDelay,
+        sitemaps
+    };
+}
+
+// ============================================
+// PAGE-LEVEL DIRECTIVES
+// ============================================
+
+// Directives that take a value ("max-snippet: 20"), not to be confused
+// with an agent prefix ("googlebot: noindex")
+const VALUE_DIRECTIVES = ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+
+/**
+ * Combine meta robots / X-Robots-Tag values into noindex and nofollow flags.
+ * Values scoped to another crawler ("googlebot: noindex") are ignored.
+ * Returns: { noindex, nofollow }
+ */
+function parseRobotsDirectives(values, agentToken = ROBOTS_AGENT_TOKEN) {
+    const directives = new Set();
+
+    for (const value of values) {
+        if (!value) continue;
+        let text = String(value).toLowerCase();
+
+        const scoped = /^\s*([a-z0-9_-]+)\s*:\s*(.*)$/.exec(text);
+        if (scoped && !VALUE_DIRECTIVES.includes(scoped[1])) {
+            if (scoped[1] !== agentToken) continue;
+            text = scoped[2];
+        }
+
+        text.split(',').map(part => part.trim()).forEach(part => directives.add(part));
+    }
+
+    const none = directives.has('none');
+    return {
+        noindex: none || directives.has('noindex'),
+        nofollow: none || directives.has('nofollow')
+    };
+}
+
+// ============================================
+// FETCHING
+// ============================================
+
+/**
+ * Download and parse robots.txt for the origin of `startUrl`.
+ * A missing file (4xx) allows everything. A server error (5xx) or network
+ * failure disallows everything, since the site's rules are unknown, and
+ * is flagged as `unreachable`.
+ * Returns: { found, unreachable, statusCode, matcher, error }
+ */
+async function fetchRobotsTxt(startUrl, userAgent) {
+    const robotsUrl = new URL('/robots.txt', startUrl).href;
+
+    try {
+        const { response } = await followRedirectsSafely(robotsUrl, (hopUrl) => axios.get(hopUrl, {
+            timeout: ROBOTS_TIMEOUT,
+            maxRedirects: 0,
+            httpAgent,
+            httpsAgent,
+            responseType: 'text',
+            headers: userAgent ? { 'User-Agent': userAgent } : undefined,
+            validateStatus: () => true
+        }));
+
+        if (response.status >= 200 && response.status < 300) {
+            console.log(`[ROBOTS] 🤖 Loaded ${robotsUrl}`);
+            return {
+                found: true,
+                unreachable: false,
+                statusCode: response.status,
+                matcher: createRobotsMatcher(response.data)
+            };
+        }
+
+        if (response.status >= 400 && response.status < 500) {
+            console.log(`[ROBOTS] ℹ️  ${robotsUrl} returned ${response.status} — allowing all`);
+            return { found: false, unreachable: false, statusCode: response.status, matcher: createRobotsMatcher('') };
+        }
+
+        console.log(`[ROBOTS] ⚠️  ${robotsUrl} returned ${response.status} — disallowing all`);
+        return {
+            found: false,
+            unreachable: true,
+            statusCode: response.status,
+            matcher: createRobotsMatcher(DISALLOW_ALL),
+            error: `robots.txt returned HTTP ${response.status}`
+        };
+
+    } catch (error) {
+        console.log(`[ROBOTS] ⚠️  Could not load ${robotsUrl}: ${error.message} — disallowing all`);
+        return { found: false, unreachable: true, statusCode: null, matcher: createRobotsMatcher(DISALLOW_ALL), error: error.message };
+    }
+}
+
+module.exports = {
+    ROBOTS_AGENT_TOKEN,
+    parseRobotsTxt,
+    createRobotsMatcher,
+    parseRobotsDirectives,
+    fetchRobotsTxt
+};
@@ -0,0 +1,232 @@
+/**
+ * ============================================
+ * PRIORITY & CHANGEFREQ
+ * ============================================
+ *
+ * Computes <priority> and <changefreq> per page instead of fixed values.
+ *
+ * Priority: crawl depth (closer to the start URL ranks higher) blended
+ * with the number of crawled pages linking to the page. The start page
+ * always gets 1.0.
+ *
+ * Changefreq, first match wins:
+ * - rule:         a `sitemapRules` entry from the crawl options, or saved
+ *                 with the project's latest crawl (see withSavedSitemapRules)
+ * - history:      how often the page text changed across earlier crawls
+ *                 of the same start URL (content hashes)
+ * - default-rule: DEFAULT_SITEMAP_RULES (`/blog/**` -> weekly, ...)
+ * - default:      'monthly'
+ *
+ * Rules use the include/exclude pattern syntax (see ./urlRules), e.g.
+ * `{ pattern: '/blog/**', changefreq: 'weekly', priority: 0.6 }`.
+ * A rule's priority replaces the computed one.
+ */
+
+const URL = require('url').URL;
+const { createPatternMatcher } = require('./urlRules');
+
+const CHANGEFREQS = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+const CHANGEFREQ_SOURCES = ['rule', 'history', 'default-rule', 'default'];
+
+const DEFAULT_CHANGEFREQ = 'monthly';
+
+// Applied when neither a user rule nor the change history decides
+const DEFAULT_SITEMAP_RULES = [
+    { pattern: '/', changefreq: 'daily' },
+    { pattern: '/news/**', changefreq: 'daily' },
+    { pattern: '/blog/**', changefreq: 'weekly' },
+    { pattern: '/privacy/**', changefreq: 'yearly' },
+    { pattern: '/terms/**', changefreq: 'yearly' },
+    { pattern: '/legal/**', changefreq: 'yearly' }
+];
+
+const PRIORITY_WEIGHTS = {
+    DEPTH: 0.6,
+    INLINKS: 0.4,
+    DEPTH_STEP: 0.2 // Depth score lost per level below the start page
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Average time between observed changes -> changefreq
+const CHANGE_INTERVALS = [
+    { max: HOUR, changefreq: 'hourly' },
+    { max: DAY, changefreq: 'daily' },
+    { max: 7 * DAY, changefreq: 'weekly' },
+    { max: 31 * DAY, changefreq: 'monthly' },
+    { max: Infinity, changefreq: 'yearly' }
+];
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check one `sitemapRules` entry; returns an error message or null
+ */
+function checkSitemapRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'entries must be objects like { pattern, changefreq, priority }';
+    }
+
+    const unknown = Object.keys(rule).filter(key => !['pattern', 'changefreq', 'priority'].includes(key));
+    if (unknown.length > 0) {
+        return `entries have unknown fields: ${unknown.join(', ')}`;
+    }
+    if (typeof rule.pattern !== 'string' || rule.pattern.trim() === '' || rule.pattern.length > 200) {
+        return 'pattern must be a non-empty string (max 200 characters)';
+    }
+    try {
+        createPatternMatcher(rule.pattern.trim());
+    } catch (e) {
+        return `pattern "${rule.pattern}" is invalid: ${e.message}`;
+    }
+    if (rule.changefreq === undefined && rule.priority === undefined) {
+        return `rule "${rule.pattern}" must set changefreq or priority`;
+    }
+    if (rule.changefreq !== undefined && !CHANGEFREQS.includes(rule.changefreq)) {
+        return `changefreq must be one of: ${CHANGEFREQS.join(', ')}`;
+    }
+    if (rule.priority !== undefined && (typeof rule.priority !== 'number' || rule.priority < 0 || rule.priority > 1)) {
+        return 'priority must be a number between 0 and 1';
+    }
+    return null;
+}
+
+// ============================================
+// COMPUTATION
+// ============================================
+
+/**
+ * Number of distinct crawled pages linking to each URL
+ * Returns: Map<normalizedUrl, count>
+ */
+function countInlinks(crawlResults) {
+    const inlinks = new Map();
+
+    crawlResults.forEach(result => {
+        const source = result.normalizedUrl || result.url;
+        new Set(result.internalLinks || []).forEach(target => {
+            if (target !== source) {
+                inlinks.set(target, (inlinks.get(target) || 0) + 1);
+            }
+        });
+    });
+    return inlinks;
+}
+
+/**
+ * Priority from depth and inlinks, rounded to one decimal (0.1 - 1.0)
+ */
+function computePriority(result, inlinkCount, maxInlinks) {
+    if (result.discoveredVia === 'start') return 1.0;
+
+    const depthScore = Math.max(0, 1 - PRIORITY_WEIGHTS.DEPTH_STEP * ((result.depth || 1) - 1));
+    const inlinkScore = maxInlinks > 0 ? Math.log1p(inlinkCount) / Math.log1p(maxInlinks) : 0;
+    const priority = PRIORITY_WEIGHTS.DEPTH * depthScore + PRIORITY_WEIGHTS.INLINKS * inlinkScore;
+
+    return Math.min(1, Math.max(0.1, Math.round(priority * 10) / 10));
+}
+
+/**
+ * Changefreq from a page's content hashes over time, or null when the
+ * history is too short to tell.
+ * @param {Array<{ crawledAt: Date, contentHash: string }>} observations
+ */
+function inferChangefreq(observations) {
+    const sorted = observations
+        .filter(entry => entry.crawledAt && entry.contentHash)
+        .sort((a, b) => new Date(a.crawledAt) - new Date(b.crawledAt));
+    if (sorted.length < 2) return null;
+
+    let changes = 0;
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].contentHash !== sorted[i - 1].contentHash) changes++;
+    }
+
+    const span = new Date(sorted[sorted.length - 1].crawledAt) - new Date(sorted[0].crawledAt);
+
+    if (changes > 0) {
+        const interval = span / changes;
+        return CHANGE_INTERVALS.find(entry => interval <= entry.max).changefreq;
+    }
+
+    // Unchanged for the whole span (at least a day): it changes less often than that
+    return span >= DAY ? CHANGE_INTERVALS.find(entry => span <= entry.max).changefreq : null;
+}
+
+/**
+ * Set `priority`, `changefreq` and `changefreqSource` on every successful
+ * crawl result
+ * @param {Array<object>} crawlResults
+ * @param {object} [options]
+ * @param {Array<object>} [options.rules] - User `sitemapRules`
+ * @param {Map<string, Array<object>>} [options.history] - Earlier observations
+ *   ({ crawledAt, contentHash }) by normalized URL
+ * @returns {Array<object>} The same results
+ */
+function applySitemapHints(crawlResults, { rules = [], history = new Map() } = {}) {
+    const compile = (rule) => ({ ...rule, test: createPatternMatcher(rule.pattern) });
+    const userRules = rules.map(compile);
+    const defaultRules = DEFAULT_SITEMAP_RULES.map(compile);
+
+    const inlinks = countInlinks(crawlResults);
+    const maxInlinks = Math.max(0, ...inlinks.values());
+
+    crawlResults.forEach(result => {
+        if (!result.success) return;
+
+        const key = result.normalizedUrl || result.url;
+        let parsed;
+        try {
+            parsed = new URL(result.url);
+        } catch (e) {
+            return;
+        }
+
+        const userRule = userRules.find(rule => rule.test(parsed));
+        const priority = userRule && userRule.priority !== undefined
+            ? userRule.priority
+            : computePriority(result, inlinks.get(key) || 0, maxInlinks);
+
+        let changefreq = null;
+        let changefreqSource = null;
+
+        if (userRule && userRule.changefreq) {
+            changefreq = userRule.changefreq;
+            changefreqSource = 'rule';
+        } else {
+            const observed = inferChangefreq([
+                ...(history.get(key) || []),
+                { crawledAt: result.timestamp || new Date(), contentHash: result.contentHash }
+            ]);
+            const defaultRule = defaultRules.find(rule => rule.test(parsed));
+
+            if (observed) {
+                changefreq = observed;
+                changefreqSource = 'history';
+            } else if (defaultRule) {
+                changefreq = defaultRule.changefreq;
+                changefreqSource = 'default-rule';
+            } else {
+                changefreq = DEFAULT_CHANGEFREQ;
+                changefreqSource = 'default';
+            }
+        }
+
+        Object.assign(result, { priority, changefreq, changefreqSource, inlinkCount: inlinks.get(key) || 0 });
+    });
+
+    return crawlResults;
+}
+
+module.exports = {
+    CHANGEFREQS,
+    CHANGEFREQ_SOURCES,
+    DEFAULT_SITEMAP_RULES,
+    checkSitemapRule,
+    inferChangefreq,
+    applySitemapHints
+};
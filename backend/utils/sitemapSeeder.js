@@ -0,0 +1,181 @@
+/**
+ * ============================================
+ * SITEMAP SEEDER
+ * ============================================
+ *
+ * Fetches a site's existing sitemaps so their URLs can seed the crawl.
+ *
+ * - Sources: Sitemap: lines from robots.txt, else /sitemap.xml
+ * - Follows <sitemapindex> files to their child sitemaps
+ * - Handles gzip-compressed sitemaps (.xml.gz)
+ * - Only fetches sitemaps on the start URL's registrable domain and
+ *   never private/local addresses (robots.txt and sitemap indexes are
+ *   untrusted input)
+ */
+
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const xml2js = require('xml2js');
+const URL = require('url').URL;
+const { checkFetchTarget, publicOnlyLookup } = require('./urlValidator');
+const { getRegistrableDomain } = require('./crawlScope');
+
+const SEEDER_CONFIG = {
+    TIMEOUT: 20000,
+    MAX_SITEMAPS: 50, // Child sitemaps fetched across all indexes
+    MAX_URLS: 50000,
+    MAX_BYTES: 60 * 1024 * 1024, // Uncompressed size limit per file
+    MAX_REDIRECTS: 5
+};
+
+// Re-check the address when connecting, not only before the request
+const httpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const httpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Decompress gzip content (detected by magic bytes, not by file name)
+ */
+function decodeSitemapBody(buffer) {
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        return zlib.gunzipSync(buffer, { maxOutputLength: SEEDER_CONFIG.MAX_BYTES }).toString('utf8');
+    }
+    return buffer.toString('utf8');
+}
+
+/**
+ * Parse a sitemap or sitemap index document
+ * Returns: { type: 'urlset' | 'sitemapindex' | null, locs: [string] }
+ */
+async function parseSitemapXml(content) {
+    const parsed = await xml2js.parseStringPromise(content, {
+        tagNameProcessors: [xml2js.processors.stripPrefix]
+    });
+
+    const getLocs = (entries) => (entries || [])
+        .map(entry => (entry.loc && entry.loc[0] ? String(entry.loc[0]).trim() : null))
+        .filter(Boolean);
+
+    if (parsed && parsed.urlset) {
+        return { type: 'urlset', locs: getLocs(parsed.urlset.url) };
+    }
+    if (parsed && parsed.sitemapindex) {
+        return { type: 'sitemapindex', locs: getLocs(parsed.sitemapindex.sitemap) };
+    }
+    return { type: null, locs: [] };
+}
+
+// ============================================
+// FETCHING
+// ============================================
+
+/**
+ * Reason a sitemap URL must not be fetched, or null when it may be.
+ * Allowed: http(s) on the start URL's registrable domain, public addresses only.
+ */
+async function getBlockedReason(sitemapUrl, startDomain) {
+    let parsed;
+    try {
+        parsed = new URL(sitemapUrl);
+    } catch (e) {
+        return 'Invalid URL';
+    }
+
+    if (getRegistrableDomain(parsed.hostname) !== startDomain) {
+        return `Outside the crawl's domain (${startDomain})`;
+    }
+
+    const target = await checkFetchTarget(sitemapUrl);
+    return target.isAllowed ? null : target.reason;
+}
+
+/**
+ * Download one sitemap file and return its decoded text.
+ * Redirects are followed by hand so every hop is checked like the first.
+ */
+async function fetchSitemapFile(sitemapUrl, userAgent, startDomain) {
+    let url = sitemapUrl;
+
+    for (let hop = 0; hop <= SEEDER_CONFIG.MAX_REDIRECTS; hop++) {
+        const blocked = await getBlockedReason(url, startDomain);
+        if (blocked) throw new Error(`Not fetched: ${blocked}`);
+
+        const response = await axios.get(url, {
+            timeout: SEEDER_CONFIG.TIMEOUT,
+            maxRedirects: 0,
+            httpAgent,
+            httpsAgent,
+            responseType: 'arraybuffer',
+            maxContentLength: SEEDER_CONFIG.MAX_BYTES,
+            headers: userAgent ? { 'User-Agent': userAgent } : undefined,
+            validateStatus: (status) => status < 400
+        });
+
+        if (response.status >= 300 && response.headers.location) {
+            url = new URL(response.headers.location, url).href;
+            continue;
+        }
+        return decodeSitemapBody(Buffer.from(response.data));
+    }
+
+    throw new Error('Too many redirects');
+}
+
+/**
+ * Collect page URLs from the site's sitemaps.
+ * `robotsSitemaps` are Sitemap: entries from robots.txt; when there are
+ * none, /sitemap.xml on the start URL's origin is tried.
+ * Returns: { sources, urls, errors }
+ */
+async function fetchSitemapUrls(startUrl, { robotsSitemaps = [], userAgent } = {}) {
+    const { origin, hostname } = new URL(startUrl);
+    const startDomain = getRegistrableDomain(hostname);
+    const queue = robotsSitemaps.length > 0 ? [...robotsSitemaps] : [`${origin}/sitemap.xml`];
+    const seen = new Set();
+    const sources = [];
+    const errors = [];
+    const urls = new Set();
+
+    while (queue.length > 0 && seen.size < SEEDER_CONFIG.MAX_SITEMAPS && urls.size < SEEDER_CONFIG.MAX_URLS) {
+        const sitemapUrl = queue.shift();
+        if (seen.has(sitemapUrl)) continue;
+        seen.add(sitemapUrl);
+
+        try {
+            console.log(`[SEEDER] 🗺️  Fetching ${sitemapUrl}`);
+            const content = await fetchSitemapFile(sitemapUrl, userAgent, startDomain);
+            const { type, locs } = await parseSitemapXml(content);
+
+            if (type === 'sitemapindex') {
+                queue.push(...locs);
+            } else if (type === 'urlset') {
+                for (const loc of locs) {
+                    if (urls.size >= SEEDER_CONFIG.MAX_URLS) break;
+                    urls.add(loc);
+                }
+            } else {
+                throw new Error('Not a sitemap or sitemap index');
+            }
+
+            sources.push({ url: sitemapUrl, type, entries: locs.length });
+        } catch (error) {
+            console.log(`[SEEDER] ⚠️  ${sitemapUrl}: ${error.message}`);
+            errors.push({ url: sitemapUrl, error: error.message });
+        }
+    }
+
+    console.log(`[SEEDER] ✅ ${urls.size} URLs from ${sources.length} sitemap(s)`);
+
+    return { sources, urls: [...urls], errors };
+}
+
+module.exports = {
+    parseSitemapXml,
+    decodeSitemapBody,
+    fetchSitemapUrls
+};
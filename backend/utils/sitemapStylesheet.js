@@ -0,0 +1,73 @@
+/**
+ * ============================================
+ * SITEMAP STYLESHEET
+ * ============================================
+ *
+ * Optional `<?xml-stylesheet?>` processing instruction that makes browsers
+ * render sitemaps as a sortable table (see assets/sitemap.xsl, served at
+ * GET /api/sitemap.xsl).
+ *
+ * Browsers only apply stylesheets from the same origin as the sitemap, so
+ * the default href is relative: upload `sitemap.xsl` next to `sitemap.xml`
+ * (ZIP downloads include it). `stylesheetUrl` points elsewhere.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STYLESHEET_FILE_NAME = 'sitemap.xsl';
+
+const DEFAULT_STYLESHEET_HREF = STYLESHEET_FILE_NAME;
+
+const STYLESHEET_PATH = path.join(__dirname, '..', 'assets', STYLESHEET_FILE_NAME);
+
+const STYLESHEET_INSTRUCTION = /<\?xml-stylesheet type="text\/xsl" href="([^"]*)"\?>/;
+
+let cachedStylesheet = null;
+
+/**
+ * The bundled XSL (read once)
+ * @returns {string}
+ */
+function readStylesheet() {
+    if (!cachedStylesheet) {
+        cachedStylesheet = fs.readFileSync(STYLESHEET_PATH, 'utf8');
+    }
+    return cachedStylesheet;
+}
+
+/**
+ * Insert the processing instruction after the XML declaration
+ */
+function addStylesheet(xml, href) {
+    const escaped = href.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    const instruction = `<?xml-stylesheet type="text/xsl" href="${escaped}"?>`;
+
+    return /^<\?xml[^>]*\?>/.test(xml)
+        ? xml.replace(/^(<\?xml[^>]*\?>)/, `$1\n${instruction}`)
+        : `${instruction}\n${xml}`;
+}
+
+/**
+ * Href of the stylesheet a sitemap references (null when it has none)
+ */
+function getStylesheetHref(xml) {
+    const match = STYLESHEET_INSTRUCTION.exec(xml || '');
+    return match ? match[1].replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&amp;/g, '&') : null;
+}
+
+/**
+ * Whether a sitemap needs the bundled XSL next to it
+ */
+function needsBundledStylesheet(xml) {
+    return getStylesheetHref(xml) === DEFAULT_STYLESHEET_HREF;
+}
+
+module.exports = {
+    STYLESHEET_FILE_NAME,
+    DEFAULT_STYLESHEET_HREF,
+    readStylesheet,
+    addStylesheet,
+    getStylesheetHref,
+    needsBundledStylesheet
+};
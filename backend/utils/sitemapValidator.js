@@ -0,0 +1,449 @@
+/**
+ * ============================================
+ * SITEMAP VALIDATOR
+ * ============================================
+ *
+ * Checks a sitemap (<urlset>) or sitemap index (<sitemapindex>) against
+ * the sitemaps.org protocol and the Google image, video and news
+ * extensions, plus hreflang <xhtml:link> entries. These are hand-written
+ * rule checks, not validation against the XSD files: extension elements
+ * are checked for the fields below, other namespaces are not checked.
+ * Rules:
+ * - well-formed XML (unescaped `&` or `<` fail here) and the sitemaps.org
+ *   namespace on the root element
+ * - at most 50,000 entries and 50 MB per file (1,000 URLs for news)
+ * - <loc>: absolute, URL-escaped http(s) URL of at most 2,048 characters
+ *   on the same host (and under the same directory) as the sitemap
+ * - <lastmod> and extension dates in W3C Datetime format
+ * - <changefreq> and <priority> values, element order and duplicates
+ * - required fields and limits of each extension
+ *
+ * Used by POST /api/validate-sitemap and on every generated sitemap.
+ */
+
+const xml2js = require('xml2js');
+const URL = require('url').URL;
+const { EXTENSION_NAMESPACES, SITEMAP_LIMITS } = require('./xmlBuilder');
+const { NEWS_LIMITS, NEWS_LANGUAGE_FORMAT } = require('./newsSitemap');
+const { CHANGEFREQS } = require('./sitemapHints');
+const { checkHreflang } = require('./hreflang');
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+const VALIDATION_LIMITS = {
+    MIN_LOC_LENGTH: 12,
+    MAX_LOC_LENGTH: 2048,
+    MAX_ISSUES: 200 // Issues listed per report (all are counted)
+};
+
+// Children of <url> / <sitemap> in protocol order
+const URL_ELEMENTS = ['loc', 'lastmod', 'changefreq', 'priority'];
+const SITEMAP_ELEMENTS = ['loc', 'lastmod'];
+
+// YYYY, YYYY-MM, YYYY-MM-DD or a full date and time with a time zone
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+// Characters that must be percent-encoded in <loc>
+const UNESCAPED_URL_CHARACTERS = /[\s"<>{}|\\^`]|[^\x00-\x7F]/;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Text content of an xml2js node (first item of an array)
+ */
+function textOf(node) {
+    const value = Array.isArray(node) ? node[0] : node;
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'string') return value.trim();
+    return typeof value._ === 'string' ? value._.trim() : '';
+}
+
+/**
+ * Whether a value is a valid W3C Datetime
+ */
+function isW3cDatetime(value) {
+    return W3C_DATETIME.test(value) && !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Collects issues, keeping the first MAX_ISSUES of each severity
+ */
+function createReport() {
+    const report = { errorCount: 0, warningCount: 0, errors: [], warnings: [] };
+
+    const add = (severity, code, message, context = {}) => {
+        const list = severity === 'error' ? report.errors : report.warnings;
+        if (severity === 'error') report.errorCount++;
+        else report.warningCount++;
+        if (list.length < VALIDATION_LIMITS.MAX_ISSUES) list.push({ code, message, ...context });
+    };
+
+    return {
+        report,
+        error: (code, message, context) => add('error', code, message, context),
+        warning: (code, message, context) => add('warning', code, message, context)
+    };
+}
+
+/**
+ * Origin and directory a sitemap's URLs must stay under (sitemaps.org
+ * "same host" rule). Without the sitemap URL only the host of the first
+ * entry is enforced.
+ */
+function getLocationScope(sitemapUrl, firstLoc) {
+    try {
+        if (sitemapUrl) {
+            const parsed = new URL(sitemapUrl);
+            return { origin: parsed.origin, directory: parsed.pathname.replace(/[^/]*$/, '') };
+        }
+        return firstLoc ? { origin: new URL(firstLoc).origin, directory: '/' } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// ============================================
+// FIELD CHECKS
+// ============================================
+
+/**
+ * Check a <loc> value; returns an error { code, message } or null
+ */
+function checkLoc(loc) {
+    if (!loc) return { code: 'missing-loc', message: 'Entry has no <loc>' };
+    if (UNESCAPED_URL_CHARACTERS.test(loc)) {
+        return { code: 'loc-not-escaped', message: 'URL contains characters that must be percent-encoded' };
+    }
+    try {
+        const parsed = new URL(loc);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return { code: 'invalid-loc', message: 'URL must use http or https' };
+        }
+    } catch (e) {
+        return { code: 'invalid-loc', message: 'URL is not absolute or is malformed' };
+    }
+    if (loc.length > VALIDATION_LIMITS.MAX_LOC_LENGTH) {
+        return { code: 'loc-too-long', message: `URL is longer than ${VALIDATION_LIMITS.MAX_LOC_LENGTH} characters` };
+    }
+    if (loc.length < VALIDATION_LIMITS.MIN_LOC_LENGTH) {
+        return { code: 'loc-too-short', message: `URL is shorter than ${VALIDATION_LIMITS.MIN_LOC_LENGTH} characters` };
+    }
+    return null;
+}
+
+/**
+ * Check that standard children appear once, in protocol order, before extensions
+ * (order is judged by first occurrence; reported once per entry)
+ */
+function checkChildren(entry, allowed, tag, context, issues) {
+    let lastIndex = -1;
+    let extensionSeen = false;
+    let orderReported = false;
+
+    Object.keys(entry).forEach(key => {
+        if (key === '$' || key === '_') return;
+
+        if (key.includes(':')) {
+            extensionSeen = true;
+            return;
+        }
+
+        const index = allowed.indexOf(key);
+        if (index === -1) {
+            issues.error('unknown-element', `<${key}> is not allowed in <${tag}>`, context);
+            return;
+        }
+        if (entry[key].length > 1) {
+            issues.error('duplicate-element', `<${key}> appears more than once in <${tag}>`, context);
+        }
+        if ((index < lastIndex || extensionSeen) && !orderReported) {
+            orderReported = true;
+            issues.error('element-order', `<${key}> is out of order in <${tag}> (expected ${allowed.join(', ')}, then extensions)`, context);
+        }
+        lastIndex = Math.max(lastIndex, index);
+    });
+}
+
+/**
+ * <lastmod> of an entry (warns about future dates)
+ */
+function checkLastmod(entry, context, issues) {
+    if (!entry.lastmod) return;
+
+    const lastmod = textOf(entry.lastmod);
+    if (!isW3cDatetime(lastmod)) {
+        issues.error('invalid-lastmod', `<lastmod> "${lastmod}" is not a W3C Datetime (e.g. 2024-05-01 or 2024-05-01T08:30:00+00:00)`, context);
+    } else if (new Date(lastmod).getTime() > Date.now() + 24 * 60 * 60 * 1000) {
+        issues.warning('future-lastmod', `<lastmod> ${lastmod} is in the future`, context);
+    }
+}
+
+// ============================================
+// EXTENSION CHECKS
+// ============================================
+
+const extensionChecks = {
+    image(nodes, p, context, issues) {
+        if (nodes.length > SITEMAP_LIMITS.MAX_IMAGES_PER_URL) {
+            issues.error('too-many-images', `More than ${SITEMAP_LIMITS.MAX_IMAGES_PER_URL} images on one URL`, context);
+        }
+        nodes.forEach(image => {
+            const error = checkLoc(textOf(image[`${p}:loc`]));
+            if (error) issues.error(`image-${error.code}`, `<${p}:loc>: ${error.message}`, context);
+        });
+    },
+
+    video(nodes, p, context, issues) {
+        nodes.forEach(video => {
+            ['thumbnail_loc', 'title', 'description'].forEach(field => {
+                if (!textOf(video[`${p}:${field}`])) {
+                    issues.error('video-missing-field', `<${p}:video> has no <${p}:${field}>`, context);
+                }
+            });
+            if (!textOf(video[`${p}:content_loc`]) && !textOf(video[`${p}:player_loc`])) {
+                issues.error('video-missing-field', `<${p}:video> needs <${p}:content_loc> or <${p}:player_loc>`, context);
+            }
+            ['thumbnail_loc', 'content_loc', 'player_loc'].forEach(field => {
+                const value = textOf(video[`${p}:${field}`]);
+                const error = value ? checkLoc(value) : null;
+                if (error) issues.error(`video-${error.code}`, `<${p}:${field}>: ${error.message}`, context);
+            });
+            if (textOf(video[`${p}:description`]).length > SITEMAP_LIMITS.MAX_VIDEO_DESCRIPTION_LENGTH) {
+                issues.error('video-description-too-long', `<${p}:description> is longer than ${SITEMAP_LIMITS.MAX_VIDEO_DESCRIPTION_LENGTH} characters`, context);
+            }
+
+            const duration = textOf(video[`${p}:duration`]);
+            if (duration && !(/^\d+$/.test(duration) && Number(duration) >= 1 &&
+                Number(duration) <= SITEMAP_LIMITS.MAX_VIDEO_DURATION_SECONDS)) {
+                issues.error('video-invalid-duration', `<${p}:duration> must be 1-${SITEMAP_LIMITS.MAX_VIDEO_DURATION_SECONDS} seconds`, context);
+            }
+
+            const published = textOf(video[`${p}:publication_date`]);
+            if (published && !isW3cDatetime(published)) {
+                issues.error('video-invalid-date', `<${p}:publication_date> "${published}" is not a W3C Datetime`, context);
+            }
+        });
+    },
+
+    news(nodes, p, context, issues) {
+        if (nodes.length > 1) issues.error('duplicate-element', `<${p}:news> appears more than once`, context);
+
+        nodes.forEach(news => {
+            const publication = (news[`${p}:publication`] || [])[0] || {};
+            if (!textOf(publication[`${p}:name`])) {
+                issues.error('news-missing-field', `<${p}:publication> has no <${p}:name>`, context);
+            }
+
+            const language = textOf(publication[`${p}:language`]);
+            if (!NEWS_LANGUAGE_FORMAT.test(language)) {
+                issues.error('news-invalid-language', `<${p}:language> "${language}" is not an ISO 639 code like en or zh-cn`, context);
+            }
+
+            const published = textOf(news[`${p}:publication_date`]);
+            if (!isW3cDatetime(published)) {
+                issues.error('news-invalid-date', `<${p}:publication_date> "${published}" is missing or not a W3C Datetime`, context);
+            }
+            if (!textOf(news[`${p}:title`])) {
+                issues.error('news-missing-field', `<${p}:news> has no <${p}:title>`, context);
+            }
+        });
+    },
+
+    xhtml(nodes, p, context, issues) {
+        nodes.forEach(link => {
+            const attributes = link.$ || {};
+            if (attributes.rel !== 'alternate') {
+                issues.error('hreflang-invalid-rel', `<${p}:link> must have rel="alternate"`, context);
+            }
+
+            const hreflangError = checkHreflang(attributes.hreflang);
+            if (hreflangError) issues.error('hreflang-invalid-code', hreflangError, context);
+
+            const hrefError = checkLoc(attributes.href);
+            if (hrefError) issues.error(`hreflang-${hrefError.code}`, `<${p}:link> href: ${hrefError.message}`, context);
+        });
+    }
+};
+
+// Element checked for each extension namespace
+const EXTENSION_ELEMENTS = { image: 'image', video: 'video', news: 'news', xhtml: 'link' };
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate the entries (<url> or <sitemap>) of a parsed document
+ */
+function checkEntries(entries, { isIndex, prefixes, declared, sitemapUrl }, issues) {
+    const tag = isIndex ? 'sitemap' : 'url';
+    const scope = getLocationScope(sitemapUrl, textOf(entries[0]?.loc));
+    const seen = new Set();
+    let newsCount = 0;
+
+    entries.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            issues.error('missing-loc', `<${tag}> is empty`, { entry: index + 1 });
+            return;
+        }
+
+        const loc = textOf(entry.loc);
+        const context = { entry: index + 1, ...(loc ? { loc } : {}) };
+
+        checkChildren(entry, isIndex ? SITEMAP_ELEMENTS : URL_ELEMENTS, tag, context, issues);
+
+        const locError = checkLoc(loc);
+        if (locError) {
+            issues.error(locError.code, locError.message, context);
+        } else if (scope) {
+            const parsed = new URL(loc);
+            if (parsed.origin !== scope.origin) {
+                // An index may list sitemaps on other hosts when their robots.txt allows it
+                const report = isIndex ? issues.warning : issues.error;
+                report('different-host', `URL is not on ${scope.origin} like the sitemap`, context);
+            } else if (!isIndex && !parsed.pathname.startsWith(scope.directory)) {
+                issues.error('outside-sitemap-path', `URL is outside ${scope.directory}, where the sitemap is located`, context);
+            }
+        }
+
+        if (loc && seen.has(loc)) issues.warning('duplicate-url', 'URL is listed more than once', context);
+        seen.add(loc);
+
+        checkLastmod(entry, context, issues);
+
+        if (!isIndex) {
+            if (entry.changefreq && !CHANGEFREQS.includes(textOf(entry.changefreq))) {
+                issues.error('invalid-changefreq', `<changefreq> must be one of: ${CHANGEFREQS.join(', ')}`, context);
+            }
+            if (entry.priority) {
+                const priority = textOf(entry.priority);
+                if (!/^\+?(\d+(\.\d*)?|\.\d+)$/.test(priority) || Number(priority) > 1) {
+                    issues.error('invalid-priority', `<priority> "${priority}" must be a number from 0.0 to 1.0`, context);
+                }
+            }
+        }
+
+        // Prefixed children: known extensions are checked, undeclared prefixes rejected
+        Object.keys(entry).filter(key => key.includes(':')).forEach(key => {
+            const [prefix, name] = key.split(':');
+            if (!declared.has(prefix)) {
+                issues.error('undeclared-namespace', `<${key}> uses the undeclared prefix "${prefix}"`, context);
+                return;
+            }
+            if (isIndex) {
+                issues.error('unknown-element', `<${key}> is not allowed in <sitemap>`, context);
+                return;
+            }
+
+            const extension = Object.keys(prefixes).find(ext => prefixes[ext] === prefix);
+            if (extension && EXTENSION_ELEMENTS[extension] === name) {
+                extensionChecks[extension](entry[key], prefix, context, issues);
+                if (extension === 'news') newsCount++;
+            }
+        });
+    });
+
+    if (newsCount > NEWS_LIMITS.MAX_URLS) {
+        issues.error('too-many-news-urls', `News sitemaps may list at most ${NEWS_LIMITS.MAX_URLS} URLs (found ${newsCount})`);
+    }
+}
+
+/**
+ * Validate a sitemap or sitemap index
+ * @param {string} xml - Uncompressed XML
+ * @param {object} [options]
+ * @param {string} [options.sitemapUrl] - Where the file is (or will be) hosted,
+ *   for the same-host rule; defaults to the host of the first entry
+ * @returns {Promise<object>} { valid, type, entryCount, sizeBytes, errorCount,
+ *   warningCount, errors, warnings } where issues are { code, message, entry, loc }
+ */
+async function validateSitemap(xml, { sitemapUrl = null } = {}) {
+    const issues = createReport();
+    const sizeBytes = Buffer.byteLength(xml || '', 'utf8');
+    const result = (type, entryCount) => ({
+        valid: issues.report.errorCount === 0,
+        type,
+        entryCount,
+        sizeBytes,
+        ...issues.report
+    });
+
+    if (sizeBytes > SITEMAP_LIMITS.MAX_BYTES) {
+        issues.error('file-too-large', `File is larger than ${SITEMAP_LIMITS.MAX_BYTES / (1024 * 1024)} MB uncompressed`);
+    }
+
+    let document;
+    try {
+        document = await new xml2js.Parser({ strict: true, trim: true }).parseStringPromise(xml || '');
+    } catch (e) {
+        // Raw `&` or `<` in a URL end up here
+        issues.error('malformed-xml', `XML is not well-formed: ${e.message.split('\n').join(' ')}`);
+        return result(null, 0);
+    }
+
+    const rootName = document ? Object.keys(document)[0] : null;
+    if (rootName !== 'urlset' && rootName !== 'sitemapindex') {
+        issues.error('invalid-root', `Root element must be <urlset> or <sitemapindex>, found <${rootName || 'nothing'}>`);
+        return result(null, 0);
+    }
+
+    const root = document[rootName] || {};
+    const attributes = root.$ || {};
+    if (attributes.xmlns !== SITEMAP_NAMESPACE) {
+        issues.error('invalid-namespace', `<${rootName}> must declare xmlns="${SITEMAP_NAMESPACE}"`);
+    }
+
+    // Prefixes declared on the root, and the ones bound to known extensions
+    const declared = new Set(Object.keys(attributes)
+        .filter(name => name.startsWith('xmlns:'))
+        .map(name => name.slice('xmlns:'.length)));
+    const prefixes = {};
+    Object.entries(EXTENSION_NAMESPACES).forEach(([extension, namespace]) => {
+        const name = Object.keys(attributes).find(key => key.startsWith('xmlns:') && attributes[key] === namespace);
+        if (name) prefixes[extension] = name.slice('xmlns:'.length);
+    });
+
+    const isIndex = rootName === 'sitemapindex';
+    const entries = root[isIndex ? 'sitemap' : 'url'] || [];
+
+    if (entries.length === 0) {
+        issues.warning('empty-sitemap', `<${rootName}> has no entries`);
+    }
+    if (entries.length > SITEMAP_LIMITS.MAX_URLS) {
+        issues.error('too-many-urls', `At most ${SITEMAP_LIMITS.MAX_URLS} entries are allowed per file (found ${entries.length})`);
+    }
+
+    checkEntries(entries, { isIndex, prefixes, declared, sitemapUrl }, issues);
+
+    return result(rootName, entries.length);
+}
+
+/**
+ * Validate every file of a generated sitemap, each as hosted under `baseUrl`
+ * @param {Array<{ name: string, content: string }>} files - As returned by buildXmlSitemap
+ * @param {string} baseUrl - Origin the files are served from
+ * @returns {Promise<{ valid: boolean, files: Array<object> }>} One report per file (with its name)
+ */
+async function validateSitemapFiles(files, baseUrl) {
+    const reports = [];
+    for (const file of files) {
+        const report = await validateSitemap(file.content, { sitemapUrl: new URL(file.name, baseUrl + '/').href });
+        reports.push({ name: file.name, ...report });
+    }
+
+    const valid = reports.every(report => report.valid);
+    if (!valid) {
+        const errorCount = reports.reduce((sum, report) => sum + report.errorCount, 0);
+        console.warn(`[VALIDATOR] ⚠️  Generated sitemap for ${baseUrl} has ${errorCount} sitemap protocol error(s)`);
+    }
+    return { valid, files: reports };
+}
+
+module.exports = {
+    SITEMAP_NAMESPACE,
+    VALIDATION_LIMITS,
+    validateSitemap,
+    validateSitemapFiles
+};
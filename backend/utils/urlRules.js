@@ -0,0 +1,164 @@
+/**
+ * ============================================
+ * URL RULES
+ * ============================================
+ *
+ * Per-crawl include/exclude patterns and the query-string policy.
+ *
+ * Patterns are matched against the path of a normalized URL:
+ * - Globs: `*` matches within one path segment, `**` across segments,
+ *   and a trailing `/**` also matches the directory itself
+ *   (`/wp-admin/**` matches `/wp-admin` and `/wp-admin/users.php`).
+ *   A trailing `/` matches the directory and everything below it
+ *   (`/wp-admin/` matches `/wp-admin/` and `/wp-admin/users.php`).
+ *   A glob containing `?` is matched against path and query together
+ *   (`**?sort=*`).
+ * - Regular expressions: prefix with `regex:` and wrap in slashes, e.g.
+ *   `regex:/^\/blog\/\d{4}\//i`; they always see path and query
+ *   (`/products/shoes?page=2`). Flags are limited to i, m, s and u
+ *   (g and y would make matching stateful), and the expression is capped
+ *   in length and may not nest quantifiers (catastrophic backtracking).
+ */
+
+const QUERY_POLICIES = ['strip', 'allowlist', 'keep'];
+
+// ============================================
+// PATTERNS
+// ============================================
+
+const REGEX_PREFIX = 'regex:';
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+const REGEX_FLAGS = ['i', 'm', 's', 'u'];
+const REGEX_MAX_LENGTH = 100;
+
+// A quantified group that itself ends in a quantifier, e.g. (a+)+ or (\w*)*
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[*+}]\)(?:[*+?]|\{\d)/;
+
+/**
+ * Whether a pattern is a `regex:` pattern rather than a glob
+ */
+function isRegexPattern(pattern) {
+    return pattern.startsWith(REGEX_PREFIX);
+}
+
+/**
+ * Compile a `regex:/source/flags` pattern.
+ * Throws when the expression is malformed, too long or uses unsafe flags.
+ */
+function compileRegexPattern(pattern) {
+    const regexMatch = REGEX_PATTERN.exec(pattern.slice(REGEX_PREFIX.length));
+    if (!regexMatch) {
+        throw new Error('regex patterns must look like regex:/expression/flags');
+    }
+
+    const [, source, flags] = regexMatch;
+    const badFlags = [...flags].filter(flag => !REGEX_FLAGS.includes(flag));
+    if (badFlags.length > 0) {
+        throw new Error(`unsupported regex flag(s) "${badFlags.join('')}" (allowed: ${REGEX_FLAGS.join(', ')})`);
+    }
+    if (source.length > REGEX_MAX_LENGTH) {
+        throw new Error(`regex must be at most ${REGEX_MAX_LENGTH} characters`);
+    }
+    if (NESTED_QUANTIFIER.test(source)) {
+        throw new Error('regex may not repeat a group that contains a quantifier, like (a+)+');
+    }
+
+    return new RegExp(source, flags);
+}
+
+/**
+ * Compile one include/exclude pattern into a RegExp.
+ * Throws when a regex pattern is invalid.
+ */
+function compileUrlPattern(pattern) {
+    if (isRegexPattern(pattern)) {
+        return compileRegexPattern(pattern);
+    }
+
+    const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    // `/dir/**` also matches `/dir`; `/dir/` matches everything below `/dir/`
+    const directory = pattern.endsWith('/**');
+    const prefix = !directory && pattern.endsWith('/');
+    const body = directory ? pattern.slice(0, -3) : pattern;
+
+    const source = body
+        .split('**')
+        .map(part => part.split('*').map(escape).join('[^/]*'))
+        .join('.*');
+
+    return new RegExp(`^${source}${directory ? '(?:/.*)?' : prefix ? '.*' : ''}$`);
+}
+
+/**
+ * Compile a pattern into a test on parsed URLs (path, plus the query
+ * for regexes and globs containing `?`)
+ * Returns: (parsedUrl) => boolean
+ */
+function createPatternMatcher(pattern) {
+    const regex = compileUrlPattern(pattern);
+    const withQuery = isRegexPattern(pattern) || pattern.includes('?');
+
+    return (parsedUrl) => regex.test(withQuery ? parsedUrl.pathname + parsedUrl.search : parsedUrl.pathname);
+}
+
+/**
+ * Build the rule checker for a crawl.
+ * Returns: { check(url) } where check gives null when the URL passes,
+ * otherwise { reason: 'excluded' | 'not-included', pattern }
+ */
+function createUrlRules({ include = [], exclude = [] } = {}) {
+    const compile = (pattern) => ({ pattern, test: createPatternMatcher(pattern) });
+    const includeRules = include.map(compile);
+    const excludeRules = exclude.map(compile);
+
+    const check = (url) => {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return null;
+        }
+
+        const matches = (rule) => rule.test(parsed);
+
+        const excludedBy = excludeRules.find(matches);
+        if (excludedBy) {
+            return { reason: 'excluded', pattern: excludedBy.pattern };
+        }
+
+        if (includeRules.length > 0 && !includeRules.some(matches)) {
+            return { reason: 'not-included', pattern: null };
+        }
+
+        return null;
+    };
+
+    return { check };
+}
+
+// ============================================
+// QUERY STRING POLICY
+// ============================================
+
+/**
+ * Query string to keep for a parsed URL under the given policy.
+ * Kept parameters are sorted so `?b=2&a=1` and `?a=1&b=2` are one page.
+ */
+function applyQueryPolicy(parsedUrl, { queryParams = 'strip', allowedParams = [] } = {}) {
+    if (queryParams === 'strip') return '';
+
+    const params = [...parsedUrl.searchParams.entries()]
+        .filter(([name]) => queryParams === 'keep' || allowedParams.includes(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+
+    if (params.length === 0) return '';
+    return '?' + new URLSearchParams(params).toString();
+}
+
+module.exports = {
+    QUERY_POLICIES,
+    compileUrlPattern,
+    createPatternMatcher,
+    createUrlRules,
+    applyQueryPolicy
+};
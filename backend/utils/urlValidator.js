@@ -1,10 +1,136 @@
 const axios = require('axios');
 const https = require('https');
 const dns = require('dns').promises;
+const net = require('net');
+
+// ============================================
+// NETWORK TARGETS
+// ============================================
+
+// IPv4 ranges the backend must never fetch: loopback, private networks,
+// link-local (cloud metadata at 169.254.169.254), CGNAT, multicast, reserved
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((value, part) => (value << 8) + Number(part), 0) >>> 0;
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ */
+function isPrivateAddress(ip) {
+    const address = String(ip).toLowerCase().replace(/^\[|\]$/g, '');
+
+    if (net.isIPv4(address)) {
+        const value = ipv4ToInt(address);
+        return BLOCKED_IPV4_RANGES.some(([base, bits]) =>
+            (value >>> (32 - bits)) === (ipv4ToInt(base) >>> (32 - bits))
+        );
+    }
+
+    if (net.isIPv6(address)) {
+        // IPv4-mapped (::ffff:10.0.0.1)
+        const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (mapped) return isPrivateAddress(mapped[1]);
+
+        // Same, as normalized by URL (::ffff:7f00:1)
+        const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+        if (mappedHex) {
+            const value = (parseInt(mappedHex[1], 16) << 16) + parseInt(mappedHex[2], 16);
+            return isPrivateAddress([24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.'));
+        }
+
+        return address === '::' || address === '::1' ||
+            /^f[cd]/.test(address) ||        // fc00::/7 unique local
+            /^fe[89ab]/.test(address) ||     // fe80::/10 link-local
+            /^ff/.test(address);             // ff00::/8 multicast
+    }
+
+    return false;
+}
+
+/**
+ * Check that the backend may fetch a URL: http(s) only, and the host
+ * must not resolve to a private or local address.
+ * Returns: { isAllowed, reason }
+ */
+async function checkFetchTarget(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return { isAllowed: false, reason: 'Invalid URL' };
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return { isAllowed: false, reason: 'Invalid protocol (only HTTP and HTTPS are supported)' };
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname)
+            ? [hostname]
+            : (await dns.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (e) {
+        return { isAllowed: false, reason: 'Domain not found (DNS lookup failed)' };
+    }
+
+    if (addresses.some(isPrivateAddress)) {
+        return { isAllowed: false, reason: 'URL points to a private or local network address' };
+    }
+    return { isAllowed: true, reason: null };
+}
+
+/**
+ * Request a URL following redirects by hand, so every hop passes
+ * checkFetchTarget (axios would follow them to any host).
+ * `get(url)` makes one request without following redirects (maxRedirects: 0).
+ * Returns: { response, finalUrl }
+ */
+async function followRedirectsSafely(url, get, maxRedirects = 5) {
+    let current = url;
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+        const target = await checkFetchTarget(current);
+        if (!target.isAllowed) {
+            throw new Error(`Not fetched (${current}): ${target.reason}`);
+        }
+
+        const response = await get(current);
+        if (response.status >= 300 && response.status < 400 && response.headers.location) {
+            current = new URL(response.headers.location, current).href;
+            continue;
+        }
+        return { response, finalUrl: current };
+    }
+
+    throw new Error('Too many redirects');
+}
+
+/**
+ * dns.lookup replacement for http(s) agents: refuses private addresses at
+ * connect time, so a host cannot pass checkFetchTarget and then re-resolve
+ * to an internal address (DNS rebinding)
+ */
+function publicOnlyLookup(hostname, options, callback) {
+    require('dns').lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (addresses.some(isPrivateAddress)) {
+            return callback(new Error(`Refusing to connect to private address for ${hostname}`));
+        }
+        callback(null, address, family);
+    });
+}
 
 /**
  * Validate and analyze a URL before crawling
- * Ignores robots.txt — full unrestricted crawl
+ * robots.txt is not checked here — the crawler applies it per crawl
+ * (see robotsMode in crawlOptions and robotsParser)
  */
 async function validateUrl(url) {
     const issues = [];
@@ -33,11 +159,10 @@ async function validateUrl(url) {
             warnings.push('Site uses HTTP — not encrypted');
         }
 
-        // ✅ 2. DNS lookup
-        try {
-            await dns.lookup(parsedUrl.hostname);
-        } catch {
-            issues.push('Domain not found (DNS lookup failed)');
+        // ✅ 2. DNS lookup, and no private/local addresses
+        const target = await checkFetchTarget(parsedUrl.href);
+        if (!target.isAllowed) {
+            issues.push(target.reason);
             return { isSafe: false, issues, warnings, canProceed: false };
         }
 
@@ -98,7 +223,7 @@ async function validateUrl(url) {
             }
         }
 
-        // 🚫 4. robots.txt check intentionally removed
+        // 🤖 4. robots.txt is evaluated by the crawler when robotsMode is 'respect'
 
     } catch (error) {
         issues.push('Invalid URL format');
@@ -137,4 +262,11 @@ function sanitizeUrls(urls) {
         );
 }
 
-module.exports = { validateUrl, sanitizeUrls };
+module.exports = {
+    validateUrl,
+    sanitizeUrls,
+    isPrivateAddress,
+    checkFetchTarget,
+    followRedirectsSafely,
+    publicOnlyLookup
+};
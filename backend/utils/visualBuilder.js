@@ -0,0 +1,177 @@
+const URL = require('url').URL;
+
+/**
+ * Builds a nested page tree (url, title, children) from a flat list of
+ * absolute URLs, using path segments to decide parent/child relationships.
+ * @param {Array<string>} urls - The list of absolute URLs found by the crawler.
+ * @param {string} baseUrl - The start URL of the crawl.
+ * @returns {Array<object>} Root nodes of the tree.
+ */
+exports.buildHierarchy = function buildHierarchy(urls, baseUrl) {
+    if (!urls || urls.length === 0) return [];
+
+    const base = new URL(baseUrl).origin;
+    
+    // Create a map to store all nodes
+    const nodeMap = new Map();
+    
+    // First pass: Create all nodes
+    // Pages on other hosts (wider crawl scopes) are grouped under a root
+    // node for their origin
+    urls.forEach(url => {
+        const parsed = new URL(url);
+        const origin = parsed.origin;
+        const hostKey = origin === base ? '' : origin;
+        const path = parsed.pathname + parsed.search;
+        const segments = path.split('/').filter(s => s);
+        
+        if (hostKey && !nodeMap.has(hostKey + '/')) {
+            nodeMap.set(hostKey + '/', {
+                url: origin,
+                title: parsed.hostname,
+                path: hostKey + '/',
+                parentPath: null,
+                children: []
+            });
+        }
+        
+        // Create full path for this URL
+        let currentPath = '';
+        segments.forEach((segment, index) => {
+            const previousPath = currentPath;
+            currentPath += '/' + segment;
+            
+            if (!nodeMap.has(hostKey + currentPath)) {
+                const fullUrl = origin + currentPath;
+                const title = segment
+                    .replace(/-/g, ' ')
+                    .replace(/_/g, ' ')
+                    .replace(/\.(html|php|aspx)$/i, '')
+                    .replace(/\b\w/g, l => l.toUpperCase());
+                
+                nodeMap.set(hostKey + currentPath, {
+                    url: fullUrl,
+                    title: title || 'Home',
+                    path: hostKey + currentPath,
+                    parentPath: previousPath ? hostKey + previousPath : (hostKey ? hostKey + '/' : null),
+                    children: []
+                });
+            }
+        });
+        
+        // Add root/homepage if not already added
+        if (!hostKey && (segments.length === 0 || url === baseUrl)) {
+            if (!nodeMap.has('/')) {
+                nodeMap.set('/', {
+                    url: baseUrl,
+                    title: 'Home',
+                    path: '/',
+                    parentPath: null,
+                    children: []
+                });
+            }
+        }
+    });
+    
+    // Second pass: Build parent-child relationships
+    const rootNodes = [];
+    
+    nodeMap.forEach((node, path) => {
+        if (node.parentPath === null || node.parentPath === '') {
+            // This is a root node
+            rootNodes.push(node);
+        } else {
+            // Find parent and add this node as a child
+            const parent = nodeMap.get(node.parentPath);
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                // If parent not found, treat as root
+                rootNodes.push(node);
+            }
+        }
+    });
+    
+    // Clean up: Remove path and parentPath from final output
+    const cleanNode = (node) => {
+        const cleaned = {
+            url: node.url,
+            title: node.title,
+            children: node.children.map(child => cleanNode(child))
+        };
+        return cleaned;
+    };
+    
+    return rootNodes.map(node => cleanNode(node));
+};
+
+// Limits for trees saved from the visual builder
+const VISUAL_LIMITS = {
+    MAX_NODES: 5000,
+    MAX_DEPTH: 30,
+    MAX_URL_LENGTH: 2048,
+    MAX_TITLE_LENGTH: 200
+};
+
+exports.VISUAL_LIMITS = VISUAL_LIMITS;
+
+/**
+ * Validates a page tree edited in the visual builder before it is saved.
+ * Nodes are reduced to { url, title, children }; planned pages may use
+ * relative URLs, so any non-empty URL is accepted.
+ * @param {Array<object>} pages - Root nodes, as returned by buildHierarchy.
+ * @returns {{ isValid: boolean, errors: Array<string>, pages: Array<object>, nodeCount: number }}
+ */
+exports.validateHierarchy = function validateHierarchy(pages) {
+    const errors = [];
+    let nodeCount = 0;
+
+    if (!Array.isArray(pages)) {
+        return { isValid: false, errors: ['pages must be an array of nodes'], pages: [], nodeCount };
+    }
+
+    const cleanNode = (node, location, depth) => {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            errors.push(`${location} must be an object`);
+            return null;
+        }
+
+        nodeCount++;
+        if (nodeCount > VISUAL_LIMITS.MAX_NODES) return null;
+
+        if (typeof node.url !== 'string' || node.url.trim() === '') {
+            errors.push(`${location}.url is required`);
+        } else if (node.url.length > VISUAL_LIMITS.MAX_URL_LENGTH) {
+            errors.push(`${location}.url is longer than ${VISUAL_LIMITS.MAX_URL_LENGTH} characters`);
+        }
+
+        if (node.title !== undefined && node.title !== null && typeof node.title !== 'string') {
+            errors.push(`${location}.title must be a string`);
+        } else if (node.title && node.title.length > VISUAL_LIMITS.MAX_TITLE_LENGTH) {
+            errors.push(`${location}.title is longer than ${VISUAL_LIMITS.MAX_TITLE_LENGTH} characters`);
+        }
+
+        const children = node.children === undefined || node.children === null ? [] : node.children;
+        if (!Array.isArray(children)) {
+            errors.push(`${location}.children must be an array`);
+        } else if (children.length > 0 && depth >= VISUAL_LIMITS.MAX_DEPTH) {
+            errors.push(`${location} is nested deeper than ${VISUAL_LIMITS.MAX_DEPTH} levels`);
+        }
+
+        return {
+            url: typeof node.url === 'string' ? node.url.trim() : node.url,
+            title: typeof node.title === 'string' ? node.title.trim() : undefined,
+            children: Array.isArray(children) && depth < VISUAL_LIMITS.MAX_DEPTH
+                ? children.map((child, index) => cleanNode(child, `${location}.children[${index}]`, depth + 1))
+                : []
+        };
+    };
+
+    const cleaned = pages.map((node, index) => cleanNode(node, `pages[${index}]`, 1));
+
+    if (nodeCount > VISUAL_LIMITS.MAX_NODES) {
+        errors.push(`The tree has more than ${VISUAL_LIMITS.MAX_NODES} pages`);
+    }
+
+    return { isValid: errors.length === 0, errors: errors.slice(0, 20), pages: cleaned, nodeCount };
+};
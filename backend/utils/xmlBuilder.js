@@ -1,4 +1,9 @@
 const xml2js = require('xml2js');
+const { parseRobotsDirectives } = require('./robotsParser');
+const { NEWS_LIMITS, selectNewsPages } = require('./newsSitemap');
+const { analyzeHreflang } = require('./hreflang');
+const { DEFAULT_STYLESHEET_HREF, addStylesheet, getStylesheetHref } = require('./sitemapStylesheet');
+const URL = require('url').URL;
 
 const BASE_URL_OPTIONS = {
     // For generating the root <urlset> tag with namespaces
@@ -8,22 +13,172 @@ const BASE_URL_OPTIONS = {
     }
 };
 
+const INDEX_OPTIONS = {
+    rootName: 'sitemapindex',
+    attr: {
+        'xmlns': 'http://www.sitemaps.org/schemas/sitemap/0.9'
+    }
+};
+
+// Sitemap extensions, declared on <urlset> only when enabled
+const EXTENSION_NAMESPACES = {
+    image: 'http://www.google.com/schemas/sitemap-image/1.1',
+    video: 'http://www.google.com/schemas/sitemap-video/1.1',
+    news: 'http://www.google.com/schemas/sitemap-news/0.9',
+    xhtml: 'http://www.w3.org/1999/xhtml'
+};
+
+// sitemaps.org limits per sitemap file (uncompressed), plus extension limits
+const SITEMAP_LIMITS = {
+    MAX_URLS: 50000,
+    MAX_BYTES: 50 * 1024 * 1024,
+    MAX_IMAGES_PER_URL: 1000,
+    MAX_VIDEO_DESCRIPTION_LENGTH: 2048,
+    MAX_VIDEO_DURATION_SECONDS: 28800
+};
+
+// The urlset, or the index when the sitemap is split
+const INDEX_FILE_NAME = 'sitemap.xml';
+
+// ============================================
+// DOCUMENTS
+// ============================================
+
+/**
+ * Why a page must be left out of the XML sitemap (null when it may be listed).
+ * Pages marked noindex should not be submitted to search engines, and a
+ * sitemap may only list URLs on its own origin (`baseUrl`); with the
+ * 'domain' or 'hosts' crawl scope, pages on other hosts are left out.
+ */
+function getExclusion(page, { includeNoindex = false, baseUrl = null } = {}) {
+    if (baseUrl && new URL(page.url).origin !== baseUrl) {
+        return { url: page.url, reason: 'other-host', source: new URL(page.url).origin };
+    }
+    if (!includeNoindex && page.robots?.noindex) {
+        return {
+            url: page.url,
+            reason: 'noindex',
+            source: parseRobotsDirectives([page.robots.header]).noindex ? 'x-robots-tag' : 'meta'
+        };
+    }
+    return null;
+}
+
+/**
+ * W3C Datetime for <lastmod> (`2024-05-01T08:30:00+00:00`)
+ */
+function formatLastmod(date) {
+    return new Date(date).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+/**
+ * Most recent lastmod of a set of pages (null when none is known)
+ */
+function getLatestLastmod(pages) {
+    const times = pages.filter(page => page.lastmod).map(page => new Date(page.lastmod).getTime());
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
 /**
- * Takes an array of raw URLs and formats them into a standard XML sitemap string.
- * NOTE: This function uses default values for changefreq, priority, and lastmod
- * as the crawler cannot reliably determine these values.
- * @param {Array<string>} urls - The list of absolute URLs found by the crawler.
- * @returns {Promise<string>} The complete XML sitemap string.
+ * <image:image> entries of a page. Only image:loc is written; Google
+ * ignores the deprecated caption/title tags (alt and title stay on the page record).
  */
-exports.buildXmlSitemap = (urls) => {
+function buildImageEntries(page) {
+    return (page.images || [])
+        .slice(0, SITEMAP_LIMITS.MAX_IMAGES_PER_URL)
+        .map(image => ({ 'image:loc': image.url }));
+}
+
+/**
+ * <video:video> entries of a page. Videos missing a field Google requires
+ * (thumbnail, title, description, content or player URL) are left out.
+ */
+function buildVideoEntries(page) {
+    return (page.videos || [])
+        .filter(video => video.thumbnailUrl && video.title && video.description &&
+            (video.contentUrl || video.playerUrl))
+        .map(video => {
+            const duration = Math.round(video.duration);
+            const publicationDate = video.publicationDate ? new Date(video.publicationDate) : null;
+
+            // Child order follows the video sitemap schema
+            return {
+                'video:thumbnail_loc': video.thumbnailUrl,
+                'video:title': video.title,
+                'video:description': video.description.slice(0, SITEMAP_LIMITS.MAX_VIDEO_DESCRIPTION_LENGTH),
+                ...(video.contentUrl ? { 'video:content_loc': video.contentUrl } : {}),
+                ...(video.playerUrl ? { 'video:player_loc': video.playerUrl } : {}),
+                ...(duration >= 1 && duration <= SITEMAP_LIMITS.MAX_VIDEO_DURATION_SECONDS
+                    ? { 'video:duration': duration }
+                    : {}),
+                ...(publicationDate && !Number.isNaN(publicationDate.getTime())
+                    ? { 'video:publication_date': formatLastmod(publicationDate) }
+                    : {})
+            };
+        });
+}
+
+/**
+ * <news:news> entry of a page selected for a news sitemap (see ./newsSitemap)
+ */
+function buildNewsEntry(page) {
+    return {
+        'news:publication': {
+            'news:name': page.news.publicationName,
+            'news:language': page.news.language
+        },
+        'news:publication_date': formatLastmod(page.news.publishedAt),
+        'news:title': page.news.title
+    };
+}
+
+/**
+ * Build one <urlset> document
+ * @param {Array<object>} pages
+ * @param {object} [extensions] - imageSitemap, videoSitemap, news, alternatesByUrl,
+ * stylesheetUrl
+ */
+function buildUrlset(pages, extensions = {}) {
+    const alternatesByUrl = extensions.alternatesByUrl || new Map();
+    const alternatesOf = (page) => alternatesByUrl.get(page.normalizedUrl || page.url) || [];
+
+    const attributes = { ...BASE_URL_OPTIONS.attr };
+    if (extensions.imageSitemap) attributes['xmlns:image'] = EXTENSION_NAMESPACES.image;
+    if (extensions.videoSitemap) attributes['xmlns:video'] = EXTENSION_NAMESPACES.video;
+    if (extensions.news) attributes['xmlns:news'] = EXTENSION_NAMESPACES.news;
+    if (pages.some(page => alternatesOf(page).length > 0)) attributes['xmlns:xhtml'] = EXTENSION_NAMESPACES.xhtml;
+
     // Structure required by xml2js: an object containing the root tag content
+    // (root attributes go under `$`; the Builder has no option for them)
     const urlset = {
-        url: urls.map(url => ({
-            loc: url,
-            lastmod: new Date().toISOString().split('T')[0], // YYYY-MM-DD
-            changefreq: 'monthly', // Default assumption
-            priority: 0.8 // Default priority
-        }))
+        $: attributes,
+        url: pages.map(page => {
+            const entry = {
+                loc: page.url,
+                // Omitted when unknown rather than guessed (see ./lastmod)
+                ...(page.lastmod ? { lastmod: formatLastmod(page.lastmod) } : {}),
+                // Computed per page (see ./sitemapHints); fixed defaults otherwise
+                changefreq: page.changefreq || 'monthly',
+                priority: page.priority ?? 0.8
+            };
+
+            const alternates = alternatesOf(page);
+            if (alternates.length > 0) {
+                entry['xhtml:link'] = alternates.map(({ hreflang, url }) => ({
+                    $: { rel: 'alternate', hreflang, href: url }
+                }));
+            }
+
+            if (extensions.news && page.news) entry['news:news'] = buildNewsEntry(page);
+
+            const images = extensions.imageSitemap ? buildImageEntries(page) : [];
+            if (images.length > 0) entry['image:image'] = images;
+
+            const videos = extensions.videoSitemap ? buildVideoEntries(page) : [];
+            if (videos.length > 0) entry['video:video'] = videos;
+
+            return entry;
+        })
     };
 
     // Use a Builder instance to convert the JavaScript object to XML
@@ -31,6 +186,243 @@ exports.buildXmlSitemap = (urls) => {
     
     // Build the XML string
     const xml = builder.buildObject(urlset);
-    
-    return xml;
+    return extensions.stylesheetUrl ? addStylesheet(xml, extensions.stylesheetUrl) : xml;
+}
+
+/**
+ * Build the <sitemapindex> document that points to the child sitemaps
+ * @param {Array<{ loc: string, lastmod: Date|null }>} entries
+ * @param {string|null} [stylesheetUrl]
+ */
+function buildSitemapIndex(entries, stylesheetUrl = null) {
+    const builder = new xml2js.Builder(INDEX_OPTIONS);
+
+    const xml = builder.buildObject({
+        $: INDEX_OPTIONS.attr,
+        sitemap: entries.map(({ loc, lastmod }) => ({
+            loc,
+            ...(lastmod ? { lastmod: formatLastmod(lastmod) } : {})
+        }))
+    });
+    return stylesheetUrl ? addStylesheet(xml, stylesheetUrl) : xml;
+}
+
+// ============================================
+// SPLITTING & GROUPING
+// ============================================
+
+/**
+ * Group name used in child sitemap file names
+ * - section: first path segment (`/blog/post` -> `blog`, home -> `root`)
+ * - contentType: response type (`text/html` -> `pages`, `application/pdf` -> `pdf`)
+ */
+function getGroupName(page, grouping) {
+    const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    if (grouping === 'section') {
+        const segment = new URL(page.url).pathname.split('/').filter(Boolean)[0];
+        return segment ? slug(decodeURIComponent(segment)) || 'other' : 'root';
+    }
+    if (grouping === 'contentType') {
+        const subtype = (page.contentType || 'text/html').split(';')[0].split('/')[1] || 'html';
+        return subtype === 'html' || subtype === 'xhtml+xml' ? 'pages' : slug(subtype) || 'other';
+    }
+    return null;
+}
+
+/**
+ * Split pages into <urlset> documents that stay within the URL count
+ * and byte limits. Oversized documents are halved until they fit.
+ */
+function buildChunks(pages, maxUrls, extensions) {
+    const chunks = [];
+
+    const addChunk = (chunkPages) => {
+        const xml = buildUrlset(chunkPages, extensions);
+        if (Buffer.byteLength(xml, 'utf8') > SITEMAP_LIMITS.MAX_BYTES && chunkPages.length > 1) {
+            const middle = Math.ceil(chunkPages.length / 2);
+            addChunk(chunkPages.slice(0, middle));
+            addChunk(chunkPages.slice(middle));
+            return;
+        }
+        chunks.push({ xml, urlCount: chunkPages.length, lastmod: getLatestLastmod(chunkPages) });
+    };
+
+    for (let i = 0; i < pages.length; i += maxUrls) {
+        addChunk(pages.slice(i, i + maxUrls));
+    }
+    return chunks;
+}
+
+/**
+ * Takes the successfully crawled pages and formats them into XML sitemap files.
+ * <lastmod> comes from each page's `lastmod` (see ./lastmod), <changefreq>
+ * and <priority> from `changefreq`/`priority` (see ./sitemapHints).
+ *
+ * A single <urlset> is produced while the sitemaps.org limits (50,000 URLs,
+ * 50 MB) allow it. Otherwise, or when `sitemapGrouping` is 'section' or
+ * 'contentType', the pages are split into child sitemaps listed by a
+ * <sitemapindex>. The entry point is always named `sitemap.xml`; child
+ * locations are resolved against `baseUrl` (defaults to the first page's origin).
+ *
+ * With `sitemapMode: 'news'` only articles from the last two days are
+ * listed, with <news:news> entries and at most 1,000 URLs per file
+ * (see ./newsSitemap).
+ *
+ * Pages with hreflang annotations get <xhtml:link rel="alternate"> entries;
+ * invalid codes and alternates without a return link are left out and
+ * reported (see ./hreflang).
+ *
+ * With `xslStylesheet` every file references an XSL stylesheet
+ * (`stylesheetUrl`, default `sitemap.xsl` next to the sitemap) so browsers
+ * render it as a table (see ./sitemapStylesheet).
+ *
+ * @param {Array<object>} pages - Crawl results ({ url, lastmod, changefreq, priority, images, videos, robots, contentType }) of the successful pages.
+ * @param {object} [options] - includeNoindex, sitemapGrouping, maxUrlsPerSitemap,
+ * imageSitemap (adds <image:image> from each page's `images`),
+ * videoSitemap (adds <video:video> from each page's `videos`), sitemapMode
+ * ('standard' | 'news'), newsPublicationName, newsLanguage, xslStylesheet,
+ * stylesheetUrl, baseUrl (origin the sitemap is served from; pages on
+ * other origins are excluded as 'other-host').
+ * @returns {{ xml: string, files: Array<object>, excluded: Array<object>, hreflangIssues: Array<object> }}
+ * The entry point XML (urlset or index), every file ({ name, content, urlCount }),
+ * the pages left out ({ url, reason, source }) and the hreflang problems
+ * ({ url, type, hreflang, href, message }).
+ */
+exports.buildXmlSitemap = (pages, options = {}) => {
+    const {
+        sitemapGrouping = 'none',
+        maxUrlsPerSitemap = SITEMAP_LIMITS.MAX_URLS,
+        sitemapMode = 'standard'
+    } = options;
+    const news = sitemapMode === 'news';
+    const maxUrls = Math.min(maxUrlsPerSitemap, news ? NEWS_LIMITS.MAX_URLS : SITEMAP_LIMITS.MAX_URLS);
+    // Reciprocity is checked against every crawled page, listed or not
+    const { alternatesByUrl, issues: hreflangIssues } = analyzeHreflang(pages);
+    const extensions = {
+        imageSitemap: !!options.imageSitemap,
+        videoSitemap: !!options.videoSitemap,
+        news,
+        alternatesByUrl,
+        stylesheetUrl: options.xslStylesheet ? options.stylesheetUrl || DEFAULT_STYLESHEET_HREF : null
+    };
+    let included = [];
+    const excluded = [];
+
+    pages.forEach(page => {
+        const exclusion = getExclusion(page, options);
+        if (exclusion) {
+            excluded.push(exclusion);
+        } else {
+            included.push(page);
+        }
+    });
+
+    if (news) {
+        const selection = selectNewsPages(included, {
+            publicationName: options.newsPublicationName,
+            language: options.newsLanguage
+        });
+        included = selection.selected;
+        excluded.push(...selection.excluded);
+    }
+
+    // Group pages (a single unnamed group unless grouping is requested)
+    const groups = new Map();
+    included.forEach(page => {
+        const name = getGroupName(page, sitemapGrouping);
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(page);
+    });
+
+    const grouped = sitemapGrouping !== 'none';
+    const ungroupedChunks = grouped ? null : buildChunks(included, maxUrls, extensions);
+
+    // Everything fits in one file
+    if (!grouped && ungroupedChunks.length <= 1) {
+        const xml = ungroupedChunks.length === 1 ? ungroupedChunks[0].xml : buildUrlset([], extensions);
+        return {
+            xml,
+            files: [{ name: INDEX_FILE_NAME, content: xml, urlCount: included.length }],
+            excluded,
+            hreflangIssues
+        };
+    }
+
+    const children = [];
+    groups.forEach((groupPages, groupName) => {
+        const chunks = grouped ? buildChunks(groupPages, maxUrls, extensions) : ungroupedChunks;
+        const prefix = groupName ? `sitemap-${groupName}` : 'sitemap';
+
+        chunks.forEach((chunk, index) => {
+            const suffix = chunks.length > 1 || !groupName ? `-${index + 1}` : '';
+            children.push({
+                name: `${prefix}${suffix}.xml`,
+                content: chunk.xml,
+                urlCount: chunk.urlCount,
+                lastmod: chunk.lastmod
+            });
+        });
+    });
+
+    const baseUrl = options.baseUrl || (included[0] ? new URL(included[0].url).origin : '');
+    const xml = buildSitemapIndex(children.map(child => ({
+        loc: new URL(child.name, baseUrl + '/').href,
+        lastmod: child.lastmod
+    })), extensions.stylesheetUrl);
+
+    return {
+        xml,
+        files: [{ name: INDEX_FILE_NAME, content: xml, urlCount: included.length }, ...children],
+        excluded,
+        hreflangIssues
+    };
 };
+
+/**
+ * Names for serving sitemap files gzipped (`sitemap-1.xml` -> `sitemap-1.xml.gz`).
+ * The index of a split sitemap is rebuilt so its locations point to the
+ * `.gz` children (keeping its stylesheet). Contents stay uncompressed XML.
+ * @param {Array<{ name: string, content: string }>} files - As returned by buildXmlSitemap.
+ * @param {string} baseUrl - Origin the child sitemaps are served from.
+ */
+exports.withGzipNames = (files, baseUrl) => {
+    const children = files.filter(file => file.name !== INDEX_FILE_NAME);
+
+    return files.map(file => {
+        const name = `${file.name}.gz`;
+        if (file.name !== INDEX_FILE_NAME || children.length === 0) {
+            return { ...file, name };
+        }
+        return {
+            ...file,
+            name,
+            content: buildSitemapIndex(children.map(child => ({
+                loc: new URL(`${child.name}.gz`, baseUrl + '/').href,
+                lastmod: child.lastmod
+            })), getStylesheetHref(file.content))
+        };
+    });
+};
+
+/**
+ * Page URLs listed in sitemap files, in order (for plain-text sitemaps).
+ * A sitemap index lists no pages; the URLs come from its children.
+ * @param {Array<{ content: string }>} files - As returned by buildXmlSitemap.
+ * @returns {Array<string>}
+ */
+exports.listSitemapUrls = (files) => {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    const urls = [];
+
+    files.forEach(file => {
+        for (const match of file.content.matchAll(/<url>\s*<loc>([^<]*)<\/loc>/g)) {
+            urls.push(match[1].trim().replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => entities[name]));
+        }
+    });
+    return urls;
+};
+
+exports.INDEX_FILE_NAME = INDEX_FILE_NAME;
+exports.SITEMAP_LIMITS = SITEMAP_LIMITS;
+exports.EXTENSION_NAMESPACES = EXTENSION_NAMESPACES;
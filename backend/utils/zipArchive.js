@@ -0,0 +1,116 @@
+/**
+ * ============================================
+ * ZIP ARCHIVE WRITER
+ * ============================================
+ *
+ * Minimal ZIP (PKWARE APPNOTE) writer for downloading a sitemap index
+ * together with its child sitemaps. Files are deflated; no ZIP64, so the
+ * archive must stay under 4 GB (sitemaps are capped at 50 MB each).
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURES = {
+    LOCAL_FILE: 0x04034b50,
+    CENTRAL_DIRECTORY: 0x02014b50,
+    END_OF_CENTRAL_DIRECTORY: 0x06054b50
+};
+
+const VERSION = 20; // 2.0: deflate
+const UTF8_FLAG = 0x0800;
+const DEFLATE = 8;
+
+// CRC-32 (IEEE 802.3) lookup table; zlib.crc32 needs Node 20.15+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of a buffer, as stored in ZIP headers
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC32_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields for a Date
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{ name: string, content: string|Buffer }>} files
+ * @param {Date} [modifiedAt] - Timestamp stored for every entry
+ * @returns {Buffer}
+ */
+function createZipArchive(files, modifiedAt = new Date()) {
+    const { time, date } = toDosDateTime(modifiedAt);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(SIGNATURES.LOCAL_FILE, 0);
+        local.writeUInt16LE(VERSION, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(DEFLATE, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28); // extra field length
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(SIGNATURES.CENTRAL_DIRECTORY, 0);
+        central.writeUInt16LE(VERSION, 4); // version made by
+        central.writeUInt16LE(VERSION, 6); // version needed
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(DEFLATE, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        // extra length, comment length, disk number, internal/external attributes: 0
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(SIGNATURES.END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(files.length, 8); // entries on this disk
+    end.writeUInt16LE(files.length, 10); // total entries
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = { createZipArchive };
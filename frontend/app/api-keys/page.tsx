@@ -0,0 +1,5 @@
+import ApiKeys from '@/components/auth/ApiKeys'
+
+export default function ApiKeysPage() {
+  return <ApiKeys />
+}
@@ -0,0 +1,5 @@
+import AuthForm from '@/components/auth/AuthForm'
+
+export default function RegisterPage() {
+  return <AuthForm mode="register" />
+}
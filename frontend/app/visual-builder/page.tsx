@@ -1,5 +1,11 @@
+import { Suspense } from 'react'
 import VisualSitemap from '@/components/tools/VisualSitemap/VisulaSitemap'
 
+// useSearchParams (the saved map `?id=`) needs a Suspense boundary
 export default function VisualBuilderPage() {
-  return <VisualSitemap />
-}
\ No newline at end of file
+  return (
+    <Suspense>
+      <VisualSitemap />
+    </Suspense>
+  )
+}
@@ -0,0 +1,239 @@
+"use client"
+
+import { useState, useEffect, useCallback, FC, FormEvent } from 'react'
+import { Loader2, KeyRound, Copy, CheckCircle, Trash2, XCircle } from 'lucide-react'
+import { API_URL, apiFetch } from '@/components/shared/apiClient'
+import { AuthIssue } from '@/components/shared/AuthContext'
+
+// --- Types ---
+type ApiKeyScope = 'read' | 'generate'
+
+interface ApiKeySummary {
+    id: string
+    name: string
+    hint: string
+    scopes: ApiKeyScope[]
+    createdAt: string
+    lastUsedAt: string | null
+    revokedAt: string | null
+    status: 'active' | 'revoked'
+}
+
+const formatDate = (value: string | null) => value ? new Date(value).toLocaleString() : 'Never'
+
+/**
+ * Create, list and revoke API keys for build pipelines and scripts.
+ */
+const ApiKeys: FC = () => {
+    const [keys, setKeys] = useState<ApiKeySummary[]>([])
+    const [loading, setLoading] = useState(true)
+    const [name, setName] = useState('')
+    const [canGenerate, setCanGenerate] = useState(false)
+    const [creating, setCreating] = useState(false)
+    const [newKey, setNewKey] = useState<string | null>(null)
+    const [copied, setCopied] = useState(false)
+    const [error, setError] = useState<AuthIssue | null>(null)
+
+    const loadKeys = useCallback(async () => {
+        try {
+            const response = await apiFetch('/keys')
+            const data = await response.json()
+            if (!response.ok) {
+                setError(data)
+                return
+            }
+            setKeys(data.keys)
+        } catch (err: unknown) {
+            const message = err instanceof Error ? err.message : String(err)
+            setError({ error: message })
+        } finally {
+            setLoading(false)
+        }
+    }, [])
+
+    useEffect(() => {
+        loadKeys()
+    }, [loadKeys])
+
+    const createKey = async (e: FormEvent) => {
+        e.preventDefault()
+        setCreating(true)
+        setError(null)
+        setNewKey(null)
+        setCopied(false)
+
+        try {
+            const response = await apiFetch('/keys', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, scopes: canGenerate ? ['read', 'generate'] : ['read'] })
+            })
+            const data = await response.json()
+            if (!response.ok) {
+                setError(data)
+                return
+            }
+
+            setNewKey(data.key)
+            setName('')
+            setKeys((prev) => [data.apiKey, ...prev])
+        } catch (err: unknown) {
+            const message = err instanceof Error ? err.message : String(err)
+            setError({ error: message })
+        } finally {
+            setCreating(false)
+        }
+    }
+
+    const revokeKey = async (key: ApiKeySummary) => {
+        if (!window.confirm(`Revoke "${key.name}"? Scripts using it will stop working.`)) return
+        setError(null)
+
+        try {
+            const response = await apiFetch(`/keys/${key.id}`, { method: 'DELETE' })
+            const data = await response.json()
+            if (!response.ok) {
+                setError(data)
+                return
+            }
+            setKeys((prev) => prev.map((k) => (k.id === key.id ? data.apiKey : k)))
+        } catch (err: unknown) {
+            const message = err instanceof Error ? err.message : String(err)
+            setError({ error: message })
+        }
+    }
+
+    const copyKey = async () => {
+        if (!newKey) return
+        await navigator.clipboard.writeText(newKey)
+        setCopied(true)
+    }
+
+    return (
+        <div className="max-w-4xl mx-auto bg-gray-800 rounded-2xl shadow-2xl border border-teal-500/20 p-8 md:p-10">
+            <h1 className="text-3xl font-extrabold text-teal-400 mb-2">API Keys</h1>
+            <p className="text-gray-400 mb-8">
+                Use a key to call the API without a browser session, e.g. to regenerate sitemaps on deploy.
+                Send it as <code className="text-teal-300">Authorization: Bearer &lt;key&gt;</code>.
+            </p>
+
+            {/* Create */}
+            <form onSubmit={createKey} className="flex flex-col md:flex-row gap-4 md:items-end mb-6">
+                <div className="flex-1">
+                    <label className="block text-sm font-medium text-gray-300 mb-2">Key name</label>
+                    <input
+                        type="text"
+                        required
+                        maxLength={100}
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="e.g. Deploy pipeline"
+                        className="w-full p-3 border border-gray-600 rounded-xl bg-gray-700 text-white placeholder-gray-400 focus:ring-2 focus:ring-teal-400 focus:border-teal-400 transition-colors"
+                    />
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-300 md:pb-3">
+                    <input
+                        type="checkbox"
+                        checked={canGenerate}
+                        onChange={(e) => setCanGenerate(e.target.checked)}
+                        className="accent-teal-500 w-4 h-4"
+                    />
+                    Allow generating (otherwise read-only)
+                </label>
+                <button
+                    type="submit"
+                    disabled={creating || !name.trim()}
+                    className="bg-teal-600 text-white px-6 py-3 rounded-xl hover:bg-teal-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 font-bold shadow-lg shadow-teal-500/20"
+                >
+                    {creating ? <Loader2 className="animate-spin" size={20} /> : <KeyRound size={20} />}
+                    Create Key
+                </button>
+            </form>
+
+            {newKey && (
+                <div className="mb-6 p-4 bg-teal-900/40 border border-teal-700 rounded-xl">
+                    <p className="text-teal-300 text-sm font-semibold mb-2">Copy the key now; it will not be shown again.</p>
+                    <div className="flex gap-2">
+                        <input
+                            readOnly
+                            value={newKey}
+                            onFocus={(e) => e.target.select()}
+                            className="flex-1 p-2 rounded-lg bg-gray-900 border border-gray-600 text-gray-200 font-mono text-sm"
+                        />
+                        <button
+                            type="button"
+                            onClick={copyKey}
+                            className="inline-flex items-center gap-1 px-3 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 text-sm"
+                        >
+                            {copied ? <CheckCircle size={16} className="text-teal-400" /> : <Copy size={16} />}
+                            {copied ? 'Copied' : 'Copy'}
+                        </button>
+                    </div>
+                    <p className="text-gray-400 text-xs mt-3 font-mono break-all">
+                        curl -H &quot;Authorization: Bearer {newKey}&quot; {API_URL}/sitemaps
+                    </p>
+                </div>
+            )}
+
+            {error && (
+                <div className="mb-6 p-4 bg-red-900/50 border border-red-700 rounded-xl text-sm">
+                    <p className="flex items-center gap-2 text-red-400 font-medium"><XCircle size={18} /> {error.error || 'Something went wrong.'}</p>
+                    {error.details && (
+                        <ul className="list-disc list-inside text-red-500 mt-2">
+                            {error.details.map((detail) => (<li key={detail}>{detail}</li>))}
+                        </ul>
+                    )}
+                    {error.suggestion && <p className="text-red-500 mt-2">💡 Suggestion: {error.suggestion}</p>}
+                </div>
+            )}
+
+            {/* List */}
+            {loading ? (
+                <div className="flex justify-center py-10 text-teal-400"><Loader2 className="animate-spin" size={32} /></div>
+            ) : keys.length === 0 ? (
+                <p className="text-gray-500 text-center py-10">No API keys yet.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-gray-400 border-b border-gray-700">
+                            <tr>
+                                <th className="py-3 pr-4">Name</th>
+                                <th className="py-3 pr-4">Key</th>
+                                <th className="py-3 pr-4">Scopes</th>
+                                <th className="py-3 pr-4">Created</th>
+                                <th className="py-3 pr-4">Last used</th>
+                                <th className="py-3"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {keys.map((key) => (
+                                <tr key={key.id} className={`border-b border-gray-700/50 ${key.status === 'revoked' ? 'text-gray-500' : 'text-gray-200'}`}>
+                                    <td className="py-3 pr-4 font-semibold">{key.name}</td>
+                                    <td className="py-3 pr-4 font-mono">{key.hint}</td>
+                                    <td className="py-3 pr-4">{key.scopes.includes('generate') ? 'Read & generate' : 'Read-only'}</td>
+                                    <td className="py-3 pr-4">{formatDate(key.createdAt)}</td>
+                                    <td className="py-3 pr-4">{formatDate(key.lastUsedAt)}</td>
+                                    <td className="py-3 text-right">
+                                        {key.status === 'revoked' ? (
+                                            <span className="text-xs">Revoked {formatDate(key.revokedAt)}</span>
+                                        ) : (
+                                            <button
+                                                type="button"
+                                                onClick={() => revokeKey(key)}
+                                                className="inline-flex items-center gap-1 px-3 py-1 text-red-400 hover:bg-red-900/40 rounded-lg transition"
+                                            >
+                                                <Trash2 size={14} /> Revoke
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default ApiKeys
@@ -0,0 +1,137 @@
+"use client"
+
+import { useState, useEffect, FC, FormEvent } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/navigation'
+import { Loader2, LogIn, UserPlus, CheckCircle } from 'lucide-react'
+import { useAuth, AuthIssue } from '@/components/shared/AuthContext'
+
+interface AuthFormProps {
+    mode: 'login' | 'register'
+}
+
+/**
+ * Login and registration screen; returns to `?next=` once signed in.
+ */
+const AuthForm: FC<AuthFormProps> = ({ mode }) => {
+    const router = useRouter()
+    const { login, register } = useAuth()
+    const [email, setEmail] = useState('')
+    const [password, setPassword] = useState('')
+    const [name, setName] = useState('')
+    const [submitting, setSubmitting] = useState(false)
+    const [error, setError] = useState<AuthIssue | null>(null)
+    const [loggedOut, setLoggedOut] = useState(false)
+    const isLogin = mode === 'login'
+
+    useEffect(() => {
+        setLoggedOut(new URLSearchParams(window.location.search).has('loggedOut'))
+    }, [])
+
+    const submit = async (e: FormEvent) => {
+        e.preventDefault()
+        setSubmitting(true)
+        setError(null)
+
+        try {
+            const issue = isLogin ? await login(email, password) : await register(email, password, name || undefined)
+            if (issue) {
+                setError(issue)
+                return
+            }
+
+            // Only same-site paths, never an absolute URL from the query string
+            const next = new URLSearchParams(window.location.search).get('next')
+            router.push(next && next.startsWith('/') && !next.startsWith('//') ? next : '/')
+        } catch (err: unknown) {
+            const message = err instanceof Error ? err.message : String(err)
+            setError({ error: message || 'Cannot reach the API. Check the connection.' })
+        } finally {
+            setSubmitting(false)
+        }
+    }
+
+    return (
+        <div className="max-w-md mx-auto bg-gray-800 rounded-2xl shadow-2xl border border-teal-500/20 p-8 md:p-10">
+            <h1 className="text-3xl font-extrabold text-teal-400 mb-2">{isLogin ? 'Log In' : 'Create Account'}</h1>
+            <p className="text-gray-400 mb-8">
+                {isLogin ? 'Log in to generate and manage your sitemaps.' : 'Your sitemaps are saved to your account.'}
+            </p>
+
+            {loggedOut && isLogin && (
+                <div className="flex items-center gap-2 mb-6 p-4 bg-teal-900/40 border border-teal-700 rounded-xl text-teal-300 text-sm">
+                    <CheckCircle size={18} /> You have been logged out.
+                </div>
+            )}
+
+            <form onSubmit={submit} className="space-y-5">
+                {!isLogin && (
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Name (optional)</label>
+                        <input
+                            type="text"
+                            maxLength={100}
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            autoComplete="name"
+                            className="w-full p-3 border border-gray-600 rounded-xl bg-gray-700 text-white focus:ring-2 focus:ring-teal-400 focus:border-teal-400 transition-colors"
+                        />
+                    </div>
+                )}
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">Email</label>
+                    <input
+                        type="email"
+                        required
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        autoComplete="email"
+                        className="w-full p-3 border border-gray-600 rounded-xl bg-gray-700 text-white focus:ring-2 focus:ring-teal-400 focus:border-teal-400 transition-colors"
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">Password</label>
+                    <input
+                        type="password"
+                        required
+                        minLength={8}
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        autoComplete={isLogin ? 'current-password' : 'new-password'}
+                        className="w-full p-3 border border-gray-600 rounded-xl bg-gray-700 text-white focus:ring-2 focus:ring-teal-400 focus:border-teal-400 transition-colors"
+                    />
+                </div>
+
+                {error && (
+                    <div className="p-4 bg-red-900/50 border border-red-700 rounded-xl text-sm">
+                        <p className="text-red-400 font-medium">{error.error || 'Something went wrong.'}</p>
+                        {error.details && (
+                            <ul className="list-disc list-inside text-red-500 mt-2">
+                                {error.details.map((detail) => (<li key={detail}>{detail}</li>))}
+                            </ul>
+                        )}
+                        {error.suggestion && <p className="text-red-500 mt-2">💡 Suggestion: {error.suggestion}</p>}
+                    </div>
+                )}
+
+                <button
+                    type="submit"
+                    disabled={submitting}
+                    className="w-full bg-teal-600 text-white px-6 py-3 rounded-xl hover:bg-teal-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 font-bold shadow-lg shadow-teal-500/20"
+                >
+                    {submitting ? <Loader2 className="animate-spin" size={20} /> : isLogin ? <LogIn size={20} /> : <UserPlus size={20} />}
+                    {isLogin ? 'Log In' : 'Create Account'}
+                </button>
+            </form>
+
+            <p className="text-sm text-gray-400 mt-6 text-center">
+                {isLogin ? 'No account yet? ' : 'Already have an account? '}
+                <Link href={isLogin ? '/register' : '/login'} className="text-teal-400 hover:text-cyan-400 font-semibold">
+                    {isLogin ? 'Create one' : 'Log in'}
+                </Link>
+            </p>
+        </div>
+    )
+}
+
+export default AuthForm
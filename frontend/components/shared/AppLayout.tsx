@@ -3,7 +3,9 @@ import React, { useState, FC } from 'react';
 import Link from 'next/link'; // REQUIRED for Next.js routing
 import { usePathname } from 'next/navigation'; // REQUIRED for client-safe path access
 // Using lucide icons for menu and navigation
-import { Menu, X, Code, Home, List, Trello, LucideIcon } from 'lucide-react'; 
+import { Menu, X, Code, Home, List, Trello, LogIn, LogOut, Loader2, KeyRound, LucideIcon } from 'lucide-react'; 
+import { AuthProvider, useAuth } from './AuthContext';
+import { PUBLIC_PATHS } from './apiClient';
 
 // --- 1. Navigation Data ---
 interface NavLink {
@@ -29,6 +31,7 @@ export const Navbar: FC = () => {
 
     // FIXED: Use the client-safe hook for determining the current path
     const currentPage = usePathname();
+    const { user, loading, logout } = useAuth();
 
     const getLinkClass = (href: string) => {
         // Check for exact match (e.g., /home)
@@ -47,6 +50,41 @@ export const Navbar: FC = () => {
                 }`;
     };
 
+    // Signed-in email + Logout, or a Login link for visitors
+    const renderUserMenu = () => {
+        if (loading) return null;
+        if (!user) {
+            return (
+                <Link href="/login" className={getLinkClass('/login')}>
+                    <LogIn className="w-4 h-4 mr-2" />
+                    Log In
+                </Link>
+            );
+        }
+        return (
+            <div className="inline-flex items-center gap-3 pl-2 text-sm">
+                <span className="text-gray-400 truncate max-w-[12rem]" title={user.email}>{user.email}</span>
+                <Link
+                    href="/api-keys"
+                    onClick={() => setIsMenuOpen(false)}
+                    title="API Keys"
+                    className={getLinkClass('/api-keys').replace('px-4', 'px-3')}
+                >
+                    <KeyRound className="w-4 h-4" />
+                    <span className="sr-only">API Keys</span>
+                </Link>
+                <button
+                    type="button"
+                    onClick={() => { setIsMenuOpen(false); logout(); }}
+                    className="inline-flex items-center px-3 py-2 rounded-xl font-semibold text-gray-300 hover:bg-gray-700 hover:text-teal-400 transition duration-300"
+                >
+                    <LogOut className="w-4 h-4 mr-2" />
+                    Log Out
+                </button>
+            </div>
+        );
+    };
+
     return (
         <nav className="bg-gray-900 border-b border-teal-500/30 text-white shadow-xl sticky top-0 z-50 rounded-b-xl">
             <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -73,6 +111,7 @@ export const Navbar: FC = () => {
                                 {link.label}
                             </Link>
                         ))}
+                        {renderUserMenu()}
                     </div>
 
                     {/* Mobile Menu Button (Hamburger/X Icon) */}
@@ -112,6 +151,9 @@ export const Navbar: FC = () => {
                                 {link.label}
                             </Link>
                         ))}
+                        <div className="px-4 pt-2 border-t border-gray-700">
+                            {renderUserMenu()}
+                        </div>
                     </div>
                 </div>
             )}
@@ -119,6 +161,22 @@ export const Navbar: FC = () => {
     );
 };
 
+/**
+ * Hides tool pages until the session is known; AuthProvider redirects visitors to the login page.
+ */
+const ProtectedContent: FC<AppLayoutProps> = ({ children }) => {
+    const pathname = usePathname();
+    const { user, loading } = useAuth();
+
+    if (PUBLIC_PATHS.includes(pathname) || user) return <>{children}</>;
+
+    return (
+        <div className="flex justify-center py-20 text-teal-400">
+            {loading && <Loader2 className="animate-spin" size={32} />}
+        </div>
+    );
+};
+
 // --- 3. AppLayout Component ---
 interface AppLayoutProps { children: React.ReactNode; }
 
@@ -128,18 +186,20 @@ interface AppLayoutProps { children: React.ReactNode; }
  */
 export const AppLayout: FC<AppLayoutProps> = ({ children }) => {
     return (
-        <div className="min-h-screen bg-gray-900 font-sans text-white">
-            <Navbar />
-            
-            {/* Main content wrapper */}
-            <main className="max-w-7xl mx-auto py-10 px-4 sm:px-6 lg:px-8">
-                {children}
-            </main>
-
-            {/* Footer added for complete layout */}
-            <footer className="w-full bg-gray-900 border-t border-teal-500/10 mt-10 p-6 text-center text-gray-500 text-sm">
-                &copy; {new Date().getFullYear()} Sitemap Tools Kit. Built with love and code.
-            </footer>
-        </div>
+        <AuthProvider>
+            <div className="min-h-screen bg-gray-900 font-sans text-white">
+                <Navbar />
+
+                {/* Main content wrapper */}
+                <main className="max-w-7xl mx-auto py-10 px-4 sm:px-6 lg:px-8">
+                    <ProtectedContent>{children}</ProtectedContent>
+                </main>
+
+                {/* Footer added for complete layout */}
+                <footer className="w-full bg-gray-900 border-t border-teal-500/10 mt-10 p-6 text-center text-gray-500 text-sm">
+                    &copy; {new Date().getFullYear()} Sitemap Tools Kit. Built with love and code.
+                </footer>
+            </div>
+        </AuthProvider>
     );
 };
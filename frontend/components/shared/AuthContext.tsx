@@ -0,0 +1,105 @@
+"use client"
+
+import React, { createContext, useCallback, useContext, useEffect, useState, FC } from 'react'
+import { usePathname, useRouter } from 'next/navigation'
+import { apiFetch, getLoginUrl, PUBLIC_PATHS } from '@/components/shared/apiClient'
+
+// --- Types ---
+export interface AuthUser {
+    id: string
+    email: string
+    name?: string
+}
+
+export interface AuthIssue {
+    error?: string
+    details?: string[]
+    suggestion?: string
+}
+
+interface AuthContextValue {
+    user: AuthUser | null
+    loading: boolean
+    login: (email: string, password: string) => Promise<AuthIssue | null>
+    register: (email: string, password: string, name?: string) => Promise<AuthIssue | null>
+    logout: () => Promise<void>
+}
+
+const AuthContext = createContext<AuthContextValue | null>(null)
+
+/**
+ * Loads the signed-in user and sends visitors of protected pages to the login page.
+ */
+export const AuthProvider: FC<{ children: React.ReactNode }> = ({ children }) => {
+    const router = useRouter()
+    const pathname = usePathname()
+    const [user, setUser] = useState<AuthUser | null>(null)
+    const [loading, setLoading] = useState(true)
+
+    useEffect(() => {
+        const loadUser = async () => {
+            try {
+                const response = await apiFetch('/auth/me')
+                if (response.ok) {
+                    const data = await response.json()
+                    setUser(data.user)
+                }
+            } catch (err: unknown) {
+                console.error('Failed to load session:', err)
+            } finally {
+                setLoading(false)
+            }
+        }
+        loadUser()
+    }, [])
+
+    useEffect(() => {
+        if (!loading && !user && !PUBLIC_PATHS.includes(pathname)) {
+            router.replace(getLoginUrl())
+        }
+    }, [loading, user, pathname, router])
+
+    // Returns the API error, or null once the session has started
+    const startSession = useCallback(async (path: string, body: object): Promise<AuthIssue | null> => {
+        const response = await apiFetch(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        })
+        const data = await response.json()
+
+        if (!response.ok) return data
+        setUser(data.user)
+        return null
+    }, [])
+
+    const login = useCallback(
+        (email: string, password: string) => startSession('/auth/login', { email, password }),
+        [startSession]
+    )
+
+    const register = useCallback(
+        (email: string, password: string, name?: string) => startSession('/auth/register', { email, password, name }),
+        [startSession]
+    )
+
+    const logout = useCallback(async () => {
+        await apiFetch('/auth/logout', { method: 'POST' })
+        setUser(null)
+        router.push('/login?loggedOut=1')
+    }, [router])
+
+    return (
+        <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+            {children}
+        </AuthContext.Provider>
+    )
+}
+
+export const useAuth = () => {
+    const context = useContext(AuthContext)
+    if (!context) {
+        throw new Error('useAuth must be used inside <AuthProvider>')
+    }
+    return context
+}
@@ -0,0 +1,96 @@
+"use client"
+
+import { FC } from 'react'
+import { CheckCircle2, XCircle, Loader2, Pause, Play, Square } from 'lucide-react'
+import { CrawlJobAction, CrawlJobStatus, CrawlPageEvent, CrawlProgressState } from './useCrawlJob'
+
+interface CrawlProgressProps {
+    status: CrawlJobStatus
+    progress: CrawlProgressState | null
+    feed: CrawlPageEvent[]
+    onAction?: (action: CrawlJobAction) => void
+}
+
+const STATUS_LABELS: Record<CrawlJobStatus, string> = {
+    idle: 'Idle',
+    pending: 'Queued — waiting for a free crawler...',
+    processing: 'Crawling...',
+    paused: 'Paused — resume to continue where it left off',
+    completed: 'Crawl completed',
+    partial: 'Partial sitemap — crawl was stopped or some pages failed',
+    failed: 'Crawl failed',
+}
+
+/**
+ * Live progress bar and discovered-URL feed for an asynchronous crawl job.
+ */
+export const CrawlProgress: FC<CrawlProgressProps> = ({ status, progress, feed, onAction }) => {
+    if (status === 'idle') return null
+
+    const crawled = progress?.pagesCrawled || 0
+    const maxPages = progress?.maxPages || 0
+    const percent = maxPages > 0 ? Math.min(100, Math.round((crawled / maxPages) * 100)) : 0
+    const isRunning = status === 'pending' || status === 'processing'
+    const isActive = isRunning || status === 'paused'
+    const controlClass = 'flex items-center gap-1 px-3 py-1 rounded-lg text-xs font-semibold transition'
+
+    return (
+        <div className="mt-8 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-inner space-y-4">
+            <div className="flex items-center justify-between text-sm">
+                <span className="flex items-center gap-2 font-semibold text-teal-300">
+                    {isRunning && <Loader2 className="animate-spin" size={16} />}
+                    {STATUS_LABELS[status]}
+                </span>
+                {progress && (
+                    <span className="text-gray-400">
+                        {crawled} / {maxPages} pages · {progress.pagesDiscovered} discovered
+                    </span>
+                )}
+            </div>
+
+            {/* Job Controls */}
+            {onAction && isActive && (
+                <div className="flex gap-2">
+                    {status === 'paused' ? (
+                        <button onClick={() => onAction('resume')} className={`${controlClass} bg-teal-600 hover:bg-teal-700`}>
+                            <Play size={14} /> Resume
+                        </button>
+                    ) : (
+                        <button onClick={() => onAction('pause')} className={`${controlClass} bg-gray-600 hover:bg-gray-500`}>
+                            <Pause size={14} /> Pause
+                        </button>
+                    )}
+                    <button onClick={() => onAction('cancel')} className={`${controlClass} bg-red-700 hover:bg-red-800`}>
+                        <Square size={14} /> Stop &amp; keep results
+                    </button>
+                </div>
+            )}
+
+            {/* Progress Bar */}
+            <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden">
+                <div
+                    className="h-full bg-teal-500 transition-all duration-300"
+                    style={{ width: `${isActive ? percent : 100}%` }}
+                ></div>
+            </div>
+
+            {/* Discovered URL Feed */}
+            {feed.length > 0 && (
+                <ul className="max-h-48 overflow-y-auto space-y-1 text-xs font-mono">
+                    {feed.map((page, idx) => (
+                        <li key={`${page.url}-${idx}`} className="flex items-center gap-2 text-gray-300">
+                            {page.status === 'success' ? (
+                                <CheckCircle2 className="text-teal-400 flex-shrink-0" size={14} />
+                            ) : (
+                                <XCircle className="text-red-400 flex-shrink-0" size={14} />
+                            )}
+                            <span className="text-gray-500 flex-shrink-0">d{page.depth}</span>
+                            <span className="text-gray-500 flex-shrink-0 w-16">{page.method}</span>
+                            <span className="truncate" title={page.error || page.url}>{page.url}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,29 @@
+"use client"
+
+// Environment variable for API URL
+export const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api'
+
+// Pages that work without an account; every other page needs a session
+export const PUBLIC_PATHS = ['/', '/login', '/register']
+
+/**
+ * Login page URL that returns to the current page afterwards
+ */
+export const getLoginUrl = () => {
+    const next = window.location.pathname + window.location.search
+    return `/login?next=${encodeURIComponent(next)}`
+}
+
+/**
+ * fetch() for the API: sends the session cookie and, when the session
+ * has expired (401), sends the user to the login page.
+ * `path` is relative to API_URL (e.g. `/crawls`).
+ */
+export const apiFetch = async (path: string, init: RequestInit = {}) => {
+    const response = await fetch(`${API_URL}${path}`, { ...init, credentials: 'include' })
+
+    if (response.status === 401 && !PUBLIC_PATHS.includes(window.location.pathname)) {
+        window.location.assign(getLoginUrl())
+    }
+    return response
+}
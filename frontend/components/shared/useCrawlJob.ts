@@ -0,0 +1,201 @@
+"use client"
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { API_URL, apiFetch } from '@/components/shared/apiClient'
+
+// Keep the discovered-URL feed bounded for very large crawls
+const MAX_FEED_ITEMS = 200
+
+// --- Types ---
+export type CrawlJobType = 'xml' | 'html' | 'visual'
+
+export type CrawlJobStatus = 'idle' | 'pending' | 'processing' | 'paused' | 'completed' | 'partial' | 'failed'
+
+export type CrawlJobAction = 'pause' | 'resume' | 'cancel'
+
+export interface CrawlPageEvent {
+    url: string
+    depth: number
+    method: string
+    status: 'success' | 'failed'
+    statusCode?: number
+    error?: string
+    pagesCrawled: number
+    pagesDiscovered: number
+    maxPages: number
+}
+
+export interface CrawlProgressState {
+    pagesCrawled: number
+    pagesDiscovered: number
+    maxPages: number
+}
+
+export interface CrawlJobIssue {
+    error?: string
+    issues?: string[]
+    warnings?: string[]
+    details?: string[]
+    isSafe?: boolean
+    message?: string
+    suggestion?: string
+}
+
+// One file of an XML sitemap split behind a sitemap index
+export interface SitemapFile {
+    name: string
+    urlCount: number
+    sizeBytes: number
+}
+
+export interface CrawlJobOutcome<T> {
+    jobId: string
+    status: CrawlJobStatus
+    content: T
+    files: SitemapFile[]
+    warnings: string[]
+}
+
+/**
+ * Download URL for the ZIP (index + child sitemaps) of a split XML sitemap;
+ * 'gz' packs gzipped `.xml.gz` files.
+ */
+export const getSitemapArchiveUrl = (jobId: string, format: 'xml' | 'gz' = 'xml') =>
+    `${API_URL}/crawls/${jobId}/archive?format=${format}`
+
+/**
+ * Download URL for one file of an XML sitemap job (e.g. `sitemap.xml.gz`).
+ */
+export const getSitemapFileUrl = (jobId: string, name: string) =>
+    `${API_URL}/crawls/${jobId}/files/${encodeURIComponent(name)}`
+
+/**
+ * Permanent download URL of a saved XML sitemap (a job id is its sitemap id);
+ * 'txt' is a plain list of page URLs.
+ */
+export const getSitemapDownloadUrl = (sitemapId: string, format: 'xml' | 'gz' | 'txt' = 'xml') =>
+    `${API_URL}/download-xml/${sitemapId}?format=${format}`
+
+/**
+ * Error thrown by runCrawlJob; `details` carries the API error body.
+ */
+export class CrawlJobError extends Error {
+    details: CrawlJobIssue
+
+    constructor(details: CrawlJobIssue) {
+        super(details.error || details.message || 'Crawl failed')
+        this.details = details
+    }
+}
+
+/**
+ * Starts an asynchronous crawl job and follows its progress over
+ * Server-Sent Events until the sitemap is ready.
+ */
+export const useCrawlJob = () => {
+    const [status, setStatus] = useState<CrawlJobStatus>('idle')
+    const [progress, setProgress] = useState<CrawlProgressState | null>(null)
+    const [feed, setFeed] = useState<CrawlPageEvent[]>([])
+    const [jobId, setJobId] = useState<string | null>(null)
+    const sourceRef = useRef<EventSource | null>(null)
+
+    // Close any open stream when the component unmounts
+    useEffect(() => () => sourceRef.current?.close(), [])
+
+    const waitForJob = (jobId: string) => new Promise<void>((resolve, reject) => {
+        const source = new EventSource(`${API_URL}/crawls/${jobId}/events`, { withCredentials: true })
+        sourceRef.current = source
+
+        source.addEventListener('status', (event) => {
+            const data = JSON.parse((event as MessageEvent).data)
+            setStatus(data.status)
+        })
+
+        source.addEventListener('page', (event) => {
+            const data: CrawlPageEvent = JSON.parse((event as MessageEvent).data)
+            setProgress({
+                pagesCrawled: data.pagesCrawled,
+                pagesDiscovered: data.pagesDiscovered,
+                maxPages: data.maxPages
+            })
+            setFeed((previous) => [data, ...previous].slice(0, MAX_FEED_ITEMS))
+        })
+
+        source.addEventListener('complete', (event) => {
+            const data = JSON.parse((event as MessageEvent).data)
+            source.close()
+            setStatus(data.status)
+            resolve()
+        })
+
+        source.addEventListener('failed', (event) => {
+            const data = JSON.parse((event as MessageEvent).data)
+            source.close()
+            setStatus('failed')
+            reject(new CrawlJobError({ error: data.message || 'Crawl failed' }))
+        })
+
+        source.onerror = () => {
+            // The browser retries on its own unless the stream was closed for good
+            if (source.readyState === EventSource.CLOSED) {
+                reject(new CrawlJobError({ error: 'Lost connection to the crawl progress stream.' }))
+            }
+        }
+    })
+
+    const runCrawlJob = useCallback(async <T,>(url: string, type: CrawlJobType): Promise<CrawlJobOutcome<T>> => {
+        sourceRef.current?.close()
+        setStatus('pending')
+        setProgress(null)
+        setFeed([])
+        setJobId(null)
+
+        try {
+            const response = await apiFetch('/crawls', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ url, type })
+            })
+            const created = await response.json()
+
+            if (!response.ok) {
+                throw new CrawlJobError(created)
+            }
+
+            const { jobId, warnings = [] } = created.data
+            setJobId(jobId)
+            await waitForJob(jobId)
+
+            const resultResponse = await apiFetch(`/crawls/${jobId}`)
+            const result = await resultResponse.json()
+
+            if (!resultResponse.ok) {
+                throw new CrawlJobError(result)
+            }
+
+            return {
+                jobId,
+                status: result.data.status,
+                content: result.data.content as T,
+                files: result.data.files || [],
+                warnings
+            }
+        } catch (err: unknown) {
+            setStatus('failed')
+            throw err
+        }
+    }, [])
+
+    // Pause, resume or cancel the running job; the stream reports the new status
+    const controlJob = useCallback(async (action: CrawlJobAction) => {
+        if (!jobId) return
+
+        const response = await apiFetch(`/crawls/${jobId}/${action}`, { method: 'POST' })
+        if (!response.ok) {
+            const data = await response.json()
+            console.error(`Failed to ${action} crawl:`, data.error)
+        }
+    }, [jobId])
+
+    return { status, progress, feed, runCrawlJob, controlJob }
+}
@@ -3,9 +3,8 @@
 import { useState, FC } from 'react'
 import { Download, Loader2, Copy, Check, AlertTriangle, XCircle, ArrowLeft, Send } from 'lucide-react'
 import { useRouter } from 'next/navigation' // Use next/navigation for App Router
-
-// Environment variable for API URL (Using a mock value for display purposes)
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api'
+import { useCrawlJob, CrawlJobError } from '@/components/shared/useCrawlJob'
+import { CrawlProgress } from '@/components/shared/CrawlProgress'
 
 interface ValidationIssue {
     error?: string
@@ -27,6 +26,7 @@ const HtmlSitemap: FC = () => {
     const [error, setError] = useState<ValidationIssue | null>(null)
     const [warnings, setWarnings] = useState<string[]>([])
     const [copied, setCopied] = useState(false)
+    const { status, progress, feed, runCrawlJob, controlJob } = useCrawlJob()
 
     // --- API Logic ---
     const generateHtml = async () => {
@@ -41,49 +41,18 @@ const HtmlSitemap: FC = () => {
         setWarnings([])
 
         try {
-            // NOTE: Using a mock response for frontend preview.
-            // In your environment, this will hit your backend.
-            const response = await fetch(`${API_URL}/generate-html`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ url })
-            })
-
-            const data = await response.json()
-
-            if (!response.ok) {
-                setError(data)
-                return
-            }
+            // Queue the crawl and follow its progress until the sitemap is ready
+            const outcome = await runCrawlJob<string>(url, 'html')
 
-            setResult(data.html || `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <title>Sitemap for ${url}</title>
-    <style>body{font-family:sans-serif;}</style>
-</head>
-<body>
-    <h1>Site Structure for ${url}</h1>
-    <ul>
-        <li><a href="${url}/">Home</a></li>
-        <li><a href="${url}/about">About Us</a></li>
-        <li><a href="${url}/products">Products</a>
-            <ul>
-                <li><a href="${url}/products/item1">Item 1</a></li>
-                <li><a href="${url}/products/item2">Item 2</a></li>
-            </ul>
-        </li>
-        <li><a href="${url}/contact">Contact</a></li>
-    </ul>
-</body>
-</html>
-`.trim())
-            if (data.warnings) {
-                setWarnings(data.warnings)
+            setResult(outcome.content.trim())
+            if (outcome.warnings.length > 0) {
+                setWarnings(outcome.warnings)
             }
         } catch (err: unknown) {
+            if (err instanceof CrawlJobError) {
+                setError(err.details)
+                return
+            }
             const message = err instanceof Error ? err.message : String(err)
             setError({ error: message || 'Error generating HTML sitemap. Check API connection.' })
         } finally {
@@ -177,6 +146,9 @@ const HtmlSitemap: FC = () => {
                     </div>
 
                     {/* --- Feedback & Results Area --- */}
+
+                    {/* Live Crawl Progress */}
+                    <CrawlProgress status={status} progress={progress} feed={feed} onAction={controlJob} />
                     
                     {/* Security Errors */}
                     {error && error.issues && error.issues.length > 0 && (
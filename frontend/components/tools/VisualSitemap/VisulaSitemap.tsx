@@ -1,9 +1,12 @@
 "use client"
 
-import React, { useState, FC } from 'react'
-import { Loader2, ZoomIn, ZoomOut, AlertTriangle, XCircle, Download, ArrowLeft } from 'lucide-react'
-import { useRouter } from 'next/navigation'
+import React, { useState, useEffect, useCallback, FC } from 'react'
+import { Loader2, ZoomIn, ZoomOut, AlertTriangle, XCircle, Download, ArrowLeft, Save, FolderOpen } from 'lucide-react'
+import { useRouter, useSearchParams } from 'next/navigation'
 import html2canvas from 'html2canvas' 
+import { useCrawlJob, CrawlJobError } from '@/components/shared/useCrawlJob'
+import { apiFetch } from '@/components/shared/apiClient'
+import { CrawlProgress } from '@/components/shared/CrawlProgress'
 
 // --- 1. Type Definitions ---
 interface SitemapNode {
@@ -16,8 +19,17 @@ interface SitemapData {
     pages?: SitemapNode[]
 }
 
+// Entry of GET /api/visual (saved maps, newest first)
+interface SavedMapSummary {
+    id: string
+    projectName: string
+    startUrl: string
+    updatedAt: string
+}
+
 interface ValidationIssue {
     error?: string
+    details?: string[]
     issues?: string[]
     warnings?: string[]
     isSafe?: boolean
@@ -25,9 +37,6 @@ interface ValidationIssue {
     suggestion?: string
 }
 
-// Environment variable for API URL
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api'
-
 // --- 2. Recursive Node Renderer Component Logic (Tree Structure) ---
 interface RenderNodeProps {
     node: SitemapNode;
@@ -118,12 +127,68 @@ const NodeRenderer: FC<RenderNodeProps> = ({ node, level }) => {
 // --- 3. Main Component (FIXED downloadAsImage and Unescaped Entity) ---
 export default function VisualSitemap() {
     const router = useRouter()
+    const searchParams = useSearchParams()
     const [url, setUrl] = useState('')
     const [loading, setLoading] = useState(false)
     const [sitemapData, setSitemapData] = useState<SitemapData | null>(null)
     const [error, setError] = useState<ValidationIssue | null>(null)
     const [warnings, setWarnings] = useState<string[]>([])
     const [zoom, setZoom] = useState(100)
+    // Id of the saved map shown (a visual crawl job is saved under its job id)
+    const [sitemapId, setSitemapId] = useState<string | null>(null)
+    const [saving, setSaving] = useState(false)
+    const [savedAt, setSavedAt] = useState<string | null>(null)
+    const [savedMaps, setSavedMaps] = useState<SavedMapSummary[]>([])
+    const { status, progress, feed, runCrawlJob, controlJob } = useCrawlJob()
+
+    // Keep the id in the address bar so a reload reopens the same map
+    const showSavedMap = useCallback((id: string) => {
+        setSitemapId(id)
+        router.replace(`?id=${id}`)
+    }, [router])
+
+    const loadSavedMaps = useCallback(async () => {
+        try {
+            const response = await apiFetch('/visual')
+            if (!response.ok) return
+            const data = await response.json()
+            setSavedMaps(data.data.sitemaps)
+        } catch (err: unknown) {
+            console.error('Failed to list saved maps:', err)
+        }
+    }, [])
+
+    const openSavedMap = useCallback(async (id: string) => {
+        setError(null)
+        setWarnings([])
+        try {
+            const response = await apiFetch(`/visual/${id}`)
+            const data = await response.json()
+            if (!response.ok) {
+                setError(data)
+                return
+            }
+            setUrl(data.data.url)
+            setSitemapData({ pages: data.data.pages })
+            setSavedAt(data.data.updatedAt)
+            showSavedMap(id)
+        } catch (err: unknown) {
+            const message = err instanceof Error ? err.message : String(err)
+            setError({ error: message || 'Error loading visual sitemap' })
+        }
+    }, [showSavedMap])
+
+    // Reopen the map from `?id=` (after a reload or from a shared link)
+    const requestedId = searchParams.get('id')
+    useEffect(() => {
+        loadSavedMaps()
+    }, [loadSavedMaps])
+
+    useEffect(() => {
+        if (requestedId && requestedId !== sitemapId) {
+            openSavedMap(requestedId)
+        }
+    }, [requestedId, sitemapId, openSavedMap])
 
     const generateVisual = async () => {
         if (!url) {
@@ -135,30 +200,63 @@ export default function VisualSitemap() {
         setError(null)
         setSitemapData(null)
         setWarnings([])
+        setSavedAt(null)
 
         try {
-            const response = await fetch(`${API_URL}/generate-visual`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ url })
-            })
+            // Queue the crawl and follow its progress until the tree is ready
+            const outcome = await runCrawlJob<SitemapNode[]>(url, 'visual')
+
+            setSitemapData({ pages: outcome.content })
+            setSavedAt(new Date().toISOString())
+            showSavedMap(outcome.jobId)
+            loadSavedMaps()
+            if (outcome.warnings.length > 0) {
+                setWarnings(outcome.warnings)
+            }
+        } catch (err: unknown) {
+            if (err instanceof CrawlJobError) {
+                setError(err.details)
+                return
+            }
+            const message = err instanceof Error ? err.message : String(err)
+            setError({ error: message || 'Error generating visual sitemap' })
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    // Store the current tree: update the open map, or save a new one
+    const saveSitemap = async () => {
+        if (!sitemapData?.pages) return
 
+        setSaving(true)
+        setError(null)
+        try {
+            const response = sitemapId
+                ? await apiFetch(`/visual/${sitemapId}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ pages: sitemapData.pages })
+                })
+                : await apiFetch('/save', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ url, pages: sitemapData.pages })
+                })
             const data = await response.json()
 
             if (!response.ok) {
                 setError(data)
                 return
             }
-
-            setSitemapData(data)
-            if (data.warnings) {
-                setWarnings(data.warnings)
-            }
+            setSavedAt(new Date().toISOString())
+            showSavedMap(data.id)
+            loadSavedMaps()
         } catch (err: unknown) {
             const message = err instanceof Error ? err.message : String(err)
-            setError({ error: message || 'Error generating visual sitemap' })
+            setError({ error: message || 'Error saving visual sitemap' })
         } finally {
-            setLoading(false)
+            setSaving(false)
         }
     }
 
@@ -275,6 +373,28 @@ export default function VisualSitemap() {
                             />
                         </div>
 
+                        {/* Saved Maps */}
+                        {savedMaps.length > 0 && (
+                            <div>
+                                <label className="flex items-center gap-2 text-sm font-medium text-gray-300 mb-2">
+                                    <FolderOpen size={16} /> Open a saved map
+                                </label>
+                                <select
+                                    value={sitemapId && savedMaps.some((map) => map.id === sitemapId) ? sitemapId : ''}
+                                    onChange={(e) => e.target.value && openSavedMap(e.target.value)}
+                                    className="w-full p-3 border border-gray-600 rounded-xl bg-gray-700 text-white 
+                                                focus:ring-2 focus:ring-teal-400 focus:border-teal-400 transition-colors"
+                                >
+                                    <option value="">Choose a saved map...</option>
+                                    {savedMaps.map((map) => (
+                                        <option key={map.id} value={map.id}>
+                                            {map.projectName} ({new Date(map.updatedAt).toLocaleString()})
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
                         {/* Generate Button */}
                         <button
                             onClick={generateVisual}
@@ -297,6 +417,9 @@ export default function VisualSitemap() {
                 </div>
                 
                 {/* Feedback Area */}
+                {/* Live Crawl Progress */}
+                <CrawlProgress status={status} progress={progress} feed={feed} onAction={controlJob} />
+
                 {/* Security Errors */}
                 {error && error.issues && error.issues.length > 0 && (
                     <div className="mt-6 p-6 bg-red-900/50 border-l-4 border-red-500 rounded-xl shadow-inner">
@@ -316,6 +439,11 @@ export default function VisualSitemap() {
                 {error && !error.issues && (
                     <div className="mt-6 p-6 bg-red-900/50 border border-red-700 rounded-xl">
                         <p className="text-red-400 font-medium">{error.error || error.message || 'An unknown error occurred.'}</p>
+                        {error.details && (
+                            <ul className="list-disc list-inside text-sm text-red-500 mt-2">
+                                {error.details.map((detail) => (<li key={detail}>{detail}</li>))}
+                            </ul>
+                        )}
                         {error.suggestion && (
                             <p className="text-sm text-red-500 mt-2">💡 Suggestion: {error.suggestion}</p>
                         )}
@@ -343,6 +471,20 @@ export default function VisualSitemap() {
                         <div className="flex items-center justify-between mb-6 flex-wrap gap-4">
                             <h2 className="text-2xl font-bold text-teal-400">Site Structure Visualization</h2>
                             <div className="flex items-center gap-4 flex-wrap">
+                                {savedAt && (
+                                    <span className="text-xs text-gray-400">Saved {new Date(savedAt).toLocaleTimeString()}</span>
+                                )}
+
+                                {/* Save Button */}
+                                <button
+                                    onClick={saveSitemap}
+                                    disabled={saving}
+                                    className="flex items-center gap-2 px-4 py-2 bg-teal-600 text-white rounded-xl hover:bg-teal-700 transition font-medium disabled:opacity-50"
+                                    title="Save this map to reopen it later"
+                                >
+                                    {saving ? <Loader2 className="animate-spin" size={18} /> : <Save size={18} />}
+                                    <span className="text-sm font-medium">Save</span>
+                                </button>
                                 
                                 {/* Download Button */}
                                 <button
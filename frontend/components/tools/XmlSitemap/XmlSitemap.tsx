@@ -1,11 +1,17 @@
 "use client"
 
 import { useState, FC } from 'react'
-import { Download, Loader2, AlertTriangle, XCircle, Send, ArrowLeft } from 'lucide-react'
+import { Download, Loader2, AlertTriangle, XCircle, Send, ArrowLeft, FileArchive, Link } from 'lucide-react'
 import { useRouter } from 'next/navigation' // Import router for back button
-
-// Environment variable for API URL
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api'
+import {
+    useCrawlJob,
+    CrawlJobError,
+    getSitemapArchiveUrl,
+    getSitemapFileUrl,
+    getSitemapDownloadUrl,
+    SitemapFile
+} from '@/components/shared/useCrawlJob'
+import { CrawlProgress } from '@/components/shared/CrawlProgress'
 
 interface ValidationIssue {
     error?: string
@@ -24,8 +30,11 @@ const XmlSitemap: FC = () => {
     const [url, setUrl] = useState('')
     const [loading, setLoading] = useState(false)
     const [result, setResult] = useState('')
+    const [jobId, setJobId] = useState<string | null>(null)
+    const [files, setFiles] = useState<SitemapFile[]>([])
     const [error, setError] = useState<ValidationIssue | null>(null)
     const [warnings, setWarnings] = useState<string[]>([])
+    const { status, progress, feed, runCrawlJob, controlJob } = useCrawlJob()
 
     const generateXml = async () => {
         if (!url) {
@@ -36,51 +45,25 @@ const XmlSitemap: FC = () => {
         setLoading(true)
         setError(null)
         setResult('')
+        setJobId(null)
+        setFiles([])
         setWarnings([])
 
         try {
-            // NOTE: Using a mock response structure for frontend preview.
-            const response = await fetch(`${API_URL}/generate-xml`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ url })
-            })
-
-            const data = await response.json()
-
-            if (!response.ok) {
-                setError(data)
-                return
-            }
+            // Queue the crawl and follow its progress until the sitemap is ready
+            const outcome = await runCrawlJob<string>(url, 'xml')
 
-            // Mock XML response for demonstration
-            const mockXml = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-    <url>
-        <loc>${url}/</loc>
-        <lastmod>${new Date().toISOString().split('T')[0]}</lastmod>
-        <changefreq>daily</changefreq>
-        <priority>1.0</priority>
-    </url>
-    <url>
-        <loc>${url}/products</loc>
-        <lastmod>2024-10-22</lastmod>
-        <changefreq>weekly</changefreq>
-        <priority>0.8</priority>
-    </url>
-    <url>
-        <loc>${url}/about</loc>
-        <lastmod>2024-01-15</lastmod>
-        <changefreq>monthly</changefreq>
-        <priority>0.5</priority>
-    </url>
-</urlset>`.trim();
-
-            setResult(data.xml || mockXml)
-            if (data.warnings) {
-                setWarnings(data.warnings)
+            setResult(outcome.content)
+            setJobId(outcome.jobId)
+            setFiles(outcome.files)
+            if (outcome.warnings.length > 0) {
+                setWarnings(outcome.warnings)
             }
         } catch (err: unknown) {
+            if (err instanceof CrawlJobError) {
+                setError(err.details)
+                return
+            }
             const message = err instanceof Error ? err.message : String(err)
             setError({ error: message || 'Error generating XML sitemap. Check API connection.' })
         } finally {
@@ -100,6 +83,20 @@ const XmlSitemap: FC = () => {
         URL.revokeObjectURL(downloadUrl)
     }
 
+    // Split sitemaps: the index and its children come as one ZIP from the API
+    const downloadArchive = () => {
+        if (!jobId) return
+        window.location.href = getSitemapArchiveUrl(jobId)
+    }
+
+    // Gzipped copy, ready to upload next to the site (ZIP of .xml.gz files when split)
+    const downloadGzip = () => {
+        if (!jobId) return
+        window.location.href = files.length > 0
+            ? getSitemapArchiveUrl(jobId, 'gz')
+            : getSitemapFileUrl(jobId, 'sitemap.xml.gz')
+    }
+
     return (
         <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-8">
             <div className="max-w-4xl mx-auto">
@@ -155,6 +152,9 @@ const XmlSitemap: FC = () => {
                     </div>
 
                     {/* --- Feedback & Results Area --- */}
+
+                    {/* Live Crawl Progress */}
+                    <CrawlProgress status={status} progress={progress} feed={feed} onAction={controlJob} />
                     
                     {/* Security Errors */}
                     {error && error.issues && error.issues.length > 0 && (
@@ -202,14 +202,75 @@ const XmlSitemap: FC = () => {
                         <div className="mt-8 space-y-4">
                             <div className="flex items-center justify-between">
                                 <h2 className="text-xl font-bold text-teal-400">Generated XML Sitemap</h2>
-                                <button
-                                    onClick={downloadXml}
-                                    className="flex items-center gap-2 bg-cyan-600 text-white px-4 py-2 rounded-xl hover:bg-cyan-700 transition font-medium shadow-lg shadow-cyan-500/30"
-                                >
-                                    <Download size={18} />
-                                    Download .xml
-                                </button>
+                                <div className="flex items-center gap-2">
+                                    {files.length > 0 ? (
+                                        <button
+                                            onClick={downloadArchive}
+                                            className="flex items-center gap-2 bg-cyan-600 text-white px-4 py-2 rounded-xl hover:bg-cyan-700 transition font-medium shadow-lg shadow-cyan-500/30"
+                                        >
+                                            <FileArchive size={18} />
+                                            Download .zip
+                                        </button>
+                                    ) : (
+                                        <button
+                                            onClick={downloadXml}
+                                            className="flex items-center gap-2 bg-cyan-600 text-white px-4 py-2 rounded-xl hover:bg-cyan-700 transition font-medium shadow-lg shadow-cyan-500/30"
+                                        >
+                                            <Download size={18} />
+                                            Download .xml
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={downloadGzip}
+                                        className="flex items-center gap-2 bg-gray-700 text-white px-4 py-2 rounded-xl hover:bg-gray-600 transition font-medium"
+                                    >
+                                        <Download size={18} />
+                                        {files.length > 0 ? 'Download .xml.gz (.zip)' : 'Download .xml.gz'}
+                                    </button>
+                                </div>
                             </div>
+                            {/* Saved sitemap: the link keeps working after this page is closed */}
+                            {jobId && (
+                                <div className="bg-gray-900 border border-gray-700 p-4 rounded-xl text-sm text-gray-300">
+                                    <p className="flex items-center gap-2 mb-2 text-gray-400">
+                                        <Link size={16} />
+                                        Permanent download link
+                                    </p>
+                                    <input
+                                        type="text"
+                                        readOnly
+                                        value={getSitemapDownloadUrl(jobId)}
+                                        onFocus={(e) => e.target.select()}
+                                        className="w-full p-2 mb-2 bg-gray-800 border border-gray-700 rounded-lg text-teal-400"
+                                    />
+                                    <div className="flex gap-4">
+                                        {(['xml', 'gz', 'txt'] as const).map((format) => (
+                                            <a
+                                                key={format}
+                                                href={getSitemapDownloadUrl(jobId, format)}
+                                                className="text-cyan-400 hover:text-cyan-300 underline"
+                                            >
+                                                .{format}
+                                            </a>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+                            {files.length > 0 && (
+                                <div className="bg-gray-900 border border-gray-700 p-4 rounded-xl text-sm text-gray-300">
+                                    <p className="mb-2 text-gray-400">
+                                        Split into a sitemap index and {files.length - 1} child sitemaps:
+                                    </p>
+                                    <ul className="space-y-1">
+                                        {files.map((file) => (
+                                            <li key={file.name} className="flex justify-between">
+                                                <span className="text-teal-400">{file.name}</span>
+                                                <span>{file.urlCount} URLs · {(file.sizeBytes / 1024).toFixed(1)} KB</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
                             <div className="bg-gray-900 border border-gray-700 p-6 rounded-xl overflow-x-auto max-h-96 shadow-lg">
                                 <pre className="text-teal-400 text-sm whitespace-pre-wrap">
                                     <code>{result}</code>